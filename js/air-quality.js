@@ -0,0 +1,187 @@
+/*
+  Weather 4 Bike – Air Quality & Pollen
+
+  Goal: Turn Open‑Meteo air-quality responses (PM2.5, PM10, ozone, AQI and
+  pollen) into per-hour fields on the weather object, plus the category and
+  pollen levels alerts and scoring need.
+
+  Why: Wildfire smoke or a summer ozone peak can make a hard ride a bad idea
+  on an otherwise perfect day, and hay-fever riders care more about the grass
+  count than the wind. The forecast endpoint carries none of this.
+
+  How:
+  - Providers fetch the separate air-quality endpoint (same shape as the
+    forecast: `hourly.time` plus one array per variable).
+  - Parse into hourly entries and merge them into `weather.hourly` and
+    `weather.current` by timestamp; missing hours stay `null`.
+  - Prefer the provider's `us_aqi`; otherwise compute it from PM2.5 with the
+    EPA breakpoints (2024 revision).
+  - Pollen (grains/m³) is only modelled for Europe; elsewhere it's `null`.
+    Levels follow the NAB count scale for trees, grasses and weeds.
+*/
+
+export const POLLEN_TYPES = {
+  alder: { label: 'Alder', group: 'tree' },
+  birch: { label: 'Birch', group: 'tree' },
+  olive: { label: 'Olive', group: 'tree' },
+  grass: { label: 'Grass', group: 'grass' },
+  mugwort: { label: 'Mugwort', group: 'weed' },
+  ragweed: { label: 'Ragweed', group: 'weed' }
+};
+
+export const POLLEN_LEVELS = ['none', 'low', 'moderate', 'high', 'very-high'];
+
+// Lower bounds (grains/m³) of low → very high per group
+const POLLEN_THRESHOLDS = {
+  tree: [1, 15, 90, 1500],
+  grass: [1, 5, 20, 200],
+  weed: [1, 10, 50, 500]
+};
+
+// US AQI categories by upper bound
+const AQI_CATEGORIES = [
+  { max: 50, key: 'good', label: 'Good' },
+  { max: 100, key: 'moderate', label: 'Moderate' },
+  { max: 150, key: 'sensitive', label: 'Unhealthy for sensitive groups' },
+  { max: 200, key: 'unhealthy', label: 'Unhealthy' },
+  { max: 300, key: 'very-unhealthy', label: 'Very unhealthy' },
+  { max: Infinity, key: 'hazardous', label: 'Hazardous' }
+];
+
+// EPA PM2.5 breakpoints (µg/m³, 24 h) → AQI
+const PM25_BREAKPOINTS = [
+  [0, 9.0, 0, 50],
+  [9.1, 35.4, 51, 100],
+  [35.5, 55.4, 101, 150],
+  [55.5, 125.4, 151, 200],
+  [125.5, 225.4, 201, 300],
+  [225.5, 500, 301, 500]
+];
+
+/**
+ * Goal: Normalize a raw air-quality response into hourly entries.
+ * Why: Merging by timestamp needs one object per hour.
+ * How: Null-safe reads of each variable; returns `[{ time, usAqi, europeanAqi,
+ *      pm25, pm10, ozone, pollen: { alder, birch, … } }]`.
+ */
+export function parseAirQualityResponse(data) {
+  const h = data?.hourly || {};
+  return (h.time || []).map((time, idx) => {
+    const pm25 = getSafe(h.pm2_5, idx);
+    return {
+      time,
+      usAqi: getSafe(h.us_aqi, idx) ?? usAqiFromPm25(pm25),
+      europeanAqi: getSafe(h.european_aqi, idx),
+      pm25,
+      pm10: getSafe(h.pm10, idx),
+      ozone: getSafe(h.ozone, idx),
+      pollen: Object.fromEntries(Object.keys(POLLEN_TYPES).map(k => [k, getSafe(h[`${k}_pollen`], idx)]))
+    };
+  });
+}
+
+/**
+ * Goal: Attach air quality to a parsed weather object.
+ * Why: Alerts, scorers and cards read one weather object; the two endpoints
+ *      may cover different hour ranges.
+ * How: Match hours by ISO time; every hourly entry and `current` gets the
+ *      fields (null when the hour is missing). Returns a new object.
+ */
+export function mergeAirQuality(weather, airQuality) {
+  if (!weather) return weather;
+  const byTime = new Map((airQuality || []).map(a => [a.time, a]));
+  const fieldsFor = (time) => airQualityFields(byTime.get(time));
+  const hourly = (weather.hourly || []).map(h => ({ ...h, ...fieldsFor(h.time) }));
+  const nearest = hourly[Number(weather.nearestIndex) || 0];
+  return {
+    ...weather,
+    hourly,
+    next24FromNearest: (weather.next24FromNearest || []).map(h => ({ ...h, ...fieldsFor(h.time) })),
+    current: { ...weather.current, ...fieldsFor(nearest?.time) },
+    airQualityAvailable: byTime.size > 0
+  };
+}
+
+/**
+ * Goal: US AQI category for a value.
+ * Why: Cards and alerts speak in categories ("Unhealthy for sensitive groups").
+ * How: First category whose upper bound holds; `null` without a value.
+ */
+export function aqiCategory(aqi) {
+  const value = toNumber(aqi);
+  if (value == null) return null;
+  return AQI_CATEGORIES.find(c => value <= c.max);
+}
+
+/**
+ * Goal: US AQI from a PM2.5 concentration.
+ * Why: Not every source returns `us_aqi`; PM2.5 is the usual driver anyway.
+ * How: Linear interpolation inside the EPA breakpoint the value (truncated to
+ *      0.1 µg/m³) falls in; capped at 500.
+ */
+export function usAqiFromPm25(pm25) {
+  const value = toNumber(pm25);
+  if (value == null || value < 0) return null;
+  const c = Math.floor(value * 10) / 10;
+  const bp = PM25_BREAKPOINTS.find(([, hi]) => c <= hi);
+  if (!bp) return 500;
+  const [lo, hi, aqiLo, aqiHi] = bp;
+  return Math.round((aqiHi - aqiLo) / (hi - lo) * (Math.max(c, lo) - lo) + aqiLo);
+}
+
+/**
+ * Goal: Level for one pollen count.
+ * Why: A grass count of 30 is high while the same birch count is low.
+ * How: Compare against the species group's NAB thresholds.
+ */
+export function pollenLevel(type, count) {
+  const value = toNumber(count);
+  const thresholds = POLLEN_THRESHOLDS[POLLEN_TYPES[type]?.group];
+  if (value == null || !thresholds) return null;
+  const idx = thresholds.filter(t => value >= t).length;
+  return POLLEN_LEVELS[idx];
+}
+
+/**
+ * Goal: The pollen type that matters most in a sample.
+ * Why: Cards and alerts name one species ("Grass pollen high").
+ * How: Highest level across species, ties broken by count; `null` when no
+ *      pollen data or every count is zero.
+ */
+export function dominantPollen(pollen) {
+  let best = null;
+  for (const type of Object.keys(POLLEN_TYPES)) {
+    const count = toNumber(pollen?.[type]);
+    const level = pollenLevel(type, count);
+    if (!level || level === 'none') continue;
+    const rank = POLLEN_LEVELS.indexOf(level);
+    if (!best || rank > best.rank || (rank === best.rank && count > best.count)) {
+      best = { type, label: POLLEN_TYPES[type].label, count, level, rank };
+    }
+  }
+  if (!best) return null;
+  const { rank, ...rest } = best;
+  return rest;
+}
+
+// Helpers
+function airQualityFields(a) {
+  return {
+    usAqi: a?.usAqi ?? null,
+    europeanAqi: a?.europeanAqi ?? null,
+    pm25: a?.pm25 ?? null,
+    pm10: a?.pm10 ?? null,
+    ozone: a?.ozone ?? null,
+    pollen: a?.pollen ?? null
+  };
+}
+
+function getSafe(arr, idx) {
+  return Array.isArray(arr) ? arr[idx] ?? null : null;
+}
+
+function toNumber(v) {
+  if (v == null || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
@@ -18,22 +18,50 @@
 
 import { fetchWeatherData } from './weather.js';
 import { getCurrentLocation, searchCities, saveRecentLocation, getRecentLocations, clearRecentLocations, reverseGeocode, setLastLocation, getLastLocation } from './location.js';
-import { calculateRoadCyclingScore, calculateGravelConditions, calculateMTBTrailReadiness, generateSafetyAlerts, applyEnvironmentalPenalties, calculateBikeScoreFromWeather, calculateGravelScoreFromWeather, calculateMTBScoreFromWeather } from './insights.js';
+import { calculateRoadCyclingScore, calculateGravelConditions, calculateMTBTrailReadiness, generateSafetyAlerts, generateActivityAlerts, getActivityRecommendations, calculateActivityScoreFromWeather, activityScoreRange } from './insights.js';
+import { getActivityRules } from './rules/index.js';
+import { parseGpx, buildRouteSegments, analyzeRouteWind } from './route.js';
+import { findBestRideWindows, pickDistinctWindows, scoreHourlyForecast, scoreDailyForecast } from './planner.js';
+import { DEFAULT_RIDER_PROFILE, loadRiderProfile, saveRiderProfile } from './profile.js';
+import { loadCommutes, saveCommutes, planCommutes } from './commute.js';
+import { SOIL_TYPES, trailReadiness, trailKey, loadTrailSoil, saveTrailSoil, withTrailWetness } from './trails.js';
+import { aqiCategory, dominantPollen } from './air-quality.js';
+import { stormTimeline } from './storms.js';
+import { NOWCAST_MINUTES, precipitationNowcast } from './nowcast.js';
+import { warningAlerts } from './warnings.js';
+import { recommendKit } from './kit.js';
+import { thermalComfort } from './comfort.js';
+import { INTENSITIES, DEFAULT_INTENSITY, DEFAULT_BOTTLES, estimateFueling } from './fueling.js';
+import { CLIMATE_YEARS, normalizeClimateRange, fetchClimateArchive, climateNorms, compareForecastToNormal } from './climate.js';
+import { MAX_PINNED, loadPinnedLocations, isPinned, togglePinnedLocation, savePinnedLocations, compareLocations, summarizeLocation, locationKey, isForecastFresh } from './compare.js';
+import { UNIT_PROFILES, UNIT_OPTIONS, normalizeUnits, matchUnitProfile, unitLabel, convertTemperature, toCelsius, convertWind, toKmh, formatWind, formatPrecipitation, formatDistance, formatVisibility, formatPressure } from './units.js';
 
 const state = {
-  activity: 'road', // 'road' | 'gravel' | 'mtb'
+  activity: 'road', // 'road' | 'gravel' | 'mtb' | 'commute' | 'ebike' | 'touring' | 'cx' – see rules/index.js
   location: null,   // { name, latitude, longitude, region, country }
   weather: null,
-  units: 'C' // 'C' | 'F'
+  units: { ...UNIT_PROFILES.metric }, // { temperature, wind, precipitation, visibility, pressure } – see units.js
+  route: null,      // { name, segments, totalKm } from an imported GPX
+  planner: { durationHours: 2, earliestStart: '06:00', latestStart: '18:00', intensity: 'moderate' },
+  riderProfile: { ...DEFAULT_RIDER_PROFILE }, // see profile.js
+  commutes: [],     // saved schedules – see commute.js
+  pinned: [],       // pinned locations – see compare.js
+  comparison: null, // [{ location, weather, summary, error }] from the last compare, or null
+  climate: null     // { key, range, archives, failedYears } or { key, range, error } from the last norms query – see climate.js
 };
 
 // Persisted preferences
-const UNITS_KEY = 'w4b:units';
+const UNITS_KEY = 'w4b:units'; // legacy: temperature only ('C' | 'F')
+const UNIT_PROFILE_KEY = 'w4b:unitProfile';
+const PLANNER_KEY = 'w4b:planner';
 
 function loadUnitsFromStorage() {
   try {
-    const v = localStorage.getItem(UNITS_KEY);
-    return v === 'C' || v === 'F' ? v : null;
+    const raw = localStorage.getItem(UNIT_PROFILE_KEY);
+    if (raw) return normalizeUnits(JSON.parse(raw));
+    // Migrate the older °C/°F-only preference
+    const legacy = localStorage.getItem(UNITS_KEY);
+    return legacy === 'C' || legacy === 'F' ? normalizeUnits({ ...UNIT_PROFILES.metric, temperature: legacy }) : null;
   } catch (e) {
     return null;
   }
@@ -41,7 +69,30 @@ function loadUnitsFromStorage() {
 
 function saveUnitsToStorage(units) {
   try {
-    localStorage.setItem(UNITS_KEY, units);
+    localStorage.setItem(UNIT_PROFILE_KEY, JSON.stringify(units));
+    localStorage.setItem(UNITS_KEY, units.temperature);
+  } catch (e) {
+    // ignore storage errors (private mode, etc.)
+  }
+}
+
+function loadPlannerFromStorage() {
+  try {
+    const obj = JSON.parse(localStorage.getItem(PLANNER_KEY) || 'null');
+    if (!obj || typeof obj !== 'object') return null;
+    const isClock = (v) => typeof v === 'string' && /^\d{2}:\d{2}$/.test(v);
+    const duration = Number(obj.durationHours);
+    if (!(duration >= 1 && duration <= 6) || !isClock(obj.earliestStart) || !isClock(obj.latestStart)) return null;
+    const intensity = INTENSITIES[obj.intensity] ? obj.intensity : DEFAULT_INTENSITY;
+    return { durationHours: duration, earliestStart: obj.earliestStart, latestStart: obj.latestStart, intensity };
+  } catch (e) {
+    return null;
+  }
+}
+
+function savePlannerToStorage(planner) {
+  try {
+    localStorage.setItem(PLANNER_KEY, JSON.stringify(planner));
   } catch (e) {
     // ignore storage errors (private mode, etc.)
   }
@@ -58,16 +109,99 @@ const recentsList = document.getElementById('recents-list');
 const activityButtons = [
   document.getElementById('activity-road'),
   document.getElementById('activity-gravel'),
-  document.getElementById('activity-mtb')
-];
+  document.getElementById('activity-mtb'),
+  document.getElementById('activity-commute'),
+  document.getElementById('activity-ebike'),
+  document.getElementById('activity-touring'),
+  document.getElementById('activity-cx')
+].filter(Boolean);
+
+// Per-activity card background and header icon
+const ACTIVITY_STYLES = {
+  road: { bg: 'bg-gradient-to-r from-blue-50 to-blue-100 dark:from-gray-800 dark:to-gray-700', icon: '🚴🏼‍♂️' },
+  gravel: { bg: 'bg-gradient-to-r from-orange-50 to-orange-100 dark:from-gray-800 dark:to-gray-700', icon: '🚴🏼' },
+  mtb: { bg: 'bg-gradient-to-r from-emerald-50 to-green-100 dark:from-gray-800 dark:to-gray-700', icon: '🚵🏼‍♀️' },
+  commute: { bg: 'bg-gradient-to-r from-violet-50 to-violet-100 dark:from-gray-800 dark:to-gray-700', icon: '🏙️' },
+  ebike: { bg: 'bg-gradient-to-r from-teal-50 to-teal-100 dark:from-gray-800 dark:to-gray-700', icon: '⚡' },
+  touring: { bg: 'bg-gradient-to-r from-amber-50 to-amber-100 dark:from-gray-800 dark:to-gray-700', icon: '🧳' },
+  cx: { bg: 'bg-gradient-to-r from-rose-50 to-rose-100 dark:from-gray-800 dark:to-gray-700', icon: '🌧️' }
+};
+
+// Labels for the score breakdown in the Details panel; rows beyond the first
+// five are only shown when they apply
+const BREAKDOWN_LABELS = {
+  windPenalty: 'Wind penalty',
+  temperaturePenalty: 'Temperature penalty',
+  feelsLikePenalty: 'Feels-like penalty',
+  humidityPenalty: 'Humidity penalty',
+  trailPenalty: 'Trail penalty',
+  visibilityPenalty: 'Visibility penalty',
+  uvPenalty: 'UV penalty',
+  darknessPenalty: 'Darkness penalty',
+  airQualityPenalty: 'Air quality penalty',
+  mudPenalty: 'Mud penalty',
+  rainPenalty: 'Rain penalty'
+};
+
+const ICE_LABELS = { low: 'Low', moderate: 'Moderate', high: 'High' };
+
+// Storm timeline cell colours by risk level
+const STORM_CELL_CLASSES = {
+  none: 'bg-gray-200 dark:bg-gray-600',
+  low: 'bg-yellow-200 dark:bg-yellow-700/60',
+  moderate: 'bg-orange-300 dark:bg-orange-600/70',
+  high: 'bg-red-500 dark:bg-red-600'
+};
+const STORM_HOURS = 12;
+
+// Rain nowcast bar colours by 15-minute intensity
+const RAIN_CELL_CLASSES = {
+  none: 'bg-gray-200 dark:bg-gray-600',
+  light: 'bg-sky-300 dark:bg-sky-700',
+  moderate: 'bg-blue-500 dark:bg-blue-500',
+  heavy: 'bg-indigo-700 dark:bg-indigo-400'
+};
+
+// Ensemble variables behind a low/medium confidence, as shown to riders
+const CONFIDENCE_REASON_LABELS = { temperature: 'temperature', wind: 'wind', precipitation: 'rain' };
+
+const POLLEN_LEVEL_LABELS = { low: 'Low', moderate: 'Moderate', high: 'High', 'very-high': 'Very high' };
+
+// Activities whose insights include the trail drying estimate
+const TRAIL_ACTIVITIES = ['gravel', 'mtb'];
+const TRAIL_STATE_LABELS = { dry: 'Dry', tacky: 'Tacky – prime grip', soft: 'Soft – please stay off', muddy: 'Muddy' };
+
+const SUN_ICONS = {
+  sunrise: 'assets/icons/weather3/reshot-icon-sunrise-XDM62G8UB3.svg',
+  sunset: 'assets/icons/weather3/reshot-icon-sunset-7A5LQVGNDT.svg'
+};
 
 const currentContainer = document.getElementById('current-conditions');
 const currentSummary = document.getElementById('current-summary');
 const weatherBgIcon = document.getElementById('weather-bg-icon');
 const insightsContainer = document.getElementById('insights');
 const hourlyContainer = document.getElementById('hourly-forecast');
+const hourlyScoreStrip = document.getElementById('hourly-score-strip');
 const dailyContainer = document.getElementById('daily-forecast');
 const toast = document.getElementById('toast');
+const staleIndicator = document.getElementById('stale-indicator');
+const routeFileInput = document.getElementById('route-file');
+const routeSummary = document.getElementById('route-summary');
+const routeClearBtn = document.getElementById('route-clear');
+const rideWindowsContainer = document.getElementById('ride-windows');
+const windowDurationSelect = document.getElementById('window-duration');
+const windowEarliestInput = document.getElementById('window-earliest');
+const windowLatestInput = document.getElementById('window-latest');
+const windowIntensitySelect = document.getElementById('window-intensity');
+const commuteList = document.getElementById('commute-list');
+const commuteForm = document.getElementById('commute-form');
+const pinLocationBtn = document.getElementById('pin-location');
+const compareRefreshBtn = document.getElementById('compare-refresh');
+const compareTable = document.getElementById('compare-table');
+const climateForm = document.getElementById('climate-form');
+const climateFromInput = document.getElementById('climate-from');
+const climateToInput = document.getElementById('climate-to');
+const climateCard = document.getElementById('climate-card');
 let dailyTempChart = null;
 
 // Init
@@ -80,7 +214,13 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Load persisted units before wiring UI so initial render reflects preference
   const savedUnits = loadUnitsFromStorage();
   if (savedUnits) state.units = savedUnits;
+  const savedPlanner = loadPlannerFromStorage();
+  if (savedPlanner) state.planner = savedPlanner;
+  state.riderProfile = loadRiderProfile();
+  state.commutes = loadCommutes();
+  state.pinned = loadPinnedLocations();
   bindUI();
+  registerServiceWorker();
   initScenicImageFallback();
   try {
     // Try last location first
@@ -99,6 +239,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     await loadWeather({ name: 'San Francisco', latitude: 37.7749, longitude: -122.4194, region: 'CA', country: 'USA' });
   }
   renderRecentsDropdown();
+  if (state.pinned.length) refreshComparison();
 });
 
 /**
@@ -112,9 +253,131 @@ function bindUI() {
       state.activity = btn.dataset.activity;
       activityButtons.forEach(b => b.setAttribute('aria-selected', String(b === btn)));
       renderInsights();
+      renderHourly();
+      renderRideWindows();
+      renderDaily();
+      renderComparison();
+      renderClimate();
     });
   });
 
+  // Ride window planner controls
+  if (windowDurationSelect && windowEarliestInput && windowLatestInput) {
+    windowDurationSelect.value = String(state.planner.durationHours);
+    windowEarliestInput.value = state.planner.earliestStart;
+    windowLatestInput.value = state.planner.latestStart;
+    if (windowIntensitySelect) windowIntensitySelect.value = state.planner.intensity;
+    const onPlannerChanged = () => {
+      state.planner = {
+        durationHours: Number(windowDurationSelect.value) || 2,
+        earliestStart: windowEarliestInput.value || '00:00',
+        latestStart: windowLatestInput.value || '23:59',
+        intensity: windowIntensitySelect?.value || DEFAULT_INTENSITY
+      };
+      savePlannerToStorage(state.planner);
+      renderInsights();
+      renderRideWindows();
+      renderComparison();
+    };
+    windowDurationSelect.addEventListener('change', onPlannerChanged);
+    windowEarliestInput.addEventListener('change', onPlannerChanged);
+    windowLatestInput.addEventListener('change', onPlannerChanged);
+    windowIntensitySelect?.addEventListener('change', onPlannerChanged);
+  }
+
+  // Commute schedules: add via the form, remove from the card
+  commuteForm?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const value = (id) => document.getElementById(id)?.value || '';
+    const [origin, destination] = await Promise.all([resolvePlace(value('commute-origin')), resolvePlace(value('commute-destination'))]);
+    const commute = {
+      name: value('commute-name'),
+      weekdays: Array.from(commuteForm.querySelectorAll('input[name="commute-day"]:checked')).map(el => Number(el.value)),
+      departTime: value('commute-depart'),
+      returnTime: value('commute-return'),
+      origin,
+      destination
+    };
+    state.commutes = saveCommutes([...state.commutes, commute]);
+    document.getElementById('commute-add')?.removeAttribute('open');
+    renderCommutes();
+    renderInsights();
+  });
+  commuteList?.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-remove-commute]');
+    if (!btn) return;
+    state.commutes = saveCommutes(state.commutes.filter(c => c.id !== btn.dataset.removeCommute));
+    renderCommutes();
+    renderInsights();
+  });
+
+  // Pinned locations: pin/unpin the viewed place, fetch all at once, click a row to switch
+  pinLocationBtn?.addEventListener('click', () => {
+    if (!state.location) return;
+    const wasPinned = isPinned(state.pinned, state.location);
+    if (!wasPinned && state.pinned.length >= MAX_PINNED) {
+      showToast(`Up to ${MAX_PINNED} pinned locations – the oldest was unpinned.`);
+      setTimeout(hideToast, 3000);
+    }
+    state.pinned = togglePinnedLocation(state.pinned, state.location);
+    if (wasPinned) {
+      const key = locationKey(state.location);
+      state.comparison = state.comparison?.filter(r => locationKey(r.location) !== key) || null;
+      renderComparison();
+    } else {
+      refreshComparison();
+    }
+  });
+  compareRefreshBtn?.addEventListener('click', () => refreshComparison());
+
+  // Climate norms for a date range at the viewed location
+  climateForm?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    loadClimate();
+  });
+  compareTable?.addEventListener('click', (e) => {
+    const unpin = e.target.closest('[data-unpin]');
+    if (unpin) {
+      state.pinned = savePinnedLocations(state.pinned.filter(p => locationKey(p) !== unpin.dataset.unpin));
+      state.comparison = state.comparison?.filter(r => locationKey(r.location) !== unpin.dataset.unpin) || null;
+      renderComparison();
+      return;
+    }
+    const row = e.target.closest('[data-compare-key]');
+    const match = row && state.comparison?.find(r => locationKey(r.location) === row.dataset.compareKey);
+    if (match) loadWeather(match.location, isForecastFresh(match.weather) ? match.weather : null);
+  });
+
+  routeFileInput?.addEventListener('change', async () => {
+    const file = routeFileInput.files?.[0];
+    if (!file) return;
+    try {
+      const { name, points } = parseGpx(await file.text());
+      const segments = buildRouteSegments(points);
+      const totalKm = segments.reduce((sum, s) => sum + s.distanceKm, 0);
+      state.route = { name: name || file.name.replace(/\.gpx$/i, ''), segments, totalKm };
+      console.info('[app] route loaded', { name: state.route.name, segments: segments.length, totalKm });
+    } catch (e) {
+      console.error('[app] route import failed', e);
+      showToast('Could not read GPX route.');
+      setTimeout(hideToast, 3000);
+    }
+    routeFileInput.value = '';
+    applyTrailSoil();
+    renderInsights();
+    renderHourly();
+    renderRideWindows();
+    renderDaily();
+  });
+  routeClearBtn?.addEventListener('click', () => {
+    state.route = null;
+    applyTrailSoil();
+    renderInsights();
+    renderHourly();
+    renderRideWindows();
+    renderDaily();
+  });
+
   useGeoButton.addEventListener('click', async () => {
     try {
       setLocationIndicator('Locating…');
@@ -168,34 +431,138 @@ function bindUI() {
   helpClose?.addEventListener('click', closeHelp);
   helpClose2?.addEventListener('click', closeHelp);
 
+  // Rider profile modal
+  const profileBtn = document.getElementById('profile-button');
+  const profileModal = document.getElementById('profile-modal');
+  const profileForm = document.getElementById('profile-form');
+  const openProfile = () => { if (profileModal) { fillProfileForm(state.riderProfile); profileModal.classList.remove('hidden'); profileBtn?.setAttribute('aria-expanded', 'true'); } };
+  const closeProfile = () => { if (profileModal) { profileModal.classList.add('hidden'); profileBtn?.setAttribute('aria-expanded', 'false'); } };
+  profileBtn?.addEventListener('click', openProfile);
+  document.getElementById('profile-overlay')?.addEventListener('click', closeProfile);
+  document.getElementById('profile-close')?.addEventListener('click', closeProfile);
+  document.getElementById('profile-reset')?.addEventListener('click', () => fillProfileForm(DEFAULT_RIDER_PROFILE));
+  profileForm?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    state.riderProfile = saveRiderProfile(readProfileForm());
+    closeProfile();
+    renderAll();
+  });
+
+  // Refresh a cached (offline) forecast as soon as the network returns
+  window.addEventListener('online', () => {
+    if (state.weather?.fromCache && state.location) loadWeather(state.location);
+  });
+
   // Units toggle
   const cBtn = document.getElementById('units-c');
   const fBtn = document.getElementById('units-f');
   if (cBtn && fBtn) {
     cBtn.addEventListener('click', () => {
-      state.units = 'C';
-      saveUnitsToStorage('C');
-      updateUnitsToggleUI();
-      renderAll();
+      setUnits({ ...state.units, temperature: 'C' });
     });
     fBtn.addEventListener('click', () => {
-      state.units = 'F';
-      saveUnitsToStorage('F');
-      updateUnitsToggleUI();
-      renderAll();
+      setUnits({ ...state.units, temperature: 'F' });
     });
     // Initialize visual state
     updateUnitsToggleUI();
   }
+
+  // Unit profile panel (wind, precipitation, visibility, pressure)
+  const unitsToggle = document.getElementById('units-toggle');
+  const unitsPanel = document.getElementById('units-panel');
+  unitsToggle?.addEventListener('click', () => {
+    unitsPanel?.classList.toggle('hidden');
+    unitsToggle.setAttribute('aria-expanded', String(!unitsPanel?.classList.contains('hidden')));
+  });
+  document.addEventListener('click', (e) => {
+    if (unitsPanel && !unitsPanel.contains(e.target) && e.target !== unitsToggle) unitsPanel.classList.add('hidden');
+  });
+  document.getElementById('unit-profile')?.addEventListener('change', (e) => {
+    const preset = UNIT_PROFILES[e.target.value];
+    if (preset) setUnits({ ...preset });
+  });
+  Object.keys(UNIT_OPTIONS).forEach(dim => {
+    document.getElementById(`unit-${dim}`)?.addEventListener('change', (e) => {
+      setUnits({ ...state.units, [dim]: e.target.value });
+    });
+  });
+}
+
+// Rider profile form <-> profile object (temperatures shown in the selected unit)
+function fillProfileForm(profile) {
+  const unit = state.units.temperature;
+  const setValue = (id, v) => { const el = document.getElementById(id); if (el) el.value = v; };
+  setValue('profile-comfort-min', Math.round(convertTemperature(profile.comfortMinC, unit)));
+  setValue('profile-comfort-max', Math.round(convertTemperature(profile.comfortMaxC, unit)));
+  setValue('profile-wind', profile.windTolerance);
+  setValue('profile-heat', profile.heatSensitivity);
+  const rain = document.getElementById('profile-rain');
+  if (rain) rain.checked = profile.ridesInRain;
+  setValue('profile-speed', Math.round(convertWind(profile.ridingSpeedKmh, state.units.wind)));
+  const speedUnitEl = document.getElementById('profile-speed-unit');
+  if (speedUnitEl) speedUnitEl.textContent = unitLabel(state.units.wind);
+  const unitEl = document.getElementById('profile-temp-unit');
+  if (unitEl) unitEl.textContent = unitLabel(unit);
+  document.querySelectorAll('#profile-kit [data-kit-unit]').forEach(el => { el.textContent = unitLabel(unit); });
+  document.querySelectorAll('#profile-kit [data-kit]').forEach(el => {
+    const value = profile.kit?.[el.dataset.kit];
+    el.value = value == null ? '' : Math.round('kitTemp' in el.dataset ? convertTemperature(value, unit) : value);
+  });
+}
+
+function readProfileForm() {
+  const unit = state.units.temperature;
+  const read = (id) => document.getElementById(id)?.value;
+  // Blank or invalid numbers keep the saved value rather than becoming 0
+  const readNumber = (id) => {
+    const raw = String(read(id) ?? '').trim();
+    return raw === '' ? NaN : Number(raw);
+  };
+  const readTemp = (id, fallbackC) => {
+    const value = readNumber(id);
+    return Number.isFinite(value) ? toCelsius(value, unit) : fallbackC;
+  };
+  const speed = readNumber('profile-speed');
+  return {
+    comfortMinC: readTemp('profile-comfort-min', state.riderProfile.comfortMinC),
+    comfortMaxC: readTemp('profile-comfort-max', state.riderProfile.comfortMaxC),
+    windTolerance: read('profile-wind'),
+    heatSensitivity: read('profile-heat'),
+    ridesInRain: Boolean(document.getElementById('profile-rain')?.checked),
+    ridingSpeedKmh: Number.isFinite(speed) ? toKmh(speed, state.units.wind) : state.riderProfile.ridingSpeedKmh,
+    kit: Object.fromEntries(Array.from(document.querySelectorAll('#profile-kit [data-kit]')).map(el => {
+      const value = el.value === '' ? null : Number(el.value);
+      return [el.dataset.kit, value != null && 'kitTemp' in el.dataset ? toCelsius(value, unit) : value];
+    }))
+  };
+}
+
+/**
+ * Goal: Apply a new unit set everywhere.
+ * Why: Every renderer and the chart must switch together.
+ * How: Normalize, persist, sync the header controls, then re-render.
+ */
+function setUnits(units) {
+  state.units = normalizeUnits(units);
+  saveUnitsToStorage(state.units);
+  updateUnitsToggleUI();
+  renderAll();
 }
 
 // Visually highlight the active units toggle
 /**
  * Goal: Reflect the active units selection in the UI.
  * Why: Visual feedback helps users understand which measurement system is active.
- * How: Toggle classes/ARIA on the °C/°F buttons based on current `state.units`.
+ * How: Toggle classes/ARIA on the °C/°F buttons and sync the unit panel selects
+ *      with `state.units`.
  */
 function updateUnitsToggleUI() {
+  const profileSelect = document.getElementById('unit-profile');
+  if (profileSelect) profileSelect.value = matchUnitProfile(state.units);
+  Object.keys(UNIT_OPTIONS).forEach(dim => {
+    const select = document.getElementById(`unit-${dim}`);
+    if (select) select.value = state.units[dim];
+  });
   const cBtn = document.getElementById('units-c');
   const fBtn = document.getElementById('units-f');
   if (!cBtn || !fBtn) return;
@@ -203,7 +570,7 @@ function updateUnitsToggleUI() {
   const active = 'bg-blue-600 text-white dark:bg-blue-500 font-semibold';
   const inactive = 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700';
 
-  if (state.units === 'C') {
+  if (state.units.temperature === 'C') {
     cBtn.className = `${baseBtn} ${active}`;
     fBtn.className = `${baseBtn} ${inactive}`;
     cBtn.setAttribute('aria-pressed', 'true');
@@ -268,8 +635,10 @@ function renderSearchResults(cities) {
  * Goal: Fetch weather for a location and update all UI.
  * Why: Central data-loading entry point reused by search, recents, and geolocation.
  * How: Save selection (recents/last), fetch via `fetchWeatherData`, then `renderAll`.
+ *      `preloaded` is a forecast already fetched for this location (comparison
+ *      table), used instead of fetching again.
  */
-async function loadWeather(location) {
+async function loadWeather(location, preloaded = null) {
   state.location = location;
   setLocationIndicator(`${location.name}${location.region ? ', ' + location.region : ''}${location.country ? ', ' + location.country : ''}`);
   setTitleLocation(`${location.name}${location.region ? ', ' + location.region : ''}${location.country ? ', ' + location.country : ''}`);
@@ -277,8 +646,9 @@ async function loadWeather(location) {
     showToast('Loading weather…');
     console.groupCollapsed('[app] loadWeather');
     console.info('[app] location', location);
-    const weather = await fetchWeatherData(location.latitude, location.longitude);
+    const weather = preloaded || await fetchWeatherData(location.latitude, location.longitude);
     state.weather = weather;
+    applyTrailSoil();
     console.info('[app] weather loaded', {
       hourly: weather.hourly?.length,
       daily: weather.daily?.length,
@@ -297,6 +667,10 @@ async function loadWeather(location) {
     setLastLocation(location);
     renderAll();
     hideToast();
+    if (weather.fromCache) {
+      showToast(`Offline – showing forecast from ${formatAge(weather.fetchedAt)}`);
+      setTimeout(hideToast, 4000);
+    }
     console.groupEnd();
   } catch (e) {
     hideToast();
@@ -314,11 +688,25 @@ function renderAll() {
   renderCurrent();
   renderInsights();
   renderHourly();
+  renderRideWindows();
+  renderCommutes();
+  renderComparison();
   renderDaily();
   renderDailyTempChart();
+  renderClimate();
   renderRecentsDropdown();
 }
 
+/**
+ * Goal: Install the offline service worker.
+ * Why: Caches the app shell and the last forecast per location for offline use.
+ * How: Register `sw.js` at the site root when supported; failures are non-fatal.
+ */
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.register('sw.js').catch(e => console.warn('[app] service worker registration failed', e));
+}
+
 /**
  * Goal: Load a scenic Unsplash photo as a visual fallback/header.
  * Why: Enhances aesthetics when no hero image is present.
@@ -377,12 +765,19 @@ function renderCurrent() {
   currentContainer.innerHTML = '';
   // Summary with big temp and condition
   const mainTemp = formatTemp(c.temperature);
+  const updatedAt = state.weather.fetchedAt ? new Date(state.weather.fetchedAt) : new Date();
+  if (staleIndicator) {
+    const isMock = state.weather.provider === 'mock';
+    staleIndicator.textContent = state.weather.fromCache ? `Offline · data from ${formatAge(state.weather.fetchedAt)}` : (isMock ? 'Mock data (recorded fixture)' : '');
+    staleIndicator.classList.toggle('hidden', !state.weather.fromCache && !isMock);
+  }
   currentSummary.innerHTML = `
     <div class="flex items-end gap-3">
       <div class="text-5xl font-bold">${mainTemp}</div>
       <div class="text-lg text-gray-600 dark:text-gray-300">${c.weatherText}</div>
     </div>
-    <div class="text-sm text-gray-500 dark:text-gray-400">Wind ${Math.round(c.windSpeed ?? 0)} km/h · UV ${Math.round(c.uvIndex ?? 0)} · Updated ${new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</div>
+    <div class="text-sm text-gray-500 dark:text-gray-400">Wind ${formatWind(c.windSpeed, state.units.wind)} · UV ${Math.round(c.uvIndex ?? 0)} · Updated ${updatedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</div>
+    ${renderNowcast()}
   `;
 
   // Background weather icon with runtime fallback and higher visibility layer
@@ -390,25 +785,93 @@ function renderCurrent() {
   if (weatherBgIcon) weatherBgIcon.innerHTML = '';
   const items = [
     { label: 'Temp', value: `${formatTemp(c.temperature)}`, icon: 'temp', title: 'Air temperature' },
-    { label: 'Feels', value: `${formatTemp(c.temperature)}`, icon: 'thermo', title: 'Feels like (approx)' },
-    { label: 'Wind', value: `${Math.round(c.windSpeed ?? 0)} km/h`, icon: 'wind', title: 'Wind speed at 10m' },
+    { label: 'Feels', value: formatTemp(c.apparentTemperature ?? c.temperature), icon: 'thermo', title: 'Apparent temperature (humidity and wind)' },
+    { label: 'Wind', value: formatWind(c.windSpeed, state.units.wind), icon: 'wind', title: 'Wind speed at 10m' },
+    { label: 'Gusts', value: c.windGusts == null ? '–' : formatWind(c.windGusts, state.units.wind), icon: 'wind', title: 'Wind gusts at 10m' },
     { label: 'UV', value: `${Math.round(c.uvIndex ?? 0)}`, icon: 'uv', title: 'UV index' },
     { label: 'Precip', value: `${Math.round(c.precipitationProbability ?? 0)}%`, icon: 'humidity', title: 'Precipitation probability' },
     { label: 'Cloud', value: `${Math.round(c.cloudCover ?? 0)}%`, icon: 'cloud', title: 'Cloud cover' },
-    { label: 'Visibility', value: `${Math.round((c.visibility ?? 0) / 1000)} km`, icon: 'visibility', title: 'Visibility' },
+    { label: 'Visibility', value: formatVisibility(c.visibility, state.units.visibility), icon: 'visibility', title: 'Visibility' },
+    { label: 'Rain', value: formatPrecipitation(c.precipitation, state.units.precipitation), icon: 'humidity', title: 'Precipitation this hour' },
+    { label: 'Pressure', value: formatPressure(c.pressure, state.units.pressure), icon: 'flag', title: 'Surface pressure' },
     { label: 'Conditions', value: `${c.weatherText}`, icon: 'flag', title: 'Weather summary' }
   ];
+  if (c.iceRisk && c.iceRisk.level !== 'none') {
+    items.push({ label: 'Road ice', value: ICE_LABELS[c.iceRisk.level], icon: 'thermo', title: `Road-ice likelihood ${Math.round(c.iceRisk.likelihood * 100)}% (${c.iceRisk.reasons.join(', ')})` });
+  }
+  // Riding wind chill / heat stress only when they differ meaningfully from the air temperature
+  const riding = thermalComfort(c, state.riderProfile.ridingSpeedKmh);
+  if (riding.windChill != null && riding.windChill <= c.temperature - 1) {
+    items.push({ label: 'Wind chill', value: formatTemp(riding.windChill), icon: 'thermo', title: `Wind chill at riding speed (${formatWind(riding.airSpeedKmh, state.units.wind)} air speed)` });
+  }
+  if (c.heatIndex != null && c.heatIndex >= c.temperature + 1) {
+    items.push({ label: 'Heat index', value: formatTemp(c.heatIndex), icon: 'thermo', title: 'Heat index (temperature + humidity)' });
+  }
+  if (c.wbgt != null && c.temperature >= 20) {
+    items.push({ label: 'WBGT', value: formatTemp(c.wbgt), icon: 'uv', title: `Estimated wet-bulb globe temperature (sun, light wind) – heat stress from ${formatTemp(28)}` });
+  }
+  const today = todayDaily();
+  const aqi = aqiCategory(c.usAqi);
+  if (aqi) items.push({ label: 'AQI', value: `${Math.round(c.usAqi)} · ${aqi.label}`, icon: 'haze', title: `US AQI${c.europeanAqi != null ? ` (European AQI ${Math.round(c.europeanAqi)})` : ''}` });
+  if (c.pm25 != null) items.push({ label: 'PM2.5', value: `${Math.round(c.pm25)} µg/m³`, icon: 'haze', title: `Fine particulate matter${c.ozone != null ? ` · ozone ${Math.round(c.ozone)} µg/m³` : ''}` });
+  const pollen = dominantPollen(c.pollen);
+  if (pollen) items.push({ label: 'Pollen', value: `${pollen.label} · ${POLLEN_LEVEL_LABELS[pollen.level]}`, icon: 'pollen', title: `${pollen.label} pollen ${Math.round(pollen.count)} grains/m³` });
+  if (today?.sunrise) items.push({ label: 'Sunrise', value: formatHour(today.sunrise), img: SUN_ICONS.sunrise, title: today.civilDawn ? `First light (civil dawn) ${formatHour(today.civilDawn)}` : 'Sunrise' });
+  if (today?.sunset) items.push({ label: 'Sunset', value: formatHour(today.sunset), img: SUN_ICONS.sunset, title: today.civilDusk ? `Dark (civil dusk) ${formatHour(today.civilDusk)}` : 'Sunset' });
   items.forEach(it => {
     const div = document.createElement('div');
     div.className = 'rounded-md bg-gray-50 dark:bg-gray-700 p-3';
+    const label = it.img ? `<img src="${it.img}" alt="" class="w-5 h-5" />` : icon(it.icon || 'flag');
     div.innerHTML = `
-      <div class="flex items-center gap-2 text-xs text-gray-500 dark:text-gray-300" title="${it.title || ''}">${icon(it.icon || 'flag')}<span>${it.label}</span></div>
+      <div class="flex items-center gap-2 text-xs text-gray-500 dark:text-gray-300" title="${it.title || ''}">${label}<span>${it.label}</span></div>
       <div class="text-lg font-semibold">${it.value}</div>
     `;
     currentContainer.appendChild(div);
   });
 }
 
+/**
+ * Goal: Show whether rain is coming in the next two hours, and when.
+ * Why: "Rain starts in ~35 min" decides whether to leave now or wait it out.
+ * How: One cell per 15 minutes from `nowcast.js`, coloured by intensity, with
+ *      a plain-language countdown; hidden without 15-minute data.
+ */
+function renderNowcast() {
+  const nowcast = precipitationNowcast(state.weather);
+  if (!nowcast) return '';
+  const cells = nowcast.slots.map((slot, idx) => {
+    const title = `${slot.from.slice(11, 16)}–${slot.to.slice(11, 16)} · ${slot.intensity === 'none' ? 'dry' : `${slot.intensity} rain, ${formatPrecipitation(slot.precipitation, state.units.precipitation)}`}`;
+    return `
+      <div class="flex-1 min-w-0 text-center" title="${title}">
+        <div class="h-3 rounded-sm ${RAIN_CELL_CLASSES[slot.intensity]}"></div>
+        <div class="mt-0.5 text-[10px] text-gray-500 dark:text-gray-400">${idx % 2 === 0 ? slot.from.slice(11, 16) : '&nbsp;'}</div>
+      </div>`;
+  }).join('');
+  return `
+    <div class="mt-2 max-w-md text-sm" aria-label="Rain in the next ${NOWCAST_MINUTES / 60} hours">
+      <div class="font-medium">${nowcastText(nowcast)}</div>
+      <div class="mt-1 flex gap-0.5">${cells}</div>
+    </div>
+  `;
+}
+
+function nowcastText(nowcast) {
+  const hours = NOWCAST_MINUTES / 60;
+  const heavy = nowcast.peakIntensity === 'heavy' ? ' (heavy)' : '';
+  if (nowcast.raining) {
+    return nowcast.endsInMinutes == null ? `Rain for the next ${hours} hours${heavy}` : `Raining – easing in ~${nowcast.endsInMinutes} min`;
+  }
+  if (nowcast.startsInMinutes != null) return `Rain starts in ~${Math.max(5, nowcast.startsInMinutes)} min${heavy}`;
+  return `No rain expected in the next ${hours} hours`;
+}
+
+// Today's daily entry, by the location-local date of the nearest hour
+function todayDaily() {
+  const w = state.weather;
+  const date = String(w?.hourly?.[Number(w.nearestIndex) || 0]?.time || '').slice(0, 10);
+  return (w?.daily || []).find(d => d.date === date) || null;
+}
+
 /**
  * Goal: Present bike-activity insights and safety alerts.
  * Why: Translate raw weather into rideability scores and practical guidance.
@@ -417,17 +880,21 @@ function renderCurrent() {
 function renderInsights() {
   if (!state.weather) return;
   insightsContainer.innerHTML = '';
+  const routeWind = state.route ? analyzeRouteWind(state.route.segments, state.weather.current?.windDirection) : null;
+  renderRouteSummary(routeWind);
   // Update insights card background based on selected activity
   const insightsCard = document.getElementById('insights-card');
   if (insightsCard) {
     const base = 'rounded-lg shadow-lg p-4 backdrop-blur';
-    let bg = 'bg-white/90 dark:bg-gray-800/90';
-    if (state.activity === 'road') bg = 'bg-gradient-to-r from-blue-50 to-blue-100 dark:from-gray-800 dark:to-gray-700';
-    if (state.activity === 'gravel') bg = 'bg-gradient-to-r from-orange-50 to-orange-100 dark:from-gray-800 dark:to-gray-700';
-    if (state.activity === 'mtb') bg = 'bg-gradient-to-r from-emerald-50 to-green-100 dark:from-gray-800 dark:to-gray-700';
+    const bg = ACTIVITY_STYLES[state.activity]?.bg || 'bg-white/90 dark:bg-gray-800/90';
     insightsCard.className = `${base} ${bg}`;
   }
-  const alerts = generateSafetyAlerts(state.weather);
+  // Official warnings (CAP feeds) first, then our own threshold alerts
+  const alerts = [
+    ...warningAlerts(state.weather.warnings),
+    ...generateSafetyAlerts(state.weather, state.riderProfile),
+    ...generateActivityAlerts(state.weather, state.activity, { route: state.route, commuteTimes: savedCommuteTimes(), precipitationUnit: state.units.precipitation })
+  ];
   const alertsDiv = document.createElement('div');
   alertsDiv.className = 'space-y-2';
   if (alerts.length) {
@@ -435,44 +902,30 @@ function renderInsights() {
       const color = a.severity === 'high' ? 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-200' : 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-200';
       const d = document.createElement('div');
       d.className = `rounded-md px-3 py-2 ${color}`;
-      d.innerHTML = `<span class="mr-2">${aIcon(a.type)}</span>${a.message}`;
+      const badge = a.official ? `<span class="mr-2 rounded bg-white/70 dark:bg-black/30 px-1.5 text-xs font-semibold uppercase" title="${escapeHtml(a.source || 'Official warning')}">Official</span>` : '';
+      d.innerHTML = `<span class="mr-2">${aIcon(a.type)}</span>${badge}${escapeHtml(a.message)}`;
       alertsDiv.appendChild(d);
     });
   }
 
   const header = document.createElement('div');
   header.className = 'flex items-center justify-between';
-  let score100 = 0; // internal 0–100 for colors/labels
-  let score10 = 0;  // displayed 1–10 score
-  let roadScoreDetail = null;
-  let gravelScoreDetail = null;
-  let mtbScoreDetail = null;
-  if (state.activity === 'road') {
-    // Use new 1–10 bike score; map to 0–100 for header
-    roadScoreDetail = calculateBikeScoreFromWeather(state.weather, 'crosswind');
-    const { score: s10 } = roadScoreDetail;
-    score10 = s10;
-    score100 = Math.round(s10 * 10);
-  }
-  if (state.activity === 'gravel') {
-    gravelScoreDetail = calculateGravelScoreFromWeather(state.weather);
-    score10 = gravelScoreDetail.score;
-    score100 = Math.round(gravelScoreDetail.score * 10);
-  }
-  if (state.activity === 'mtb') {
-    mtbScoreDetail = calculateMTBScoreFromWeather(state.weather);
-    score10 = mtbScoreDetail.score;
-    score100 = Math.round(mtbScoreDetail.score * 10);
-  }
+  // 1–10 score from the activity's rule set; route-aware rule sets weigh wind by the loaded route
+  const scoreDetail = calculateActivityScoreFromWeather(state.weather, state.activity, routeWind ? routeWind.shares : 'crosswind', state.riderProfile);
+  const score10 = scoreDetail.score;
+  let score100 = Math.round(score10 * 10); // internal 0–100 for colors/labels
   // Remove extra global penalties to avoid double-counting with new algo
   // Ensure score stays within 0-100 before any downstream usage
   score100 = clamp(score100, 0, 100);
   const { label, emoji, colorClass } = scoreToLabel(score100);
   const classes = scoreColorClasses(score100);
-  const activityIcon = state.activity === 'road' ? '🚴🏼‍♂️' : (state.activity === 'gravel' ? '🚴🏼' : '🚵🏼‍♀️');
+  const activityIcon = ACTIVITY_STYLES[state.activity]?.icon || '🚴🏼‍♂️';
   header.innerHTML = `
-    <div class="text-sm text-gray-500 dark:text-gray-400">Selected: <span class="mr-1">${activityIcon}</span><span class="font-medium capitalize">${state.activity}</span></div>
-    <div class="inline-flex items-center gap-2 ${classes.bg} ${classes.text} px-3 py-1 rounded-full text-sm font-medium shadow-sm">${emoji} <span>${score10}/10 – ${label}</span></div>
+    <div class="text-sm text-gray-500 dark:text-gray-400">Selected: <span class="mr-1">${activityIcon}</span><span class="font-medium">${getActivityRules(state.activity).label}</span></div>
+    <div class="flex items-center gap-2">
+      ${uncertainChip(scoreDetail, activityScoreRange(state.weather.current, state.activity, routeWind ? routeWind.shares : 'crosswind', state.riderProfile))}
+      <div class="inline-flex items-center gap-2 ${classes.bg} ${classes.text} px-3 py-1 rounded-full text-sm font-medium shadow-sm">${emoji} <span>${score10}/10 – ${label}</span></div>
+    </div>
   `;
 
   insightsContainer.appendChild(header);
@@ -483,13 +936,16 @@ function renderInsights() {
     insightsContainer.appendChild(t);
     insightsContainer.appendChild(alertsDiv);
   }
+  const stormStrip = renderStormTimeline();
+  if (stormStrip) insightsContainer.insertAdjacentHTML('beforeend', stormStrip);
 
-  // Biking Conditions Tile (imperial display)
+  // Biking Conditions Tile
   const c = state.weather.current;
-  const windMph = Math.round(kmhToMph(c.windSpeed ?? 0));
+  const windMph = Math.round(convertWind(c.windSpeed ?? 0, 'mph')); // thresholds below are in mph
+  const windDisp = formatWind(c.windSpeed, state.units.wind);
   const tempDisp = formatTemp(c.temperature ?? 0);
   const humidity = Math.round(c.humidity ?? 0);
-  const visMi = Math.round(kmToMi((c.visibility ?? 0) / 1000));
+  const visDisp = formatVisibility(c.visibility, state.units.visibility);
   const windDir = degToCardinal(c.windDirection ?? 0);
   // Convert to 1–10 scale as an integer
   const tenInt = clamp(Math.round(score100 / 10), 1, 10);
@@ -499,22 +955,24 @@ function renderInsights() {
 
   const bikeTile = document.createElement('section');
   bikeTile.className = 'mt-3 rounded-lg border border-gray-200 dark:border-gray-700 p-4 bg-gradient-to-r from-emerald-50 to-green-100 dark:from-gray-800 dark:to-gray-700';
-  const explain = (roadScoreDetail || gravelScoreDetail || mtbScoreDetail) ? `
+  const breakdownRows = Object.entries(scoreDetail.breakdown || {})
+    .filter(([key, value]) => ['windPenalty', 'temperaturePenalty', 'humidityPenalty', 'visibilityPenalty', 'uvPenalty'].includes(key) || value > 0)
+    .map(([key, value]) => `<li>${BREAKDOWN_LABELS[key] || key}: ${value}</li>`)
+    .join('');
+  const usesRouteWind = routeWind && getActivityRules(state.activity).factors?.some(f => f.windRelation);
+  const explain = `
     <div class="mt-2">
       <button id="bike-more-btn" class="text-sm underline">Details</button>
       <div id="bike-explain" class="mt-2 hidden text-sm text-gray-700 dark:text-gray-200">
-        <div class="mb-1">${(roadScoreDetail||gravelScoreDetail||mtbScoreDetail).message || ''}</div>
-        <div>Score calculation (1–10): <span class="font-semibold">${(roadScoreDetail||gravelScoreDetail||mtbScoreDetail).score}</span></div>
+        <div class="mb-1">${scoreDetail.message || ''}</div>
+        <div>Score calculation (1–10): <span class="font-semibold">${scoreDetail.score}</span></div>
         <ul class="mt-1 list-disc pl-5">
-          <li>Wind penalty: ${(roadScoreDetail||gravelScoreDetail||mtbScoreDetail).breakdown?.windPenalty ?? 0}</li>
-          <li>Temperature penalty: ${(roadScoreDetail||gravelScoreDetail||mtbScoreDetail).breakdown?.temperaturePenalty ?? 0}</li>
-          <li>Humidity penalty: ${(roadScoreDetail||gravelScoreDetail||mtbScoreDetail).breakdown?.humidityPenalty ?? 0}</li>
-          <li>Visibility penalty: ${(roadScoreDetail||gravelScoreDetail||mtbScoreDetail).breakdown?.visibilityPenalty ?? 0}</li>
-          ${(roadScoreDetail||gravelScoreDetail||mtbScoreDetail).breakdown?.uvPenalty != null ? `<li>UV penalty: ${(roadScoreDetail||gravelScoreDetail||mtbScoreDetail).breakdown.uvPenalty}</li>` : ''}
+          ${breakdownRows}
         </ul>
+        ${usesRouteWind ? `<div class="mt-1 text-xs text-gray-500 dark:text-gray-400">Wind penalty weighted by route: ${formatRouteShares(routeWind.shares)}</div>` : ''}
       </div>
     </div>
-  ` : '';
+  `;
 
   const bigIcon = `
     <div class="mt-4 flex justify-center items-center">
@@ -535,17 +993,20 @@ function renderInsights() {
         <div class="text-sm mb-3">${labelEl}</div>
         <div class="text-sm font-medium mb-1">Key Factors</div>
         <ul class="text-sm mb-3 space-y-1">
-          <li class="flex items-center gap-2">${icon('wind')}<span>Wind: ${windMph}mph ${windDir}</span></li>
+          <li class="flex items-center gap-2">${icon('wind')}<span>Wind: ${windDisp} ${windDir}</span></li>
           <li class="flex items-center gap-2">${icon('temp')}<span>Temperature: ${tempDisp}</span></li>
           <li class="flex items-center gap-2">${icon('humidity')}<span>Humidity: ${humidity}%</span></li>
-          <li class="flex items-center gap-2">${icon('visibility')}<span>Visibility: ${visMi}mi</span></li>
+          <li class="flex items-center gap-2">${icon('visibility')}<span>Visibility: ${visDisp}</span></li>
         </ul>
         <div class="text-sm font-medium mb-1">Recommendations</div>
         <ul class="text-sm space-y-1">
-          <li class="flex items-center gap-2">${icon('flag')}<span>${windMph <= 6 ? 'Light wind conditions' : 'Manage crosswinds on exposed sections'}</span></li>
-          <li class="flex items-center gap-2">${icon('thermo')}<span>${(state.units === 'F' ? (Number(c.temperature) >= 55 && Number(c.temperature) <= 75) : (Number(c.temperature) >= 13 && Number(c.temperature) <= 24)) ? 'Perfect temperature for long rides' : (state.units === 'F' ? (Number(c.temperature) < 55 ? 'Layer up for cooler temps' : 'Hydrate and avoid peak sun') : (Number(c.temperature) < 13 ? 'Layer up for cooler temps' : 'Hydrate and avoid peak sun'))}</span></li>
+          <li class="flex items-center gap-2">${icon('flag')}<span>${windRecommendation(windMph, routeWind)}</span></li>
+          <li class="flex items-center gap-2">${icon('thermo')}<span>${(Number(c.temperature) >= 13 && Number(c.temperature) <= 24) ? 'Perfect temperature for long rides' : (Number(c.temperature) < 13 ? 'Layer up for cooler temps' : 'Hydrate and avoid peak sun')}</span></li>
           <li class="flex items-center gap-2">${icon('uv')}<span>${(c.uvIndex ?? 0) >= 6 ? 'UV protection strongly recommended' : 'UV protection recommended'}</span></li>
+          ${getActivityRecommendations(state.weather, state.activity, { commuteTimes: savedCommuteTimes() }).map(tip => `<li class="flex items-center gap-2">${icon('flag')}<span>${tip}</span></li>`).join('')}
         </ul>
+        ${renderKitChecklist()}
+        ${TRAIL_ACTIVITIES.includes(state.activity) ? renderTrailReadiness() : ''}
       </div>
       <div class="sm:w-72 w-full sm:border-l sm:pl-4 border-gray-200 dark:border-gray-700">
         ${explain}
@@ -554,6 +1015,20 @@ function renderInsights() {
     </div>
   `;
   insightsContainer.appendChild(bikeTile);
+  const fueling = renderFueling();
+  if (fueling) insightsContainer.insertAdjacentHTML('beforeend', fueling);
+
+  const soilSelect = bikeTile.querySelector('#trail-soil');
+  if (soilSelect) {
+    soilSelect.addEventListener('change', () => {
+      saveTrailSoil(trailKey(state), soilSelect.value);
+      applyTrailSoil();
+      renderInsights();
+      renderHourly();
+      renderRideWindows();
+      renderDaily();
+    });
+  }
 
   // Wire up the More/Less toggle
   const moreBtn = bikeTile.querySelector('#bike-more-btn');
@@ -566,10 +1041,195 @@ function renderInsights() {
   }
 }
 
+/**
+ * Goal: Show the thunderstorm risk hour by hour ahead.
+ * Why: Riders need to see when they could be caught out, not just that a storm is coming.
+ * How: One cell per hour for the next 12 h, coloured by `stormRisk` level; hidden
+ *      when every hour is calm.
+ */
+function renderStormTimeline() {
+  const w = state.weather;
+  if (!stormTimeline(w, STORM_HOURS).length) return '';
+  const start = Number(w.nearestIndex) || 0;
+  const cells = w.hourly.slice(start, start + STORM_HOURS).map(h => {
+    const risk = h.stormRisk || { level: 'none', reasons: [] };
+    const title = `${formatHour(h.time)} – ${risk.level === 'none' ? 'no storm risk' : `${risk.level} storm risk (${risk.reasons.join(', ')})`}${risk.cape != null ? ` · CAPE ${Math.round(risk.cape)} J/kg` : ''}`;
+    return `
+      <div class="flex-1 min-w-0 text-center" title="${title}">
+        <div class="h-3 rounded-sm ${STORM_CELL_CLASSES[risk.level]}"></div>
+        <div class="mt-0.5 text-[10px] text-gray-500 dark:text-gray-400">${String(h.time).slice(11, 13)}</div>
+      </div>`;
+  }).join('');
+  return `
+    <div class="mt-2 text-sm">
+      <div class="font-medium">Storm risk – next ${STORM_HOURS} hours</div>
+      <div class="mt-1 flex gap-0.5">${cells}</div>
+    </div>
+  `;
+}
+
+/**
+ * Goal: Show what to wear and bring for the planned ride.
+ * Why: The score says whether to ride; the checklist says how to dress for it.
+ * How: Recommend kit with `kit.js` over the same ride as the fueling card
+ *      (`plannedRideHours`), using the rider's kit thresholds; each item
+ *      explains what called for it in the selected units.
+ */
+function renderKitChecklist() {
+  const { hours, when } = plannedRideHours();
+  const kit = recommendKit(hours, state.riderProfile);
+  if (!kit) return '';
+  const s = kit.stats;
+  const because = {
+    cold: `feels like ${formatTemp(s.minFeelsC)} at riding speed`,
+    rain: `rain chance up to ${Math.round(s.maxPrecipProbability)}%${s.totalPrecipMm >= 0.1 ? `, ${formatPrecipitation(s.totalPrecipMm, state.units.precipitation)}` : ''}`,
+    uv: `UV index up to ${Math.round(s.maxUvIndex ?? 0)}`,
+    dark: 'twilight or dark on the way'
+  };
+  const items = kit.items.map(item => `
+    <li>
+      <label class="flex items-start gap-2">
+        <input type="checkbox" class="mt-0.5" />
+        <span>${item.label}${item.drivers.length ? ` <span class="text-xs text-gray-500 dark:text-gray-400">– ${item.drivers.map(d => because[d]).join('; ')}</span>` : ''}</span>
+      </label>
+    </li>`).join('');
+  return `
+    <div class="mt-3 rounded-md bg-white/60 dark:bg-gray-800/60 p-2 text-sm">
+      <div class="font-medium">Kit checklist <span class="text-xs font-normal text-gray-500 dark:text-gray-400">${when}</span></div>
+      <ul class="mt-1 space-y-1">${items}</ul>
+      <div class="mt-1 text-xs text-gray-500 dark:text-gray-400">Thresholds are editable in the rider profile</div>
+    </div>
+  `;
+}
+
+/**
+ * Goal: The hours of the ride the kit and fueling cards plan for.
+ * Why: Both cards should dress and feed the rider for the same ride – the
+ *      one the planner recommends, not whatever starts now.
+ * How: The best ride window for the current activity and planner settings;
+ *      the next planner-duration hours when no window fits. `when` labels it.
+ */
+function plannedRideHours() {
+  const w = state.weather;
+  const { best } = findBestRideWindows(w, { ...state.planner, activity: state.activity, windRelation: routeWindRelationForHour, profile: state.riderProfile });
+  const start = Number(w.nearestIndex) || 0;
+  const duration = Number(state.planner.durationHours) || 2;
+  if (best) return { hours: w.hourly.filter(h => h.time >= best.startTime && h.time <= best.endTime), when: formatWindowRange(best) };
+  return { hours: w.hourly.slice(start, start + duration), when: `next ${duration} h` };
+}
+
+/**
+ * Goal: Show drink, electrolyte and food needs for the planned ride.
+ * Why: Long summer rides need a plan – how much to carry and where to refill.
+ * How: Estimate with `fueling.js` over `plannedRideHours` at the chosen effort.
+ */
+function renderFueling() {
+  const { hours, when } = plannedRideHours();
+  const f = estimateFueling(hours, { intensity: state.planner.intensity });
+  if (!f) return '';
+  // Fluid follows the precipitation unit: inches → US fluid ounces, else litres
+  const volume = (litres) => (state.units.precipitation === 'in' ? `${Math.round(litres * 33.814)} fl oz` : `${litres.toFixed(1)} L`);
+  const carried = `${DEFAULT_BOTTLES.count} × ${volume(DEFAULT_BOTTLES.litres)} bottles`;
+  const refills = f.refills.length
+    ? `${carried} run dry – refill at ${f.refills.map(r => `${formatHour(r.time)} (${formatDuration(r.afterHours)} in)`).join(', ')}`
+    : `${carried} cover the ride`;
+  return `
+    <section class="mt-3 rounded-lg border border-gray-200 dark:border-gray-700 p-4 bg-white/70 dark:bg-gray-800/70 text-sm">
+      <div class="flex flex-wrap items-baseline justify-between gap-2">
+        <div class="text-lg font-semibold">Hydration &amp; Fueling</div>
+        <div class="text-xs text-gray-500 dark:text-gray-400">${when} · ${INTENSITIES[f.intensity].label.toLowerCase()} effort</div>
+      </div>
+      <div class="mt-2 grid grid-cols-3 gap-2 text-center">
+        <div class="rounded-md bg-blue-50 dark:bg-blue-900/20 p-2"><div class="text-xs text-gray-500 dark:text-gray-400">Fluid</div><div class="font-semibold">${volume(f.totals.fluidL)}</div><div class="text-xs">${volume(f.perHour.fluidL)}/h</div></div>
+        <div class="rounded-md bg-amber-50 dark:bg-amber-900/20 p-2"><div class="text-xs text-gray-500 dark:text-gray-400">Sodium</div><div class="font-semibold">${f.totals.sodiumMg} mg</div><div class="text-xs">${f.perHour.sodiumMg} mg/h</div></div>
+        <div class="rounded-md bg-emerald-50 dark:bg-emerald-900/20 p-2"><div class="text-xs text-gray-500 dark:text-gray-400">Carbs</div><div class="font-semibold">${f.totals.carbsG} g</div><div class="text-xs">${f.perHour.carbsG ? `${f.perHour.carbsG} g/h` : 'not needed'}</div></div>
+      </div>
+      <ul class="mt-2 space-y-1">
+        <li>🚰 ${f.bottleMinutes ? `About one bottle every ${f.bottleMinutes} min. ` : ''}${refills}.</li>
+        <li>🌡️ Heat index peaks at ${formatTemp(f.peak.heatIndexC)} around ${formatHour(f.peak.time)} – sweat up to ${volume(f.peak.sweatLPerH)}/h${f.heatStress ? '; heat stress high, ride easier and add electrolytes to every bottle' : ''}.</li>
+      </ul>
+    </section>
+  `;
+}
+
+function formatDuration(hours) {
+  const minutes = Math.round(hours * 60);
+  return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Trail state for the tagged soil (route or location) on every hour, for the gravel/MTB scores
+function applyTrailSoil() {
+  if (state.weather) state.weather = withTrailWetness(state.weather, loadTrailSoil(trailKey(state)));
+}
+
+/**
+ * Goal: Show when the trail will be rideable, for the soil the rider tagged.
+ * Why: Gravel and MTB riders decide on trail state, not on rain totals.
+ * How: Run `trailReadiness` for the tagged soil (per route or location) and
+ *      render the state, the "rideable from" time and a soil picker.
+ */
+function renderTrailReadiness() {
+  const soil = loadTrailSoil(trailKey(state));
+  const trail = trailReadiness(state.weather, soil);
+  if (!trail) return '';
+  const when = (iso) => `${formatDay(iso)} ${formatHour(iso)}`;
+  let verdict;
+  if (trail.rideableNow) verdict = `Rideable now${trail.wetAgainAt ? ` – until rain softens it ${when(trail.wetAgainAt)}` : ''}`;
+  else if (trail.rideableFrom) verdict = `Trail will be rideable from ${when(trail.rideableFrom)}`;
+  else verdict = 'Not rideable within the forecast – give it more dry days';
+  const options = Object.entries(SOIL_TYPES)
+    .map(([id, s]) => `<option value="${id}" ${id === soil ? 'selected' : ''}>${s.label}</option>`)
+    .join('');
+  return `
+    <div class="mt-3 rounded-md bg-white/60 dark:bg-gray-800/60 p-2 text-sm">
+      <div class="flex items-center justify-between gap-2">
+        <span class="font-medium">Trail: ${TRAIL_STATE_LABELS[trail.state]}</span>
+        <label class="text-xs text-gray-500 dark:text-gray-400">Soil
+          <select id="trail-soil" class="ml-1 rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-xs px-1 py-0.5">${options}</select>
+        </label>
+      </div>
+      <div class="mt-1" title="Modelled surface water ${formatPrecipitation(trail.waterMm, state.units.precipitation)}">${verdict}</div>
+      <div class="mt-1 text-xs text-gray-500 dark:text-gray-400">${state.route ? `Tagged for ${escapeHtml(state.route.name)}` : 'Tagged for this location'} · rain, sun, wind and soil drainage</div>
+    </div>
+  `;
+}
+
+/**
+ * Goal: Show which GPX route (if any) drives the wind direction modifier.
+ * Why: Riders should see how much of their route faces the wind right now.
+ * How: Update the static route row with distance and head/tail/cross shares.
+ */
+function renderRouteSummary(routeWind) {
+  if (!routeSummary) return;
+  if (!state.route || !routeWind) {
+    routeSummary.textContent = 'No route loaded – wind treated as crosswind';
+    routeClearBtn?.classList.add('hidden');
+    return;
+  }
+  routeSummary.textContent = `${state.route.name} · ${formatDistance(routeWind.totalKm, state.units.visibility)} · ${formatRouteShares(routeWind.shares)}`;
+  routeClearBtn?.classList.remove('hidden');
+}
+
+function formatRouteShares(shares) {
+  return ['headwind', 'tailwind', 'crosswind']
+    .map(k => `${Math.round((shares[k] || 0) * 100)}% ${k}`)
+    .join(' · ');
+}
+
+function windRecommendation(windMph, routeWind) {
+  if (windMph <= 6) return 'Light wind conditions';
+  if (routeWind?.relation === 'headwind') return 'Mostly headwind on your route – pace the outbound leg';
+  if (routeWind?.relation === 'tailwind') return 'Mostly tailwind on your route – enjoy the push';
+  return 'Manage crosswinds on exposed sections';
+}
+
 /**
  * Goal: Display the next 24 hours forecast.
  * Why: Hourly trends (temp, rain, wind) help plan timing of a ride.
- * How: Take `next24FromNearest` or first 24 hourly entries and render tiles.
+ * How: Take `next24FromNearest` or first 24 hourly entries, score each hour for
+ *      the selected activity (plus the range across ensemble members), and
+ *      render a score sparkline plus tiles with a color-coded score chip, "?"
+ *      on uncertain hours and the temperature range when models disagree.
  */
 function renderHourly() {
   hourlyContainer.innerHTML = '';
@@ -577,32 +1237,488 @@ function renderHourly() {
   const next24 = state.weather.next24FromNearest && state.weather.next24FromNearest.length
     ? state.weather.next24FromNearest
     : state.weather.hourly.slice(0, 24);
+  const scored = scoreHourlyForecast(next24, state.activity, routeWindRelationForHour, state.riderProfile)
+    .map(h => ({ ...h, scoreRange: activityScoreRange(h, state.activity, routeWindRelationForHour(h), state.riderProfile) }));
+  renderHourlyScoreStrip(scored);
 
-  next24.forEach(h => {
+  scored.forEach(h => {
+    const chip = scoreColorClasses(h.score * 10);
     const d = document.createElement('div');
     d.className = 'min-w-[90px] rounded-md bg-gray-50 dark:bg-gray-700 p-3 text-center';
     d.innerHTML = `
       <div class="text-xs text-gray-500 dark:text-gray-300">${formatHour(h.time)}</div>
+      <div class="inline-block ${chip.bg} ${chip.text} px-2 rounded-full text-xs font-semibold mt-1" title="${getActivityRules(state.activity).label} score${h.uncertain ? ' – uncertain, models disagree' : ''}">${h.score}/10${h.uncertain ? ' ?' : ''}</div>
       <div class="flex justify-center mb-1">${createWeatherIconImg(h.weatherCode, 'w-8 h-8')}</div>
       <div class="text-lg font-semibold">${formatTemp(h.temperature)}</div>
+      ${temperatureRange(h.ensemble)}
       <div class="text-xs">${Math.round(h.precipitationProbability ?? 0)}% rain</div>
-      <div class="text-xs">${Math.round(h.windSpeed ?? 0)} km/h</div>
+      <div class="text-xs">${formatWind(h.windSpeed, state.units.wind)}</div>
+      ${h.windGusts != null ? `<div class="text-xs text-gray-500 dark:text-gray-300" title="Gusts">↯ ${formatWind(h.windGusts, state.units.wind)}</div>` : ''}
+      ${iceChip(h.iceRisk)}
+      ${stormChip(h.stormRisk)}
     `;
     hourlyContainer.appendChild(d);
   });
 }
 
+/**
+ * Goal: Show how rideability evolves over the next 24 hours.
+ * Why: A trend line makes "it gets better after 10:00" obvious at a glance.
+ * How: Draw an inline SVG polyline of 1–10 scores with dots colored by score band,
+ *      over shaded columns for night and civil-twilight hours and, with ensemble
+ *      data, a band spanning the scores of the ensemble members.
+ */
+function renderHourlyScoreStrip(scored) {
+  if (!hourlyScoreStrip) return;
+  if (!scored.length) {
+    hourlyScoreStrip.innerHTML = '';
+    return;
+  }
+  const step = 20;
+  const height = 48;
+  const pad = 6;
+  const width = Math.max(step, (scored.length - 1) * step) + pad * 2;
+  const y = (score) => pad + (10 - score) / 9 * (height - pad * 2);
+  const points = scored.map((h, i) => `${pad + i * step},${y(h.score).toFixed(1)}`).join(' ');
+  const dots = scored.map((h, i) => `<circle cx="${pad + i * step}" cy="${y(h.score).toFixed(1)}" r="3" fill="${scoreStrokeColor(h.score * 10)}"><title>${formatHour(h.time)} – ${h.score}/10</title></circle>`).join('');
+  const shade = { night: 0.18, twilight: 0.08 };
+  const darkBands = scored.map((h, i) => (shade[h.daylight]
+    ? `<rect x="${Math.max(0, pad + i * step - step / 2)}" y="0" width="${step}" height="${height}" fill="#1e3a8a" fill-opacity="${shade[h.daylight]}"><title>${formatHour(h.time)} – ${h.daylight}</title></rect>`
+    : '')).join('');
+  // Ensemble score range as a band behind the line
+  const ranged = scored.map((h, i) => ({ x: pad + i * step, range: h.scoreRange })).filter(p => p.range);
+  const band = ranged.length > 1
+    ? `<polygon points="${[...ranged.map(p => `${p.x},${y(p.range.high).toFixed(1)}`), ...[...ranged].reverse().map(p => `${p.x},${y(p.range.low).toFixed(1)}`)].join(' ')}" fill="currentColor" fill-opacity="0.12"><title>Score range across ensemble members</title></polygon>`
+    : '';
+  const scores = scored.map(h => h.score);
+  const bestIdx = scores.indexOf(Math.max(...scores));
+  hourlyScoreStrip.setAttribute('aria-label', `${getActivityRules(state.activity).label} score ranges ${Math.min(...scores)} to ${Math.max(...scores)} out of 10 over the next ${scored.length} hours`);
+  hourlyScoreStrip.innerHTML = `
+    <div class="flex items-center justify-between text-xs text-gray-500 dark:text-gray-400 mb-1">
+      <span>${getActivityRules(state.activity).label} score trend</span>
+      <span>Peak ${scores[bestIdx]}/10 at ${formatHour(scored[bestIdx].time)}${darkBands ? ' · shaded = dark / twilight' : ''}${band ? ' · band = model range' : ''}</span>
+    </div>
+    <svg viewBox="0 0 ${width} ${height}" class="w-full h-auto">
+      ${darkBands}
+      ${band}
+      <polyline points="${points}" fill="none" stroke="currentColor" stroke-opacity="0.35" stroke-width="2" />
+      ${dots}
+    </svg>
+  `;
+}
+
+function scoreStrokeColor(score) {
+  if (score >= 80) return '#16a34a'; // green-600
+  if (score >= 60) return '#ca8a04'; // yellow-600
+  if (score >= 40) return '#ea580c'; // orange-600
+  return '#dc2626'; // red-600
+}
+
+/**
+ * Goal: Recommend the best time to ride in the next 48 hours.
+ * Why: Riders planning around work or family need a slot, not just hourly numbers.
+ * How: Rank windows with `findBestRideWindows` for the selected activity/duration
+ *      and start range, then show the winner plus non-overlapping alternatives,
+ *      each with the reasons it won or lost.
+ */
+function renderRideWindows() {
+  if (!rideWindowsContainer) return;
+  rideWindowsContainer.innerHTML = '';
+  if (!state.weather) return;
+  const { best, windows } = findBestRideWindows(state.weather, {
+    ...state.planner,
+    activity: state.activity,
+    windRelation: routeWindRelationForHour,
+    profile: state.riderProfile
+  });
+  if (!best) {
+    rideWindowsContainer.innerHTML = '<div class="text-sm text-gray-500 dark:text-gray-400">No window fits the selected duration and start times.</div>';
+    return;
+  }
+  pickDistinctWindows(windows, 3).forEach(w => {
+    const isBest = w === best;
+    const classes = scoreColorClasses(w.windowScore * 10);
+    const el = document.createElement('div');
+    el.className = `rounded-md p-3 ${isBest ? 'border-2 border-emerald-500 bg-emerald-50 dark:bg-emerald-900/20' : 'border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-700'}`;
+    el.innerHTML = `
+      <div class="flex items-center justify-between gap-2">
+        <div class="font-medium">${isBest ? '🏆 ' : ''}${formatWindowRange(w)}</div>
+        <div class="inline-flex items-center ${classes.bg} ${classes.text} px-2 py-0.5 rounded-full text-sm font-medium">${w.windowScore}/10</div>
+      </div>
+      <div class="text-xs text-gray-500 dark:text-gray-300 mt-1">Avg ${w.averageScore}/10 · worst hour ${w.minScore}/10${w.rainPenalty ? ` · rain −${w.rainPenalty}` : ''}</div>
+      <ul class="mt-2 text-sm space-y-1">
+        ${w.reasons.map(r => `<li>${r.positive ? '✅' : '⚠️'} ${formatWindowReason(r)}</li>`).join('')}
+      </ul>
+    `;
+    rideWindowsContainer.appendChild(el);
+  });
+}
+
+const COMMUTE_VERDICTS = {
+  ride: { label: 'Rideable', classes: 'bg-emerald-100 text-emerald-800 dark:bg-emerald-900/30 dark:text-emerald-200' },
+  prepared: { label: 'Rideable with prep', classes: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-200' },
+  transit: { label: 'Swap to transit', classes: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-200' }
+};
+
+/**
+ * Goal: Render one card per saved commute with a verdict for each leg.
+ * Why: "Can I ride in at 7:30 and home at 17:45?" is the commuter's question.
+ * How: Plan schedules with `commute.js`; show verdict, score, conditions and
+ *      what to wear per leg. Legs already ridden today are dimmed.
+ */
+function renderCommutes() {
+  if (!commuteList) return;
+  if (!state.commutes.length) {
+    commuteList.innerHTML = '<div class="text-sm text-gray-500 dark:text-gray-400">No commutes saved yet. Add one to see whether each leg is rideable.</div>';
+    return;
+  }
+  if (!state.weather) return;
+  const plans = planCommutes(state.weather, state.commutes, { profile: state.riderProfile });
+  const planned = new Map(plans.map(p => [p.commute.id, p]));
+  commuteList.innerHTML = state.commutes.map(c => {
+    const plan = planned.get(c.id);
+    const name = escapeHtml(c.name);
+    const route = c.origin && c.destination ? ` · ${escapeHtml(c.origin.name)} → ${escapeHtml(c.destination.name)}` : '';
+    const removeBtn = `<button type="button" class="text-xs text-red-600 hover:underline" data-remove-commute="${escapeHtml(c.id)}" aria-label="Remove ${name} commute">Remove</button>`;
+    if (!plan) {
+      return `<div class="rounded-md p-3 border border-gray-200 dark:border-gray-700"><div class="flex items-center justify-between gap-2"><div class="font-medium">${name}</div>${removeBtn}</div><div class="text-sm text-gray-500 dark:text-gray-400">No scheduled day in the forecast range.</div></div>`;
+    }
+    const verdict = COMMUTE_VERDICTS[plan.verdict];
+    return `
+      <div class="rounded-md p-3 border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-700">
+        <div class="flex items-center justify-between gap-2">
+          <div class="font-medium">${name} <span class="text-sm font-normal text-gray-500 dark:text-gray-300">${formatDay(plan.date)}${route}</span></div>
+          <div class="flex items-center gap-2">
+            <span class="px-2 py-0.5 rounded-full text-sm font-medium ${verdict.classes}">${verdict.label}</span>
+            ${removeBtn}
+          </div>
+        </div>
+        <div class="mt-2 grid gap-2 sm:grid-cols-2">
+          ${plan.legs.map(leg => renderCommuteLeg(leg, plan.legMinutes)).join('')}
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+function renderCommuteLeg(leg, legMinutes) {
+  const verdict = COMMUTE_VERDICTS[leg.verdict];
+  const chip = scoreColorClasses(leg.score * 10);
+  const s = leg.stats;
+  const conditions = [
+    s.minTemp === s.maxTemp ? formatTemp(s.minTemp) : `${formatTemp(s.minTemp)}–${formatTemp(s.maxTemp)}`,
+    `rain ${Math.round(s.maxPrecipProb)}%`,
+    `wind ${formatWind(s.maxWind, state.units.wind)}${s.maxGust ? ` (gusts ${formatWind(s.maxGust, state.units.wind)})` : ''}`,
+    s.dark ? 'dark' : '',
+    s.ice && s.ice !== 'none' ? `ice risk ${s.ice}` : ''
+  ].filter(Boolean).join(' · ');
+  return `
+    <div class="rounded-md p-2 bg-white dark:bg-gray-800 ${leg.past ? 'opacity-50' : ''}">
+      <div class="flex items-center justify-between gap-2">
+        <div class="text-sm font-medium">${leg.kind === 'depart' ? 'Ride in' : 'Ride home'} · ${leg.time} <span class="font-normal text-gray-500 dark:text-gray-400">~${legMinutes} min${leg.past ? ' · done' : ''}</span></div>
+        <div class="inline-flex ${chip.bg} ${chip.text} px-2 rounded-full text-xs font-semibold">${leg.score}/10</div>
+      </div>
+      <div class="text-xs mt-1"><span class="px-1.5 rounded ${verdict.classes}">${verdict.label}</span> <span class="text-gray-500 dark:text-gray-300">${conditions}</span></div>
+      <div class="text-xs mt-1 text-gray-600 dark:text-gray-300">Wear: ${leg.wear.join(', ')}</div>
+    </div>
+  `;
+}
+
+// Departure/return times of saved commutes, for the commute activity alerts
+function savedCommuteTimes() {
+  const times = [...new Set(state.commutes.flatMap(c => [c.departTime, c.returnTime]))];
+  return times.length ? times : undefined;
+}
+
+// Resolve a free-text place to coordinates via geocoding (first match)
+async function resolvePlace(query) {
+  if (!query.trim()) return null;
+  try {
+    const [match] = await searchCities(query);
+    if (match) return { name: match.name, latitude: match.latitude, longitude: match.longitude };
+  } catch (e) {
+    console.warn('[app] commute place lookup failed', e);
+  }
+  showToast(`Could not find “${query.trim()}” – saved without it.`);
+  setTimeout(hideToast, 3000);
+  return null;
+}
+
+let comparisonRun = 0;
+
+/**
+ * Goal: Fetch every pinned location and redraw the comparison table.
+ * Why: One click should bring all forecasts up to date.
+ * How: `compareLocations` fetches concurrently; a newer run supersedes an
+ *      older one still in flight. The latest run re-enables the refresh
+ *      button whether or not it succeeds.
+ */
+async function refreshComparison() {
+  if (!state.pinned.length) {
+    state.comparison = [];
+    renderComparison();
+    return;
+  }
+  const run = ++comparisonRun;
+  if (compareRefreshBtn) compareRefreshBtn.disabled = true;
+  if (compareTable && !state.comparison?.length) {
+    compareTable.innerHTML = '<div class="text-sm text-gray-500 dark:text-gray-400">Loading pinned locations…</div>';
+  }
+  try {
+    const rows = await compareLocations(state.pinned, comparisonOptions());
+    if (run !== comparisonRun) return;
+    state.comparison = rows;
+    renderComparison();
+  } finally {
+    if (run === comparisonRun && compareRefreshBtn) compareRefreshBtn.disabled = false;
+  }
+}
+
+/**
+ * Goal: Render the side-by-side table of pinned locations.
+ * Why: Pick between places at a glance, then jump into one.
+ * How: Re-summarize the fetched forecasts for the current activity, profile
+ *      and planner settings; highlight the best score and the viewed place.
+ *      Rows switch to their location, reusing the row's forecast while it is
+ *      fresh (`isForecastFresh`) and refetching otherwise.
+ */
+function renderComparison() {
+  if (pinLocationBtn) {
+    const pinned = Boolean(state.location) && isPinned(state.pinned, state.location);
+    pinLocationBtn.textContent = pinned ? 'Unpin this location' : 'Pin this location';
+    pinLocationBtn.setAttribute('aria-pressed', String(pinned));
+  }
+  if (!compareTable) return;
+  if (!state.pinned.length) {
+    compareTable.innerHTML = '<div class="text-sm text-gray-500 dark:text-gray-400">Pin two or more places (say, the coast and the hills) to compare them side by side.</div>';
+    return;
+  }
+  if (!state.comparison) {
+    compareTable.innerHTML = `<div class="text-sm text-gray-500 dark:text-gray-400">${state.pinned.length} pinned – press Compare to fetch their forecasts.</div>`;
+    return;
+  }
+  const options = comparisonOptions();
+  const rows = state.comparison.map(r => ({ ...r, summary: r.weather ? summarizeLocation(r.weather, options) : null }));
+  const bestScore = Math.max(...rows.map(r => r.summary?.score ?? -Infinity));
+  const currentKey = state.location ? locationKey(state.location) : '';
+  const cell = 'px-2 py-2 whitespace-nowrap';
+  const body = rows.map(r => {
+    const key = locationKey(r.location);
+    const name = escapeHtml(r.location.name);
+    const unpin = `<button type="button" class="text-xs text-red-600 hover:underline" data-unpin="${escapeHtml(key)}" aria-label="Unpin ${name}">Unpin</button>`;
+    const label = `<div class="font-medium">${key === currentKey ? '📍 ' : ''}${name}</div><div class="text-xs text-gray-500 dark:text-gray-400">${escapeHtml([r.location.region, r.location.country].filter(Boolean).join(', '))}</div>`;
+    if (!r.summary) {
+      return `<tr class="border-t border-gray-200 dark:border-gray-700"><td class="${cell}">${label}</td><td class="${cell} text-gray-500 dark:text-gray-400" colspan="5">Forecast unavailable</td><td class="${cell} text-right">${unpin}</td></tr>`;
+    }
+    const s = r.summary;
+    const chip = scoreColorClasses(s.score * 10);
+    const isBest = rows.length > 1 && s.score === bestScore;
+    const windowText = s.bestWindow
+      ? `${formatHour(s.bestWindow.startTime)}–${formatHour(new Date(new Date(s.bestWindow.endTime).getTime() + 3600 * 1000))} <span class="text-xs text-gray-500 dark:text-gray-400">${s.bestWindow.windowScore}/10</span>`
+      : '<span class="text-gray-500 dark:text-gray-400">None left today</span>';
+    const rain = s.rain.probabilityMax == null ? '—' : `${Math.round(s.rain.probabilityMax)}%${s.rain.totalMm >= 0.1 ? ` · ${formatPrecipitation(s.rain.totalMm, state.units.precipitation)}` : ''}`;
+    const wind = s.wind.speed == null ? '—' : `${formatWind(s.wind.speed, state.units.wind)}${s.wind.gusts ? ` <span class="text-xs text-gray-500 dark:text-gray-400">gusts ${formatWind(s.wind.gusts, state.units.wind)}</span>` : ''}`;
+    const temp = s.temperature.current == null ? '—' : `${formatTemp(s.temperature.current)}${s.temperature.min != null && s.temperature.max != null ? ` <span class="text-xs text-gray-500 dark:text-gray-400">${formatTemp(s.temperature.min)}/${formatTemp(s.temperature.max)}</span>` : ''}`;
+    return `
+      <tr class="border-t border-gray-200 dark:border-gray-700 cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700 ${isBest ? 'bg-emerald-50 dark:bg-emerald-900/20' : ''}" data-compare-key="${escapeHtml(key)}" title="Show ${name}">
+        <td class="${cell}">${label}</td>
+        <td class="${cell}"><span class="inline-flex ${chip.bg} ${chip.text} px-2 py-0.5 rounded-full text-sm font-medium">${isBest ? '🏆 ' : ''}${s.score}/10</span></td>
+        <td class="${cell}">${windowText}</td>
+        <td class="${cell}">${rain}</td>
+        <td class="${cell}">${wind}</td>
+        <td class="${cell}">${temp}</td>
+        <td class="${cell} text-right">${unpin}</td>
+      </tr>
+    `;
+  }).join('');
+  compareTable.innerHTML = `
+    <table class="w-full text-sm text-left">
+      <thead class="text-xs uppercase text-gray-500 dark:text-gray-400">
+        <tr><th class="px-2 py-1">Location</th><th class="px-2 py-1">Now</th><th class="px-2 py-1">Best window today</th><th class="px-2 py-1">Rain</th><th class="px-2 py-1">Wind</th><th class="px-2 py-1">Temp</th><th class="px-2 py-1"><span class="sr-only">Unpin</span></th></tr>
+      </thead>
+      <tbody>${body}</tbody>
+    </table>
+  `;
+}
+
+let climateRun = 0;
+
+/**
+ * Goal: Fetch the history behind the climate norms for the picked dates.
+ * Why: Norms need ten archive requests – only worth it when asked for.
+ * How: Normalize the range (shown back in the inputs), fetch with
+ *      `fetchClimateArchive` for the viewed location; a newer query
+ *      supersedes one still in flight. Failures are kept to show in the card.
+ */
+async function loadClimate() {
+  if (!state.location) return;
+  const range = normalizeClimateRange(climateFromInput?.value, climateToInput?.value);
+  if (!range) {
+    showToast('Pick the dates to look up.');
+    setTimeout(hideToast, 3000);
+    return;
+  }
+  if (climateFromInput) climateFromInput.value = range.from;
+  if (climateToInput) climateToInput.value = range.to;
+  const key = locationKey(state.location);
+  const run = ++climateRun;
+  if (climateCard) climateCard.innerHTML = `<div class="text-sm text-gray-500 dark:text-gray-400">Loading ${CLIMATE_YEARS} years of history…</div>`;
+  let climate;
+  try {
+    climate = { key, ...await fetchClimateArchive(state.location.latitude, state.location.longitude, range) };
+  } catch (e) {
+    console.warn('[app] climate norms unavailable', e);
+    climate = { key, range, error: e };
+  }
+  if (run !== climateRun) return;
+  state.climate = climate;
+  renderClimate();
+}
+
+/**
+ * Goal: Show what's typical for the picked dates and how the forecast compares.
+ * Why: Event planning weeks out needs norms; this week needs "normal or not?".
+ * How: Norms from `climate.js` for the selected activity and rider profile:
+ *      typical high/low, rain days, prevailing wind and the score
+ *      distribution as bars; forecast days inside the range are compared
+ *      with them. Prompts for dates until norms for this location exist.
+ */
+function renderClimate() {
+  if (!climateCard) return;
+  if (climateFromInput && climateToInput && !climateFromInput.value && state.weather) {
+    const today = String(state.weather.hourly?.[Number(state.weather.nearestIndex) || 0]?.time || '').slice(0, 10);
+    if (today) {
+      climateFromInput.value = shiftDate(today, -3);
+      climateToInput.value = shiftDate(today, 3);
+    }
+  }
+  const c = state.climate;
+  if (!c || !state.location || c.key !== locationKey(state.location)) {
+    climateCard.innerHTML = '<div class="text-sm text-gray-500 dark:text-gray-400">Pick dates – this week, or an event weeks out – and press Show norms to see what the weather is usually like here.</div>';
+    return;
+  }
+  if (c.error) {
+    climateCard.innerHTML = `<div class="text-sm text-gray-500 dark:text-gray-400">Historical data unavailable: ${escapeHtml(c.error.message || String(c.error))}</div>`;
+    return;
+  }
+  const norms = climateNorms(c.archives, { activity: state.activity, profile: state.riderProfile });
+  if (!norms) {
+    climateCard.innerHTML = '<div class="text-sm text-gray-500 dark:text-gray-400">No historical data for these dates.</div>';
+    return;
+  }
+  const years = norms.years.length > 1 ? `${norms.years[0]}–${norms.years[norms.years.length - 1]}` : `${norms.years[0]}`;
+  const wind = norms.wind;
+  const tiles = [
+    { label: 'Typical high', value: formatTemp(norms.temperatureMax.mean), note: `most days ${formatTemp(norms.temperatureMax.low)}–${formatTemp(norms.temperatureMax.high)}` },
+    { label: 'Typical low', value: formatTemp(norms.temperatureMin.mean), note: `most nights ${formatTemp(norms.temperatureMin.low)}–${formatTemp(norms.temperatureMin.high)}` },
+    { label: 'Rain days', value: `${Math.round(norms.rain.dayShare * 100)}%`, note: `≥ ${formatPrecipitation(1, state.units.precipitation)} · avg ${formatPrecipitation(norms.rain.meanMm, state.units.precipitation)}/day` },
+    { label: 'Prevailing wind', value: wind.sector ? `${wind.sector} ${Math.round(wind.share * 100)}%` : 'Variable', note: wind.meanSpeed == null ? '' : `avg ${formatWind(wind.meanSpeed, state.units.wind)}${wind.meanGusts != null ? `, gusts ${formatWind(wind.meanGusts, state.units.wind)}` : ''}` }
+  ];
+  const peak = Math.max(1, ...norms.scores.histogram);
+  const bars = norms.scores.histogram.map((count, i) => `
+    <div class="flex-1 flex flex-col items-center justify-end" title="${count} daylight hours scored ${i + 1}/10">
+      <div class="w-full rounded-t-sm" style="height: ${Math.round(count / peak * 48)}px; background: ${scoreStrokeColor((i + 1) * 10)}"></div>
+      <div class="mt-0.5 text-[10px] text-gray-500 dark:text-gray-400">${i + 1}</div>
+    </div>`).join('');
+  climateCard.innerHTML = `
+    <div class="text-sm text-gray-500 dark:text-gray-400">${formatDateShort(c.range.from)} – ${formatDateShort(c.range.to)} · ${years} (${norms.years.length} years, ${norms.dayCount} days)${c.failedYears ? ` · ${c.failedYears} unavailable` : ''}</div>
+    <div class="grid grid-cols-2 sm:grid-cols-4 gap-3">
+      ${tiles.map(t => `
+        <div class="rounded-md bg-gray-50 dark:bg-gray-700 p-3">
+          <div class="text-xs text-gray-500 dark:text-gray-300">${t.label}</div>
+          <div class="text-lg font-semibold">${t.value}</div>
+          <div class="text-xs text-gray-500 dark:text-gray-300">${t.note}</div>
+        </div>`).join('')}
+    </div>
+    <div class="text-sm">
+      <div class="font-medium">${getActivityRules(state.activity).label} score in daylight – avg ${norms.scores.mean ?? '–'}/10${norms.scores.goodShare != null ? `, ${Math.round(norms.scores.goodShare * 100)}% of hours 7/10 or better` : ''}</div>
+      <div class="mt-1 flex items-end gap-0.5 h-16" role="img" aria-label="Historical score distribution">${bars}</div>
+    </div>
+    ${renderForecastVsNormal(norms, c.range)}
+  `;
+}
+
+// "Normal for this week" lines for forecast days inside the range
+function renderForecastVsNormal(norms, range) {
+  const cmp = compareForecastToNormal(state.weather, norms, range, { activity: state.activity, profile: state.riderProfile });
+  if (!cmp) return '<div class="text-sm text-gray-500 dark:text-gray-400">No forecast for these dates yet – check back within a week of them to compare.</div>';
+  const trendText = (t, what) => (t.trend === 'normal' ? `${what} near normal (${formatTempDelta(t.delta)})` : `${what} ${formatTempDelta(t.delta)} ${t.trend} than normal`);
+  const percentile = cmp.score.percentile;
+  const lines = [
+    `🌡️ ${trendText(cmp.temperatureMax, 'Highs')}; ${trendText(cmp.temperatureMin, 'lows')}`,
+    `🌧️ Rain on ${cmp.rainDays.forecast} of ${cmp.days} day${cmp.days === 1 ? '' : 's'} (normal ${cmp.rainDays.expected})`,
+    cmp.score.forecast == null ? '' : `🚲 Forecast ride score ${cmp.score.forecast}/10 vs normal ${cmp.score.normal}/10${percentile == null ? '' : ` – better than ${Math.round(percentile * 100)}% of days in the past ${norms.years.length} years`}`
+  ].filter(Boolean);
+  return `
+    <div class="rounded-md border border-gray-200 dark:border-gray-700 p-3 text-sm">
+      <div class="font-medium mb-1">Forecast vs normal <span class="font-normal text-gray-500 dark:text-gray-400">${cmp.days} forecast day${cmp.days === 1 ? '' : 's'} in range</span></div>
+      <ul class="space-y-1">${lines.map(l => `<li>${l}</li>`).join('')}</ul>
+    </div>
+  `;
+}
+
+function comparisonOptions() {
+  return { activity: state.activity, profile: state.riderProfile, planner: state.planner };
+}
+
+function routeWindRelationForHour(hour) {
+  if (!state.route) return 'crosswind';
+  return analyzeRouteWind(state.route.segments, hour.windDirection).shares;
+}
+
+function formatWindowRange(w) {
+  const end = new Date(new Date(w.endTime).getTime() + 3600 * 1000);
+  return `${formatDay(w.startTime)} ${formatHour(w.startTime)}–${formatHour(end)}`;
+}
+
+function formatWindowReason(r) {
+  switch (r.factor) {
+    case 'rank':
+      return r.positive ? `Best combined score (${r.score}/10)` : `${r.behind} points behind the best window`;
+    case 'rain':
+      return `Rain chance up to ${r.probability}%${r.amount >= 1 ? ` (${formatPrecipitation(r.amount, state.units.precipitation)})` : ''}`;
+    case 'wind':
+      return `Wind up to ${formatWind(r.maxWind, state.units.wind)}${r.maxGust ? `, gusts ${formatWind(r.maxGust, state.units.wind)}` : ''}`;
+    case 'temperature':
+      return `Temperatures ${formatTemp(r.minTemp)}–${formatTemp(r.maxTemp)}`;
+    case 'humidity':
+      return `Humidity up to ${r.maxHumidity}%`;
+    case 'visibility':
+      return `Visibility down to ${formatDistance(r.minVisibilityKm, state.units.visibility)}`;
+    case 'uv':
+      return `UV index up to ${r.maxUv}`;
+    case 'storm':
+      return `${r.stormHours} h with thunderstorms – score capped`;
+    case 'air':
+      return `Air quality down to AQI ${r.maxAqi} – keep it easy`;
+    case 'darkness': {
+      const parts = [];
+      if (r.darkHours) parts.push(`${r.darkHours} h after dark`);
+      if (r.twilightHours) parts.push(`${r.twilightHours} h in twilight`);
+      return `${parts.join(', ')} – lights needed`;
+    }
+    case 'calm':
+      return `Dry, wind ≤ ${formatWind(r.maxWind, state.units.wind)}, ${formatTemp(r.minTemp)}–${formatTemp(r.maxTemp)}`;
+    default:
+      return '';
+  }
+}
+
 /**
  * Goal: Show a 7‑day outlook.
  * Why: Give riders a sense of the week to schedule longer efforts.
- * How: Render each day with icon, text, max/min, precip and wind cues.
+ * How: Render each day with icon, text, max/min, precip and wind cues, plus a
+ *      daylight ride score for the selected activity and a "best day" badge.
  */
 function renderDaily() {
   dailyContainer.innerHTML = '';
   if (!state.weather) return;
-  state.weather.daily.forEach(d => {
+  const { days, best } = scoreDailyForecast(state.weather, state.activity, routeWindRelationForHour, state.riderProfile);
+  state.weather.daily.forEach((d, idx) => {
+    const dayScore = days[idx];
+    const isBest = best && dayScore === best;
     const el = document.createElement('div');
-    el.className = 'relative overflow-hidden rounded-md bg-gray-50 dark:bg-gray-700 p-3 text-center';
+    el.className = `relative overflow-hidden rounded-md bg-gray-50 dark:bg-gray-700 p-3 text-center${isBest ? ' ring-2 ring-emerald-500' : ''}`;
     // Use condition SVG as a full-cover, faint background layer
     const bgUrl = getWeatherIconPath(d.weatherCode);
     const bg = document.createElement('div');
@@ -627,17 +1743,65 @@ function renderDaily() {
       <div class="text-sm font-medium">${formatDay(d.date)}</div>
       <div class="text-xs text-gray-500 dark:text-gray-300 mb-1">${d.weatherText}</div>
       <div class="text-lg font-semibold">${formatTemp(d.temperatureMax)} / ${formatTemp(d.temperatureMin)}</div>
-      <div class="text-xs">💧 ${Math.round(d.precipitationProbabilityMax ?? 0)}% · 💨 ${Math.round((d.windSpeedMax ?? 0))} km/h</div>
+      <div class="text-xs">💧 ${Math.round(d.precipitationProbabilityMax ?? 0)}% · 💨 ${formatWind(d.windSpeedMax, state.units.wind)}${d.windGustsMax != null ? ` <span title="Max gusts">(↯ ${formatWind(d.windGustsMax, state.units.wind)})</span>` : ''}</div>
+      ${d.sunrise && d.sunset ? `<div class="text-xs text-gray-500 dark:text-gray-300" title="Sunrise / sunset">☀ ${formatHour(d.sunrise)}–${formatHour(d.sunset)}</div>` : ''}
+      ${dailyScoreChip(dayScore)}
+      ${isBest ? '<div class="mt-1 text-xs font-semibold text-emerald-700 dark:text-emerald-300">🏆 Best day this week</div>' : ''}
     `;
     el.appendChild(content);
     dailyContainer.appendChild(el);
   });
 }
 
+function iceChip(risk) {
+  if (!risk || risk.level === 'none') return '';
+  const cls = risk.level === 'high'
+    ? 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-200'
+    : risk.level === 'moderate'
+      ? 'bg-sky-100 text-sky-800 dark:bg-sky-900/30 dark:text-sky-200'
+      : 'bg-gray-100 text-gray-700 dark:bg-gray-600 dark:text-gray-200';
+  return `<div class="mt-1 inline-block ${cls} px-2 rounded-full text-xs" title="Road-ice likelihood ${Math.round(risk.likelihood * 100)}%">🧊 ${risk.level}</div>`;
+}
+
+function stormChip(risk) {
+  if (!risk || risk.level === 'none' || risk.level === 'low') return '';
+  const cls = risk.level === 'high'
+    ? 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-200'
+    : 'bg-orange-100 text-orange-800 dark:bg-orange-900/30 dark:text-orange-200';
+  return `<div class="mt-1 inline-block ${cls} px-2 rounded-full text-xs" title="Thunderstorm risk (${risk.reasons.join(', ')})">⚡ ${risk.level}</div>`;
+}
+
+// "Uncertain" next to the score when ensemble confidence is low
+function uncertainChip(scoreDetail, range) {
+  if (!scoreDetail.uncertain) return '';
+  const reasons = (scoreDetail.uncertaintyReasons || []).map(r => CONFIDENCE_REASON_LABELS[r] || r).join(', ');
+  const title = `Forecast models disagree on ${reasons}${range ? ` – score ${range.low}–${range.high}/10 across ensemble members` : ''}`;
+  return `<span class="inline-flex items-center rounded-full bg-purple-100 text-purple-800 dark:bg-purple-900/30 dark:text-purple-200 px-2 py-0.5 text-xs font-medium" title="${title}">❓ Uncertain</span>`;
+}
+
+// Ensemble temperature band under an hourly tile, once it's at least 1°C wide
+function temperatureRange(ensemble) {
+  const t = ensemble?.temperature;
+  if (!t || t.spread < 1) return '';
+  const low = Math.round(convertTemperature(t.low, state.units.temperature));
+  return `<div class="text-[10px] text-gray-500 dark:text-gray-300" title="Range across ensemble members (${ensemble.confidence} confidence)">${low}–${formatTemp(t.high)}</div>`;
+}
+
+function dailyScoreChip(dayScore) {
+  if (!dayScore || dayScore.score == null) {
+    return '<div class="mt-1 text-xs text-gray-500 dark:text-gray-400" title="No daylight hours left">Ride score –</div>';
+  }
+  const chip = scoreColorClasses(dayScore.score * 10);
+  const title = `Daylight avg ${dayScore.hourlyAverage}/10 over ${dayScore.daylightHours} h; best hour ${formatHour(dayScore.bestHour.time)}`;
+  return `<div class="mt-1 inline-block ${chip.bg} ${chip.text} px-2 rounded-full text-xs font-semibold" title="${title}">${dayScore.score}/10</div>`;
+}
+
 /**
  * Goal: Plot daily max/min temperatures.
  * Why: Visual temperature trends are easier to scan than numbers alone.
  * How: Use Chart.js if present; convert values to selected units and label points.
+ *      With ensemble data, shade each line's model range (10th–90th percentile
+ *      of the members' daily max/min) and name it in the tooltip.
  */
 function renderDailyTempChart() {
   const canvas = document.getElementById('daily-temp-chart');
@@ -650,7 +1814,7 @@ function renderDailyTempChart() {
 
   const ctx = canvas.getContext('2d');
   const labels = state.weather.daily.map(d => formatDay(d.date));
-  const unitSymbol = state.units === 'F' ? '°F' : '°C';
+  const unitSymbol = unitLabel(state.units.temperature);
   const bodyStyles = getComputedStyle(document.body);
   const textColor = bodyStyles.color || '#111827'; // gray-900 default
   const gridColor = 'rgba(107,114,128,0.2)'; // gray-500/20
@@ -658,11 +1822,23 @@ function renderDailyTempChart() {
   const toDisplayTempNumber = (celsius) => {
     const c = Number(celsius);
     if (Number.isNaN(c)) return null;
-    return state.units === 'F' ? Math.round(cToF(c)) : Math.round(c);
+    return Math.round(convertTemperature(c, state.units.temperature));
   };
 
   const tempsMax = state.weather.daily.map(d => toDisplayTempNumber(d.temperatureMax));
   const tempsMin = state.weather.daily.map(d => toDisplayTempNumber(d.temperatureMin));
+  const bandOf = (key, edge) => state.weather.daily.map(d => (d.ensemble?.[key] ? toDisplayTempNumber(d.ensemble[key][edge]) : null));
+  const hasBands = state.weather.daily.some(d => d.ensemble);
+  // Invisible edges filled between each other; hidden from legend, labels and tooltips
+  const bandDatasets = (key, rgb) => [
+    { label: `${key} high`, band: key, order: 1, data: bandOf(key, 'high'), borderWidth: 0, pointRadius: 0, pointHoverRadius: 0, tension: 0.3, spanGaps: true, fill: false, datalabels: { display: false } },
+    { label: `${key} low`, band: key, order: 1, data: bandOf(key, 'low'), borderWidth: 0, pointRadius: 0, pointHoverRadius: 0, tension: 0.3, spanGaps: true, fill: '-1', backgroundColor: `rgba(${rgb}, 0.15)`, datalabels: { display: false } }
+  ];
+  const rangeText = (idx, key) => {
+    const e = state.weather.daily[idx]?.ensemble;
+    if (!e?.[key]) return '';
+    return ` (models ${toDisplayTempNumber(e[key].low)}–${toDisplayTempNumber(e[key].high)}${unitSymbol}, ${e.confidence} confidence)`;
+  };
 
   if (dailyTempChart) {
     dailyTempChart.destroy();
@@ -695,7 +1871,8 @@ function renderDailyTempChart() {
           borderWidth: 3,
           tension: 0.3,
           spanGaps: true
-        }
+        },
+        ...(hasBands ? [...bandDatasets('temperatureMax', '239, 68, 68'), ...bandDatasets('temperatureMin', '59, 130, 246')] : [])
       ]
     },
     options: {
@@ -703,13 +1880,14 @@ function renderDailyTempChart() {
       maintainAspectRatio: false,
       layout: { padding: { top: 12, right: 8, left: 8, bottom: 8 } },
       plugins: {
-        legend: { display: true, position: 'top', labels: { color: textColor } },
+        legend: { display: true, position: 'top', labels: { color: textColor, filter: (item, data) => !data.datasets[item.datasetIndex].band } },
         tooltip: {
+          filter: (item) => !item.dataset.band,
           callbacks: {
             label: (ctx) => {
               const value = ctx.parsed.y;
               if (value == null) return '';
-              return `${ctx.dataset.label}: ${value}${unitSymbol}`;
+              return `${ctx.dataset.label}: ${value}${unitSymbol}${rangeText(ctx.dataIndex, ctx.datasetIndex === 0 ? 'temperatureMax' : 'temperatureMin')}`;
             }
           }
         },
@@ -840,6 +2018,31 @@ function formatDay(iso) {
   return d.toLocaleDateString([], { weekday: 'short' });
 }
 
+function formatDateShort(yyyyMmDd) {
+  const [y, m, d] = String(yyyyMmDd).split('-').map(Number);
+  return new Date(y, m - 1, d).toLocaleDateString([], { day: 'numeric', month: 'short' });
+}
+
+function shiftDate(yyyyMmDd, days) {
+  const d = new Date(`${yyyyMmDd}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// Temperature difference in the selected unit, signed
+function formatTempDelta(deltaC) {
+  const value = Math.round(state.units.temperature === 'F' ? deltaC * 9 / 5 : deltaC);
+  return `${value > 0 ? '+' : value < 0 ? '−' : '±'}${Math.abs(value)}°`;
+}
+
+function formatAge(iso) {
+  const minutes = Math.max(0, Math.round((Date.now() - new Date(iso).getTime()) / 60000));
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+  return `${Math.round(hours / 24)} days ago`;
+}
+
 async function safeReverse(lat, lon) {
   try {
     return await reverseGeocode(lat, lon);
@@ -848,10 +2051,7 @@ async function safeReverse(lat, lon) {
   }
 }
 
-// Unit helpers and labels
-function kmhToMph(kmh) { return kmh * 0.621371; }
-function cToF(c) { return c * 9 / 5 + 32; }
-function kmToMi(km) { return km * 0.621371; }
+// Direction labels (unit conversions live in units.js)
 function degToCardinal(deg) {
   const dirs = ['N','NNE','NE','ENE','E','ESE','SE','SSE','S','SSW','SW','WSW','W','WNW','NW','NNW'];
   const ix = Math.round(((deg % 360) / 22.5)) % 16;
@@ -877,11 +2077,8 @@ function scoreColorClasses(score) {
 }
 
 function formatTemp(celsius) {
-  const c = Math.round(Number(celsius) || 0);
-  if (state.units === 'F') {
-    return `${Math.round(cToF(c))}°F`;
-  }
-  return `${c}°C`;
+  const c = Number(celsius) || 0;
+  return `${Math.round(convertTemperature(c, state.units.temperature))}${unitLabel(state.units.temperature)}`;
 }
 
 function trimLocationText(text) {
@@ -910,6 +2107,16 @@ function icon(type) {
       return `<svg class="${cls}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M14 14.76V5a2 2 0 1 0-4 0v9.76a4 4 0 1 0 4 0Z"/></svg>`;
     case 'uv':
       return `<svg class="${cls}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="4"/><path d="M12 2v2M12 20v2M4.93 4.93l1.41 1.41M17.66 17.66l1.41 1.41M2 12h2M20 12h2M4.93 19.07l1.41-1.41M17.66 6.34l1.41-1.41"/></svg>`;
+    case 'moon':
+      return `<svg class="${cls}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79Z"/></svg>`;
+    case 'battery':
+      return `<svg class="${cls}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="2" y="7" width="17" height="10" rx="2"/><path d="M22 11v2"/><path d="M6 11v2"/></svg>`;
+    case 'bolt':
+      return `<svg class="${cls}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M13 2 4 14h7l-1 8 9-12h-7l1-8Z"/></svg>`;
+    case 'haze':
+      return `<svg class="${cls}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M4 8h10M17 8h3M2 12h6M11 12h11M4 16h12M19 16h1"/></svg>`;
+    case 'pollen':
+      return `<svg class="${cls}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="8" r="2"/><path d="M12 3v3M12 10v2M7 8h3M14 8h3"/><path d="M12 12v10M12 18c-2-2-5-2-6-1M12 16c2-2 5-2 6-1"/></svg>`;
     default:
       return '';
   }
@@ -919,15 +2126,34 @@ function icon(type) {
 function aIcon(type) {
   switch (type) {
     case 'wind':
+    case 'gust':
       return icon('wind');
     case 'visibility':
       return icon('visibility');
     case 'wet':
       return icon('humidity');
     case 'cold':
+    case 'ice':
       return icon('thermo');
     case 'heat':
       return icon('uv');
+    case 'dark':
+      return icon('moon');
+    case 'battery':
+      return icon('battery');
+    case 'mud':
+      return icon('humidity');
+    case 'storm':
+      return icon('bolt');
+    case 'flood':
+      return icon('humidity');
+    case 'fire':
+    case 'warning':
+      return icon('flag');
+    case 'air':
+      return icon('haze');
+    case 'pollen':
+      return icon('pollen');
     default:
       return '';
   }
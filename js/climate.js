@@ -0,0 +1,268 @@
+/*
+  Weather 4 Bike – Climate Norms ("Typical Conditions")
+
+  Goal: Describe what the weather is usually like at a location for a date
+  range – typical high/low, how often it rains, the prevailing wind and how
+  rideable those days were – and compare the forecast with that normal.
+
+  Why: The forecast only reaches a week ahead. Riders planning an event or a
+  trip weeks out need "what's normal for that week", and "is this week's
+  forecast unusually good or bad?" needs a baseline.
+
+  How:
+  - Providers fetch hourly history for a date range (`fetchArchive`;
+    Open‑Meteo's Historical Weather API). The same calendar range is
+    requested for each of the last `CLIMATE_YEARS` years, concurrently; years
+    that fail are skipped.
+  - Archive hours are parsed with `parseWeatherResponse`, so daylight and the
+    activity scorers work on them as on forecast hours.
+  - Norms: mean and 10th–90th percentile of daily highs/lows, the share of
+    days with ≥ 1 mm, the prevailing wind sector (8 sectors) and the
+    distribution of daylight-hour activity scores.
+  - History scores use what happened: hours with rain count as a 100% chance
+    and, as the archive has no visibility, air counts as clear.
+  - Pure functions apart from `fetchClimateArchive`; rendering lives in `app.js`.
+*/
+
+import { getWeatherProvider } from './providers/index.js';
+import { parseWeatherResponse } from './weather.js';
+import { calculateActivityScore } from './insights.js';
+
+export const CLIMATE_YEARS = 10;
+export const MAX_RANGE_DAYS = 31;
+
+const ARCHIVE_LAG_DAYS = 5; // the archive reaches to about five days ago
+const RAIN_DAY_MM = 1;
+const WET_HOUR_MM = 0.1;
+const CLEAR_VISIBILITY_M = 10000;
+const CALM_KMH = 2; // no direction to speak of below this
+const WIND_SECTORS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+const GOOD_SCORE = 7;
+const ANOMALY_C = 2; // forecast highs/lows this far from normal are "warmer"/"cooler"
+
+/**
+ * Goal: Validate a date range picked in the UI.
+ * Why: Date inputs can be empty, reversed or span months.
+ * How: Accept `YYYY-MM-DD` dates, swap reversed ends and cut the range to
+ *      `MAX_RANGE_DAYS`; returns `{ from, to }` or `null`.
+ */
+export function normalizeClimateRange(from, to) {
+  const valid = (d) => /^\d{4}-\d{2}-\d{2}$/.test(String(d || '')) && !Number.isNaN(Date.parse(`${d}T00:00:00Z`));
+  if (!valid(from) && !valid(to)) return null;
+  let start = valid(from) ? from : to;
+  let end = valid(to) ? to : from;
+  if (start > end) [start, end] = [end, start];
+  if (daysBetween(start, end) >= MAX_RANGE_DAYS) end = addDays(start, MAX_RANGE_DAYS - 1);
+  return { from: start, to: end };
+}
+
+/**
+ * Goal: The same calendar range in each of the last `years` years.
+ * Why: Norms average one week across many years, not many weeks of one year.
+ * How: Shift both ends back one year at a time (29 February rolls over to
+ *      1 March), skipping years that end within `ARCHIVE_LAG_DAYS` of today;
+ *      returns `[{ year, start, end }]`, most recent first.
+ */
+export function climateYearRanges(range, years = CLIMATE_YEARS, today = new Date()) {
+  const cutoff = addDays(today.toISOString().slice(0, 10), -ARCHIVE_LAG_DAYS);
+  const ranges = [];
+  for (let back = 1; ranges.length < years && back <= years + 1; back++) {
+    const start = shiftYears(range.from, -back);
+    const end = shiftYears(range.to, -back);
+    if (end > cutoff) continue;
+    ranges.push({ year: Number(start.slice(0, 4)), start, end });
+  }
+  return ranges;
+}
+
+/**
+ * Goal: Fetch the history behind the norms for a location and date range.
+ * Why: Norms and the forecast comparison need parsed hourly history per year.
+ * How: One `provider.fetchArchive(latitude, longitude, start, end)` per year
+ *      with `Promise.allSettled`; resolves to `{ range, archives: [{ year,
+ *      start, end, hourly }], failedYears }`. Rejects when the provider has no
+ *      archive or no year could be fetched.
+ */
+export async function fetchClimateArchive(latitude, longitude, range, options = {}) {
+  const provider = options.provider || getWeatherProvider();
+  if (typeof provider.fetchArchive !== 'function') throw new Error(`Historical data is not available from ${provider.label}`);
+  const ranges = climateYearRanges(range, options.years ?? CLIMATE_YEARS, options.today);
+  const results = await Promise.allSettled(ranges.map(r => provider.fetchArchive(latitude, longitude, r.start, r.end)));
+  const archives = [];
+  let lastError = null;
+  results.forEach((r, idx) => {
+    if (r.status === 'rejected') {
+      console.warn('[climate] archive unavailable', ranges[idx], r.reason);
+      lastError = r.reason;
+      return;
+    }
+    const hourly = parseWeatherResponse(r.value.data).hourly.filter(h => h.temperature != null);
+    if (hourly.length) archives.push({ ...ranges[idx], hourly });
+  });
+  if (!archives.length) throw lastError || new Error('No historical data for these dates');
+  return { range, archives, failedYears: ranges.length - archives.length };
+}
+
+/**
+ * Goal: Climate norms for the fetched years.
+ * Why: "Typical conditions" card: highs/lows, rain frequency, prevailing wind
+ *      and how rideable the days usually are for the selected activity.
+ * How: Per day: max/min temperature, rain total and the mean score of its
+ *      daylight hours. Returns `{ years, dayCount, temperatureMax,
+ *      temperatureMin: { mean, low, high }, rain: { dayShare, meanMm, wettestMm },
+ *      wind: { direction, sector, share, meanSpeed, meanGusts },
+ *      scores: { histogram (counts for 1–10), mean, goodShare, dayScores } }`,
+ *      or `null` without archive hours. `options` are `{ activity, profile }`.
+ */
+export function climateNorms(archives, options = {}) {
+  const list = (archives || []).filter(a => a.hourly?.length);
+  if (!list.length) return null;
+  const days = list.flatMap(a => dailyStats(a.hourly.map(historicalSample), options));
+  const hours = list.flatMap(a => a.hourly);
+  const precip = days.map(d => d.precipitation);
+  const hourScores = days.flatMap(d => d.scores);
+  const histogram = Array.from({ length: 10 }, (_, i) => hourScores.filter(s => Math.round(s) === i + 1).length);
+  return {
+    years: list.map(a => a.year).sort((a, b) => a - b),
+    dayCount: days.length,
+    temperatureMax: spread(days.map(d => d.max)),
+    temperatureMin: spread(days.map(d => d.min)),
+    rain: {
+      dayShare: round2(days.filter(d => d.precipitation >= RAIN_DAY_MM).length / days.length),
+      meanMm: round1(mean(precip)),
+      wettestMm: round1(Math.max(...precip))
+    },
+    wind: prevailingWind(hours),
+    scores: {
+      histogram,
+      mean: hourScores.length ? round1(mean(hourScores)) : null,
+      goodShare: hourScores.length ? round2(hourScores.filter(s => s >= GOOD_SCORE).length / hourScores.length) : null,
+      dayScores: days.map(d => d.score).filter(s => s != null).sort((a, b) => a - b)
+    }
+  };
+}
+
+/**
+ * Goal: Compare the forecast days inside the range with the norms.
+ * Why: "Warmer and drier than normal for this week" puts the forecast in context.
+ * How: Forecast days are reduced and scored like history days (rain amounts,
+ *      clear air, no UV or air quality); returns `{ days,
+ *      temperatureMax: { forecast, normal, delta, trend }, temperatureMin,
+ *      rainDays: { forecast, expected }, score: { forecast, normal,
+ *      percentile } }` with `trend` 'warmer' | 'cooler' | 'normal' and
+ *      `percentile` the share of historical days the forecast days beat.
+ *      `null` when no forecast day falls in the range.
+ */
+export function compareForecastToNormal(weather, norms, range, options = {}) {
+  if (!weather || !norms || !range) return null;
+  const hours = (weather.hourly || []).filter(h => {
+    const date = String(h.time).slice(0, 10);
+    return date >= range.from && date <= range.to;
+  });
+  // Score the forecast with only what the archive knows, so both sides are measured alike
+  const comparable = hours.map(h => historicalSample({ ...h, precipitationProbability: null, visibility: null, uvIndex: null, usAqi: null, trail: null }));
+  const days = dailyStats(comparable, options).filter(d => d.hours >= 20); // whole days only
+  if (!days.length) return null;
+  const compare = (forecast, normal) => {
+    const delta = round1(forecast - normal);
+    return { forecast: round1(forecast), normal, delta, trend: delta >= ANOMALY_C ? 'warmer' : delta <= -ANOMALY_C ? 'cooler' : 'normal' };
+  };
+  const scores = days.map(d => d.score).filter(s => s != null);
+  const forecastScore = scores.length ? mean(scores) : null;
+  const history = norms.scores.dayScores;
+  return {
+    days: days.length,
+    temperatureMax: compare(mean(days.map(d => d.max)), norms.temperatureMax.mean),
+    temperatureMin: compare(mean(days.map(d => d.min)), norms.temperatureMin.mean),
+    rainDays: { forecast: days.filter(d => d.precipitation >= RAIN_DAY_MM).length, expected: round1(norms.rain.dayShare * days.length) },
+    score: {
+      forecast: forecastScore == null ? null : round1(forecastScore),
+      normal: history.length ? round1(mean(history)) : null,
+      percentile: forecastScore == null || !history.length ? null : round2(history.filter(s => s < forecastScore).length / history.length)
+    }
+  };
+}
+
+// Helpers
+// Archive hours as scorable samples: observed rain as certainty, clear air
+function historicalSample(h) {
+  const precipitation = Number(h.precipitation) || 0;
+  return {
+    ...h,
+    precipitationProbability: h.precipitationProbability ?? (precipitation >= WET_HOUR_MM ? 100 : 0),
+    visibility: h.visibility ?? CLEAR_VISIBILITY_M
+  };
+}
+
+// One entry per date: max/min, rain total and daylight-hour scores
+function dailyStats(hours, { activity = 'road', profile } = {}) {
+  const byDate = new Map();
+  hours.forEach(h => {
+    const date = String(h.time).slice(0, 10);
+    if (!byDate.has(date)) byDate.set(date, []);
+    byDate.get(date).push(h);
+  });
+  return [...byDate.entries()].map(([date, list]) => {
+    const temps = list.map(h => Number(h.temperature)).filter(Number.isFinite);
+    const scores = list
+      .filter(h => h.daylight ? h.daylight === 'day' : h.isDay !== 0)
+      .map(h => calculateActivityScore(h, activity, 'crosswind', profile).score);
+    return {
+      date,
+      hours: list.length,
+      max: Math.max(...temps),
+      min: Math.min(...temps),
+      precipitation: list.reduce((sum, h) => sum + (Number(h.precipitation) || 0), 0),
+      scores,
+      score: scores.length ? round1(mean(scores)) : null
+    };
+  }).filter(d => Number.isFinite(d.max));
+}
+
+// Most frequent 45° sector of hours with wind to speak of
+function prevailingWind(hours) {
+  const windy = hours.filter(h => h.windDirection != null && Number(h.windSpeed) >= CALM_KMH);
+  const speeds = hours.map(h => h.windSpeed).filter(v => v != null).map(Number);
+  const gusts = hours.map(h => h.windGusts).filter(v => v != null).map(Number);
+  const base = { meanSpeed: speeds.length ? round1(mean(speeds)) : null, meanGusts: gusts.length ? round1(mean(gusts)) : null };
+  if (!windy.length) return { direction: null, sector: null, share: null, ...base };
+  const counts = WIND_SECTORS.map(() => 0);
+  windy.forEach(h => { counts[Math.round((((Number(h.windDirection) % 360) + 360) % 360) / 45) % 8] += 1; });
+  const idx = counts.indexOf(Math.max(...counts));
+  return { direction: idx * 45, sector: WIND_SECTORS[idx], share: round2(counts[idx] / windy.length), ...base };
+}
+
+function spread(values) {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (!sorted.length) return { mean: null, low: null, high: null };
+  const at = (p) => sorted[Math.min(sorted.length - 1, Math.max(0, Math.round((sorted.length - 1) * p)))];
+  return { mean: round1(mean(sorted)), low: round1(at(0.1)), high: round1(at(0.9)) };
+}
+
+function shiftYears(yyyyMmDd, years) {
+  const d = new Date(`${yyyyMmDd}T00:00:00Z`);
+  d.setUTCFullYear(d.getUTCFullYear() + years);
+  return d.toISOString().slice(0, 10);
+}
+
+function addDays(yyyyMmDd, days) {
+  const d = new Date(`${yyyyMmDd}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
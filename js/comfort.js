@@ -0,0 +1,124 @@
+/*
+  Weather 4 Bike – Thermal Comfort
+
+  Goal: Estimate how hot or cold conditions feel to a rider: apparent
+  temperature, wind chill at riding speed, heat index and a WBGT-style heat
+  stress value.
+
+  Why: Raw `temperature_2m` hides what matters on the bike. 5°C in a 30 km/h
+  wind feels far colder on a descent, and 31°C at 70% humidity is more
+  dangerous than 35°C in dry air.
+
+  How:
+  - Apparent temperature: Steadman's formula (as used by the Australian Bureau
+    of Meteorology and Open‑Meteo's `apparent_temperature`), from temperature,
+    humidity and wind.
+  - Wind chill: the 2001 North American wind chill index, fed with the air
+    speed the rider feels – riding speed (from the rider profile) plus wind
+    (worst case, into the wind). Between 10 and 20°C it blends into the air
+    temperature, so the value never jumps as the index's 10°C limit is crossed.
+  - Heat index: the NWS Rothfusz regression with its low/high humidity
+    adjustments.
+  - WBGT: the BoM approximation from temperature and humidity, which assumes
+    moderately strong sun and light wind – an upper estimate, not a measurement.
+  - Keep pure functions; all values in °C.
+*/
+
+// Typical cruising speed used for the rider's own wind (km/h) when the rider
+// profile doesn't set one
+export const RIDING_SPEED_KMH = 25;
+
+// Air temperatures over which wind chill fades into the air temperature (°C)
+const WIND_CHILL_BLEND_C = { from: 10, to: 20 };
+
+/**
+ * Goal: All comfort estimates for one weather sample.
+ * Why: `current`, penalties and alerts share one set of numbers.
+ * How: Uses the provider's apparent temperature when present, otherwise
+ *      Steadman's formula. Missing temperature returns all `null`.
+ */
+export function thermalComfort(sample, riderSpeedKmh = RIDING_SPEED_KMH) {
+  const t = toNumber(sample?.temperature);
+  const rh = toNumber(sample?.humidity);
+  const wind = toNumber(sample?.windSpeed) ?? 0;
+  if (t == null) return { apparentTemperature: null, windChill: null, heatIndex: null, wbgt: null, airSpeedKmh: null };
+  const airSpeedKmh = round1(Math.max(0, riderSpeedKmh) + wind);
+  return {
+    apparentTemperature: toNumber(sample?.apparentTemperature) ?? (rh == null ? t : apparentTemperatureC(t, rh, wind)),
+    windChill: windChillC(t, airSpeedKmh),
+    heatIndex: rh == null ? t : heatIndexC(t, rh),
+    wbgt: rh == null ? null : estimateWbgtC(t, rh),
+    airSpeedKmh
+  };
+}
+
+/**
+ * Goal: Steadman apparent temperature.
+ * Why: Same definition as Open‑Meteo, for fixtures/providers that omit it.
+ * How: AT = Ta + 0.33·e − 0.70·ws − 4.00 (e: vapour pressure in hPa, ws in m/s).
+ */
+export function apparentTemperatureC(tempC, humidityPct, windKmh = 0) {
+  const ws = windKmh / 3.6;
+  return round1(tempC + 0.33 * vapourPressureHpa(tempC, humidityPct) - 0.70 * ws - 4.0);
+}
+
+/**
+ * Goal: Wind chill for a given air speed.
+ * Why: On a bike the air speed is your own speed plus the wind.
+ * How: 13.12 + 0.6215·T − 11.37·V^0.16 + 0.3965·T·V^0.16, defined for
+ *      T ≤ 10°C and V > 4.8 km/h. From 10 to 20°C the index is blended
+ *      linearly into the air temperature (continuous and rising with T);
+ *      above 20°C or in near-still air it is the air temperature.
+ */
+export function windChillC(tempC, airSpeedKmh) {
+  if (tempC >= WIND_CHILL_BLEND_C.to || airSpeedKmh <= 4.8) return round1(tempC);
+  const v = Math.pow(airSpeedKmh, 0.16);
+  const index = Math.min(tempC, 13.12 + 0.6215 * tempC - 11.37 * v + 0.3965 * tempC * v);
+  if (tempC <= WIND_CHILL_BLEND_C.from) return round1(index);
+  const weight = (tempC - WIND_CHILL_BLEND_C.from) / (WIND_CHILL_BLEND_C.to - WIND_CHILL_BLEND_C.from);
+  return round1(index + (tempC - index) * weight);
+}
+
+/**
+ * Goal: NWS heat index.
+ * Why: Humidity slows sweat cooling; the heat index folds that into one number.
+ * How: Steadman's simple estimate, switching to the Rothfusz regression (plus
+ *      adjustments) once the result reaches 80°F. Never below the air temperature.
+ */
+export function heatIndexC(tempC, humidityPct) {
+  const T = tempC * 9 / 5 + 32;
+  const R = humidityPct;
+  let hi = 0.5 * (T + 61 + (T - 68) * 1.2 + R * 0.094);
+  if ((hi + T) / 2 >= 80) {
+    hi = -42.379 + 2.04901523 * T + 10.14333127 * R - 0.22475541 * T * R
+      - 0.00683783 * T * T - 0.05481717 * R * R + 0.00122874 * T * T * R
+      + 0.00085282 * T * R * R - 0.00000199 * T * T * R * R;
+    if (R < 13 && T >= 80 && T <= 112) hi -= ((13 - R) / 4) * Math.sqrt((17 - Math.abs(T - 95)) / 17);
+    else if (R > 85 && T >= 80 && T <= 87) hi += ((R - 85) / 10) * ((87 - T) / 5);
+  }
+  return round1(Math.max(tempC, (hi - 32) * 5 / 9));
+}
+
+/**
+ * Goal: WBGT-style heat stress estimate.
+ * Why: Sports heat guidelines (e.g. "limit hard efforts above 28") use WBGT.
+ * How: BoM approximation WBGT = 0.567·Ta + 0.393·e + 3.94 for sun and light wind.
+ */
+export function estimateWbgtC(tempC, humidityPct) {
+  return round1(0.567 * tempC + 0.393 * vapourPressureHpa(tempC, humidityPct) + 3.94);
+}
+
+// Helpers
+function vapourPressureHpa(tempC, humidityPct) {
+  return (humidityPct / 100) * 6.105 * Math.exp(17.27 * tempC / (237.7 + tempC));
+}
+
+function toNumber(v) {
+  if (v == null || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function round1(v) {
+  return Math.round(v * 10) / 10;
+}
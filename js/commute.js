@@ -0,0 +1,227 @@
+/*
+  Weather 4 Bike – Commute Planner
+
+  Goal: Score saved commute schedules ("ride in at 7:30, home at 17:45 on
+  weekdays") leg by leg from the hourly forecast and say whether each leg is
+  rideable, what to wear, and when to swap to transit.
+
+  Why: Commuters don't pick a window – the departure times are fixed. The
+  current hour from `findNearestHourIndex` doesn't answer "how will tonight's
+  ride home be?".
+
+  How:
+  - Persist schedules (weekdays, departure/return times, optional origin and
+    destination) in localStorage.
+  - For each schedule, find the next forecast day it applies to, collect the
+    hourly entries each leg overlaps and score them with the commute rule set.
+  - With origin/destination set, estimate leg duration from the distance and
+    weigh wind by direction (the return leg faces the opposite way).
+  - Keep pure functions apart from storage; rendering lives in `app.js`.
+*/
+
+import { calculateActivityScore } from './insights.js';
+import { buildRouteSegments, analyzeRouteWind } from './route.js';
+import { ICE_LEVELS } from './ice.js';
+import { isThunderstormHour } from './storms.js';
+
+const COMMUTES_KEY = 'w4b:commutes';
+const COMMUTE_SPEED_KMH = 18; // urban average including stops
+const DEFAULT_LEG_MINUTES = 30;
+const TIME_PATTERN = /^\d{2}:\d{2}$/;
+
+export const DEFAULT_COMMUTE = {
+  name: 'Work',
+  weekdays: [1, 2, 3, 4, 5], // 0 = Sunday … 6 = Saturday
+  departTime: '07:30',
+  returnTime: '17:45',
+  origin: null,      // { name, latitude, longitude }
+  destination: null
+};
+
+/**
+ * Goal: Return a complete, valid commute schedule.
+ * Why: Stored or form values may be partial or malformed.
+ * How: Fill defaults, keep valid HH:MM times and weekday numbers, and drop
+ *      places without coordinates.
+ */
+export function normalizeCommute(commute) {
+  const c = { ...DEFAULT_COMMUTE, ...(commute || {}) };
+  const weekdays = Array.isArray(c.weekdays)
+    ? [...new Set(c.weekdays.map(Number).filter(d => Number.isInteger(d) && d >= 0 && d <= 6))].sort()
+    : DEFAULT_COMMUTE.weekdays;
+  return {
+    id: String(c.id || `c${Date.now().toString(36)}`),
+    name: String(c.name || DEFAULT_COMMUTE.name).trim().slice(0, 40) || DEFAULT_COMMUTE.name,
+    weekdays,
+    departTime: TIME_PATTERN.test(c.departTime) ? c.departTime : DEFAULT_COMMUTE.departTime,
+    returnTime: TIME_PATTERN.test(c.returnTime) ? c.returnTime : DEFAULT_COMMUTE.returnTime,
+    origin: normalizePlace(c.origin),
+    destination: normalizePlace(c.destination)
+  };
+}
+
+/**
+ * Goal: Read saved commute schedules.
+ * Why: The commute card should appear on every visit without re-entry.
+ * How: Parse from localStorage and normalize; empty list on missing/invalid data.
+ */
+export function loadCommutes() {
+  try {
+    const raw = localStorage.getItem(COMMUTES_KEY);
+    const list = raw ? JSON.parse(raw) : [];
+    return Array.isArray(list) ? list.map(normalizeCommute) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Goal: Persist commute schedules.
+ * Why: Keep schedules across sessions without an account.
+ * How: Normalize, store as JSON, and return what was stored.
+ */
+export function saveCommutes(commutes) {
+  const normalized = (commutes || []).map(normalizeCommute);
+  try {
+    localStorage.setItem(COMMUTES_KEY, JSON.stringify(normalized));
+  } catch (e) {
+    // ignore storage errors (private mode, etc.)
+  }
+  return normalized;
+}
+
+/**
+ * Goal: Plan every saved commute against the loaded forecast.
+ * Why: The commute card lists one entry per schedule.
+ * How: Map `planCommute`, dropping schedules with no matching forecast day.
+ */
+export function planCommutes(weather, commutes, options = {}) {
+  return (commutes || []).map(c => planCommute(weather, c, options)).filter(Boolean);
+}
+
+/**
+ * Goal: Score the next occurrence of one commute.
+ * Why: Each leg needs its own verdict – a dry morning can still mean a wet ride home.
+ * How: Walk forward from today (location-local, from `nearestIndex`) to the
+ *      first weekday the schedule runs whose return leg hasn't passed, then
+ *      score the depart and return legs. The overall verdict is the worst of
+ *      the legs still ahead. `options.profile` is the rider profile.
+ */
+export function planCommute(weather, commute, options = {}) {
+  const c = normalizeCommute(commute);
+  const hourly = weather?.hourly || [];
+  const nowIso = String(hourly[Number(weather?.nearestIndex) || 0]?.time || '');
+  if (!nowIso) return null;
+  const today = nowIso.slice(0, 10);
+  const nowClock = nowIso.slice(11, 16);
+
+  for (let offset = 0; offset < 7; offset++) {
+    const date = addDays(today, offset);
+    if (!c.weekdays.includes(weekdayOf(date))) continue;
+    if (offset === 0 && c.returnTime < nowClock) continue;
+    const legMinutes = estimateLegMinutes(c);
+    const outbound = legSegments(c.origin, c.destination);
+    const inbound = legSegments(c.destination, c.origin);
+    const legs = [
+      scoreLeg(hourly, date, c.departTime, legMinutes, outbound, 'depart', options.profile),
+      scoreLeg(hourly, date, c.returnTime, legMinutes, inbound, 'return', options.profile)
+    ].filter(Boolean);
+    if (!legs.length) return null;
+    legs.forEach(l => { l.past = offset === 0 && l.time < nowClock; });
+    const ahead = legs.filter(l => !l.past);
+    return { commute: c, date, legMinutes, legs, verdict: worstVerdict(ahead.length ? ahead : legs) };
+  }
+  return null;
+}
+
+// Legs are scored by their worst hour; storms, freezing rain or a high road-ice
+// risk always mean transit, a moderate ice risk at least "prepared"
+function scoreLeg(hourly, date, time, legMinutes, segments, kind, profile) {
+  const startHour = Number(time.slice(0, 2));
+  const endHour = Math.min(23, Math.floor((startHour * 60 + Number(time.slice(3, 5)) + legMinutes) / 60));
+  const hours = hourly.filter(h => {
+    const iso = String(h.time);
+    const hh = Number(iso.slice(11, 13));
+    return iso.slice(0, 10) === date && hh >= startHour && hh <= endHour;
+  });
+  if (!hours.length) return null;
+
+  const scored = hours.map(h => {
+    const relation = segments.length ? analyzeRouteWind(segments, h.windDirection).shares : 'crosswind';
+    return { ...h, ...calculateActivityScore(h, 'commute', relation, profile) };
+  });
+  const worst = scored.reduce((w, h) => (h.score < w.score ? h : w), scored[0]);
+  const stats = {
+    minTemp: Math.min(...hours.map(h => Number(h.temperature) || 0)),
+    maxTemp: Math.max(...hours.map(h => Number(h.temperature) || 0)),
+    maxPrecipProb: Math.max(...hours.map(h => Number(h.precipitationProbability) || 0)),
+    totalPrecip: Math.round(hours.reduce((sum, h) => sum + (Number(h.precipitation) || 0), 0) * 10) / 10,
+    maxWind: Math.max(...hours.map(h => Number(h.windSpeed) || 0)),
+    maxGust: Math.max(...hours.map(h => Number(h.windGusts) || 0)),
+    dark: hours.some(h => (Number(h.darkness) || 0) >= 0.5), // twilight counts – lights needed
+    storm: hours.some(isThunderstormHour),
+    freezingWet: hours.some(h => Number(h.temperature) <= 0 && (Number(h.precipitation) || 0) > 0),
+    ice: worstIceLevel(hours)
+  };
+
+  let verdict = 'ride';
+  if (worst.score < 4 || stats.storm || stats.freezingWet || stats.ice === 'high') verdict = 'transit';
+  else if (worst.score < 6 || stats.ice === 'moderate') verdict = 'prepared';
+
+  return { kind, time, score: worst.score, verdict, breakdown: worst.breakdown, stats, wear: commuteKit(stats) };
+}
+
+// What to wear for a leg: one base layer line plus weather-driven extras
+function commuteKit(stats) {
+  const kit = [];
+  if (stats.minTemp >= 20) kit.push('Short sleeves');
+  else if (stats.minTemp >= 14) kit.push('Light long sleeves or a gilet');
+  else if (stats.minTemp >= 7) kit.push('Jacket and long trousers');
+  else if (stats.minTemp >= 0) kit.push('Warm jacket, gloves and a buff');
+  else kit.push('Winter jacket, thick gloves, ear cover');
+  if (stats.maxPrecipProb >= 40 || stats.totalPrecip >= 0.2) kit.push('Rain jacket and overshoes');
+  if (stats.dark) kit.push('Lights and a reflective layer');
+  if (stats.ice === 'moderate' || stats.ice === 'high') kit.push('Studded or wide tyres at lower pressure');
+  return kit;
+}
+
+function worstIceLevel(hours) {
+  return hours.reduce((w, h) => {
+    const level = h.iceRisk?.level || 'none';
+    return ICE_LEVELS.indexOf(level) > ICE_LEVELS.indexOf(w) ? level : w;
+  }, 'none');
+}
+
+function worstVerdict(legs) {
+  const order = ['ride', 'prepared', 'transit'];
+  return legs.reduce((w, l) => (order.indexOf(l.verdict) > order.indexOf(w) ? l.verdict : w), 'ride');
+}
+
+function estimateLegMinutes(c) {
+  const [segment] = legSegments(c.origin, c.destination);
+  if (!segment) return DEFAULT_LEG_MINUTES;
+  return Math.max(10, Math.round(segment.distanceKm / COMMUTE_SPEED_KMH * 60));
+}
+
+// Straight line from A to B – enough to tell which way the leg faces the wind
+function legSegments(from, to) {
+  if (!from || !to) return [];
+  return buildRouteSegments([from, to]);
+}
+
+function normalizePlace(place) {
+  const latitude = Number(place?.latitude);
+  const longitude = Number(place?.longitude);
+  if (!place || !Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+  return { name: String(place.name || ''), latitude, longitude };
+}
+
+function addDays(dateStr, days) {
+  const d = new Date(`${dateStr}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function weekdayOf(dateStr) {
+  return new Date(`${dateStr}T12:00:00Z`).getUTCDay();
+}
@@ -0,0 +1,208 @@
+/*
+  Weather 4 Bike – Location Comparison
+
+  Goal: Let riders pin several places and compare them side by side: score
+  now, best window left today, rain, wind and temperature for each.
+
+  Why: "Coast or hills today?" means flicking between locations one at a time
+  through the recents list and remembering the numbers. A table answers it at
+  a glance.
+
+  How:
+  - Persist pinned locations in localStorage (separate from recents, which
+    change with every search).
+  - Fetch all pinned forecasts concurrently with `fetchWeatherData`; one
+    failing location doesn't hide the others.
+  - Summarize each forecast with the same scorers the main view uses, so the
+    numbers match once the rider switches to that location.
+  - Reuse a row's forecast when the rider opens it, unless it has gone stale.
+  - Keep pure functions apart from storage and fetching; rendering lives in
+    `app.js`.
+*/
+
+import { fetchWeatherData } from './weather.js';
+import { calculateActivityScoreFromWeather } from './insights.js';
+import { findBestRideWindows } from './planner.js';
+import { withTrailWetness, loadTrailSoil, trailKey } from './trails.js';
+
+const PINNED_KEY = 'w4b:pinnedLocations';
+export const MAX_PINNED = 6;
+// A comparison row's forecast is reused when a row is opened if younger than this
+const MAX_FORECAST_AGE_MS = 30 * 60000;
+
+/**
+ * Goal: Stable identity for a location.
+ * Why: The same place arrives from search, geolocation and recents with
+ *      slightly different names.
+ * How: Coordinates rounded to ~100 m.
+ */
+export function locationKey(location) {
+  return `${Number(location?.latitude).toFixed(3)},${Number(location?.longitude).toFixed(3)}`;
+}
+
+/**
+ * Goal: Read pinned locations.
+ * Why: The comparison table should survive reloads.
+ * How: Parse from localStorage and normalize; empty list on missing/invalid data.
+ */
+export function loadPinnedLocations() {
+  try {
+    const raw = localStorage.getItem(PINNED_KEY);
+    const list = raw ? JSON.parse(raw) : [];
+    return Array.isArray(list) ? normalizePinned(list) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Goal: Persist pinned locations.
+ * Why: Keep the set across sessions without an account.
+ * How: Normalize (valid coordinates, no duplicates, at most `MAX_PINNED`),
+ *      store as JSON, and return what was stored.
+ */
+export function savePinnedLocations(locations) {
+  const normalized = normalizePinned(locations || []);
+  try {
+    localStorage.setItem(PINNED_KEY, JSON.stringify(normalized));
+  } catch (e) {
+    // ignore storage errors (private mode, etc.)
+  }
+  return normalized;
+}
+
+/**
+ * Goal: Whether a location is pinned.
+ * Why: The pin button toggles between "Pin" and "Unpin".
+ * How: Compare `locationKey`s.
+ */
+export function isPinned(pinned, location) {
+  const key = locationKey(location);
+  return (pinned || []).some(p => locationKey(p) === key);
+}
+
+/**
+ * Goal: Pin or unpin a location.
+ * Why: One button adds the viewed place or removes it again.
+ * How: Remove when pinned, else append (the oldest pin drops out past
+ *      `MAX_PINNED`); saves and returns the new list.
+ */
+export function togglePinnedLocation(pinned, location) {
+  const key = locationKey(location);
+  const list = pinned || [];
+  const next = isPinned(list, location)
+    ? list.filter(p => locationKey(p) !== key)
+    : [...list, location].slice(-MAX_PINNED);
+  return savePinnedLocations(next);
+}
+
+/**
+ * Goal: Fetch and summarize every pinned location.
+ * Why: The table needs all forecasts; waiting on them one by one is slow.
+ * How: `Promise.allSettled` over `fetchWeatherData`; resolves to rows
+ *      `{ location, weather, summary, error }` in the input order, with
+ *      `weather`/`summary` null and `error` set when a fetch failed.
+ *      Each forecast carries the trail state for the soil tagged at that
+ *      location. `options` are passed to `summarizeLocation`.
+ */
+export async function compareLocations(locations, options = {}) {
+  const list = locations || [];
+  const results = await Promise.allSettled(list.map(l => fetchWeatherData(l.latitude, l.longitude)));
+  return results.map((r, idx) => {
+    if (r.status === 'rejected') {
+      console.warn('[compare] forecast unavailable', list[idx].name, r.reason);
+      return { location: list[idx], weather: null, summary: null, error: r.reason };
+    }
+    const weather = withTrailWetness(r.value, loadTrailSoil(trailKey({ location: list[idx] })));
+    return { location: list[idx], weather, summary: summarizeLocation(weather, options), error: null };
+  });
+}
+
+/**
+ * Goal: Whether a comparison row's forecast can be shown as the main view.
+ * Why: The table can sit open for hours; opening a row should not show a
+ *      morning forecast in the afternoon.
+ * How: Live (not offline-cached) data fetched within `MAX_FORECAST_AGE_MS`.
+ */
+export function isForecastFresh(weather, now = Date.now()) {
+  if (!weather || weather.fromCache) return false;
+  const age = now - Date.parse(weather.fetchedAt);
+  return age >= 0 && age < MAX_FORECAST_AGE_MS;
+}
+
+/**
+ * Goal: One comparison row for a loaded forecast.
+ * Why: Score now, today's best window, rain, wind and temperature are what
+ *      decide between places.
+ * How: Score `current` with the activity's rule set (crosswind – a loaded
+ *      route belongs to one place); find the best window among the hours left
+ *      today with the rider's planner settings; aggregate rain and wind over
+ *      the rest of today and take today's min/max from the daily forecast.
+ *      `options` are `{ activity, profile, planner }`.
+ */
+export function summarizeLocation(weather, options = {}) {
+  const { activity = 'road', profile, planner = {} } = options;
+  const start = Number(weather?.nearestIndex) || 0;
+  const hourly = weather?.hourly || [];
+  const today = String(hourly[start]?.time || '').slice(0, 10);
+  const rest = hourly.slice(start).filter(h => String(h.time).slice(0, 10) === today);
+  const day = (weather?.daily || []).find(d => d.date === today) || null;
+  const c = weather?.current || {};
+
+  const { best } = findBestRideWindows(weather, { ...planner, activity, profile, horizonHours: rest.length });
+  return {
+    score: calculateActivityScoreFromWeather(weather, activity, 'crosswind', profile).score,
+    bestWindow: best ? { startTime: best.startTime, endTime: best.endTime, windowScore: best.windowScore } : null,
+    rain: {
+      probabilityMax: maxOf(rest.map(h => h.precipitationProbability)),
+      totalMm: round1(rest.reduce((sum, h) => sum + (Number(h.precipitation) || 0), 0))
+    },
+    wind: {
+      speed: toNumber(c.windSpeed),
+      gusts: toNumber(c.windGusts),
+      max: maxOf(rest.map(h => h.windSpeed))
+    },
+    temperature: {
+      current: toNumber(c.temperature),
+      min: toNumber(day?.temperatureMin),
+      max: toNumber(day?.temperatureMax)
+    }
+  };
+}
+
+// Helpers
+function normalizePinned(list) {
+  const seen = new Set();
+  const out = [];
+  for (const l of list) {
+    const latitude = Number(l?.latitude);
+    const longitude = Number(l?.longitude);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) continue;
+    const key = locationKey({ latitude, longitude });
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push({
+      name: String(l.name || 'Pinned location'),
+      latitude,
+      longitude,
+      region: String(l.region || ''),
+      country: String(l.country || '')
+    });
+  }
+  return out.slice(-MAX_PINNED);
+}
+
+function maxOf(values) {
+  const nums = values.map(toNumber).filter(v => v != null);
+  return nums.length ? Math.max(...nums) : null;
+}
+
+function toNumber(v) {
+  if (v == null || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
@@ -0,0 +1,109 @@
+/*
+  Weather 4 Bike – Daylight & Twilight
+
+  Goal: Work out sunrise, sunset and civil twilight for each forecast day and
+  classify any hour as day, twilight or night.
+
+  Why: Riding in the dark needs lights and changes how safe a ride is. Open‑Meteo
+  returns sunrise/sunset but not civil twilight (sun 6° below the horizon), which
+  is when drivers start losing sight of cyclists.
+
+  How:
+  - Compute sun events with the standard sunrise equation (zenith 90.833° for
+    sunrise/sunset, 96° for civil twilight) from latitude, longitude and the
+    location's UTC offset; Open‑Meteo's own sunrise/sunset win when present.
+  - Return location-local ISO minute strings (`YYYY-MM-DDTHH:MM`) so they compare
+    directly with the hourly `time` strings.
+  - Keep pure functions; alerts and rendering live elsewhere.
+*/
+
+const ZENITH_SUNRISE = 90.833;
+const ZENITH_CIVIL = 96;
+
+// Numeric darkness used by the scoring rules: 0 day, 0.5 civil twilight, 1 night
+export const DARKNESS_LEVELS = { day: 0, twilight: 0.5, night: 1 };
+
+/**
+ * Goal: Sun events for one local date.
+ * Why: Civil twilight isn't part of the forecast response.
+ * How: Solve the sunrise equation for both zeniths; events that don't happen
+ *      (polar day/night) are `null`.
+ */
+export function computeSunTimes(dateStr, latitude, longitude, utcOffsetSeconds = 0) {
+  const event = (zenith, rising) => sunEventLocal(dateStr, Number(latitude), Number(longitude), zenith, rising, Number(utcOffsetSeconds) || 0);
+  return {
+    sunrise: event(ZENITH_SUNRISE, true),
+    sunset: event(ZENITH_SUNRISE, false),
+    civilDawn: event(ZENITH_CIVIL, true),
+    civilDusk: event(ZENITH_CIVIL, false)
+  };
+}
+
+/**
+ * Goal: Classify a location-local time as 'day', 'twilight' or 'night'.
+ * Why: Scores, alerts and the hourly strip all need the same answer.
+ * How: Compare against the day's sunrise/sunset and civil dawn/dusk. Returns
+ *      `null` when the day has no sun data. Without civil times (high
+ *      latitudes in summer) the whole sunrise–sunset gap counts as twilight.
+ */
+export function daylightPhase(iso, day) {
+  if (!day?.sunrise || !day?.sunset) return null;
+  const t = String(iso).slice(0, 16);
+  if (t >= day.sunrise && t <= day.sunset) return 'day';
+  const dawn = day.civilDawn || '';
+  const dusk = day.civilDusk || '';
+  if ((dawn && t >= dawn && t < day.sunrise) || (dusk && t > day.sunset && t <= dusk)) return 'twilight';
+  if (!dawn && !dusk) return 'twilight';
+  return 'night';
+}
+
+/**
+ * Goal: Classify a forecast hour.
+ * Why: An hourly entry covers 60 minutes; its midpoint is a fair representative.
+ * How: Look up the matching day and classify HH:30 of the hour.
+ */
+export function hourDaylightPhase(hourIso, daysByDate) {
+  const iso = String(hourIso);
+  const day = daysByDate[iso.slice(0, 10)];
+  return daylightPhase(`${iso.slice(0, 13)}:30`, day);
+}
+
+/**
+ * Goal: Minutes from a location-local time to another on the same clock.
+ * Why: "Sunset in 45 minutes" alerts compare forecast strings, not Dates.
+ * How: Parse both as UTC so the browser's time zone doesn't interfere.
+ */
+export function minutesBetween(fromIso, toIso) {
+  const parse = (s) => Date.parse(`${String(s).slice(0, 16)}:00Z`);
+  return Math.round((parse(toIso) - parse(fromIso)) / 60000);
+}
+
+// Helpers – sunrise equation ("Almanac for Computers", 1990)
+function sunEventLocal(dateStr, lat, lon, zenith, rising, offsetSeconds) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  const dayOfYear = Math.floor((date - Date.UTC(date.getUTCFullYear(), 0, 0)) / 86400000);
+  const lngHour = lon / 15;
+  const t = dayOfYear + ((rising ? 6 : 18) - lngHour) / 24;
+  const M = 0.9856 * t - 3.289;
+  const L = mod(M + 1.916 * sin(M) + 0.020 * sin(2 * M) + 282.634, 360);
+  let RA = mod(atan(0.91764 * tan(L)), 360);
+  RA = (RA + Math.floor(L / 90) * 90 - Math.floor(RA / 90) * 90) / 15;
+  const sinDec = 0.39782 * sin(L);
+  const cosDec = Math.cos(Math.asin(sinDec));
+  const cosH = (cos(zenith) - sinDec * sin(lat)) / (cosDec * cos(lat));
+  if (cosH > 1 || cosH < -1) return null;
+  const H = (rising ? 360 - acos(cosH) : acos(cosH)) / 15;
+  const T = H + RA - 0.06571 * t - 6.622;
+  const utcHours = mod(T - lngHour, 24);
+  const localMinutes = Math.round(mod(utcHours * 60 + offsetSeconds / 60, 1440));
+  return `${dateStr}T${pad(Math.floor(localMinutes / 60) % 24)}:${pad(localMinutes % 60)}`;
+}
+
+function mod(v, m) { return ((v % m) + m) % m; }
+function pad(n) { return String(n).padStart(2, '0'); }
+function sin(deg) { return Math.sin(deg * Math.PI / 180); }
+function cos(deg) { return Math.cos(deg * Math.PI / 180); }
+function tan(deg) { return Math.tan(deg * Math.PI / 180); }
+function atan(x) { return Math.atan(x) * 180 / Math.PI; }
+function acos(x) { return Math.acos(x) * 180 / Math.PI; }
@@ -0,0 +1,237 @@
+/*
+  Weather 4 Bike – Forecast Confidence (Ensemble Spread)
+
+  Goal: Measure how much forecast runs disagree, per hour and per day, for
+  temperature, wind and precipitation, and turn that into a confidence level.
+
+  Why: A single deterministic forecast hides uncertainty. On a marginal day
+  "7/10" means little if half the ensemble has a wet, windy afternoon – riders
+  should see a range, and scores should say when they're shaky.
+
+  How:
+  - Providers fetch an ensemble (Open‑Meteo's ensemble API: a control run plus
+    `<variable>_member01…` arrays). Multi-model responses (`<variable>_<model>`)
+    parse the same way: every `<variable>` or `<variable>_*` array is a member.
+  - Per hour: the band each variable spans (10th–90th percentile with 10+
+    members, else min–max), the mean and the share of members with rain.
+  - Confidence is "high", "medium" or "low" from the widest disagreement:
+    temperature, wind, or members split on whether it rains.
+  - Days get bands for the max/min temperature, max wind and rain total from
+    each member's own day, so the daily chart can draw a range.
+  - Pure functions; merged into the weather object by `weather.js`.
+*/
+
+export const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+const VARIABLES = { temperature: 'temperature_2m', windSpeed: 'windspeed_10m', precipitation: 'precipitation' };
+const PERCENTILE_MIN_MEMBERS = 10;
+const WET_MM = 0.1;
+
+// Spread (high − low) at which confidence drops to medium/low
+const HOURLY_THRESHOLDS = {
+  temperatureC: { medium: 3, low: 6 },
+  windKmh: { medium: 10, low: 20 },
+  wetShare: [0.25, 0.75], // members split on rain between these shares…
+  wetMm: 1 // …is "low" confidence when the wet members bring this much
+};
+const DAILY_THRESHOLDS = {
+  temperatureC: { medium: 3, low: 6 },
+  windKmh: { medium: 12, low: 24 },
+  wetShare: [0.25, 0.75],
+  wetMm: 5,
+  dayWetMm: 1 // a member's day counts as wet from this total
+};
+
+/**
+ * Goal: Normalize a raw ensemble response into hourly member values.
+ * Why: Merging by timestamp needs one object per hour, members side by side.
+ * How: Collect the member arrays per variable; returns `[{ time, members:
+ *      [{ temperature, windSpeed, precipitation }] }]` with members in the
+ *      same order every hour (values may be `null`).
+ */
+export function parseEnsembleResponse(data) {
+  const h = data?.hourly || {};
+  const keys = memberKeys(h);
+  return (h.time || []).map((time, idx) => ({
+    time,
+    members: keys.map(k => ({
+      temperature: toNumber(h[k.temperature]?.[idx]),
+      windSpeed: toNumber(h[k.windSpeed]?.[idx]),
+      precipitation: toNumber(h[k.precipitation]?.[idx])
+    }))
+  }));
+}
+
+/**
+ * Goal: Spread and confidence for one hour.
+ * Why: Cards, scores and the hourly strip read one summary per hour.
+ * How: Bands per variable, the share of members with ≥ 0.1 mm and the
+ *      confidence level with the variables that lowered it (`reasons`).
+ *      Returns `{ members, temperature: { low, high, mean, spread }, windSpeed,
+ *      precipitation: { low, high, mean, spread, wetShare }, confidence,
+ *      reasons }`, or `null` with fewer than two members.
+ */
+export function summarizeEnsembleHour(members) {
+  const list = (members || []).filter(m => m && m.temperature != null);
+  if (list.length < 2) return null;
+  const temperature = band(list.map(m => m.temperature));
+  const windSpeed = band(list.map(m => m.windSpeed));
+  const precipitation = band(list.map(m => m.precipitation));
+  const wet = list.filter(m => (m.precipitation ?? 0) >= WET_MM);
+  if (precipitation) precipitation.wetShare = round2(wet.length / list.length);
+  const wetHigh = band(wet.map(m => m.precipitation))?.high ?? 0;
+  return {
+    members: list.length,
+    temperature,
+    windSpeed,
+    precipitation,
+    ...confidenceFrom({ temperature, windSpeed, wetShare: precipitation?.wetShare, wetHigh }, HOURLY_THRESHOLDS)
+  };
+}
+
+/**
+ * Goal: Attach ensemble spread to a parsed weather object.
+ * Why: Alerts, scorers and charts read one weather object.
+ * How: Match hours by ISO time: every hourly entry, `next24FromNearest` and
+ *      `current` get `ensemble` (the hour summary, `null` when missing). Each
+ *      daily entry gets `ensemble: { temperatureMax, temperatureMin, windMax,
+ *      precipitationSum, confidence, reasons }` from each member's own day.
+ *      Hourly summaries keep the member values (`memberValues`) for scoring.
+ *      Returns a new object.
+ */
+export function mergeEnsemble(weather, ensemble) {
+  if (!weather) return weather;
+  const byTime = new Map((ensemble || []).map(e => [e.time, e]));
+  const summaries = new Map();
+  const summaryFor = (time) => {
+    if (!summaries.has(time)) {
+      const entry = byTime.get(time);
+      const summary = entry ? summarizeEnsembleHour(entry.members) : null;
+      summaries.set(time, summary ? { ...summary, memberValues: entry.members } : null);
+    }
+    return summaries.get(time);
+  };
+  const hourly = (weather.hourly || []).map(h => ({ ...h, ensemble: summaryFor(h.time) }));
+  const nearest = hourly[Number(weather.nearestIndex) || 0];
+  return {
+    ...weather,
+    hourly,
+    next24FromNearest: (weather.next24FromNearest || []).map(h => ({ ...h, ensemble: summaryFor(h.time) })),
+    current: { ...weather.current, ensemble: summaryFor(nearest?.time) },
+    daily: (weather.daily || []).map(d => ({ ...d, ensemble: summarizeEnsembleDay(ensemble, d.date) })),
+    ensembleAvailable: byTime.size > 0
+  };
+}
+
+/**
+ * Goal: One weather sample per ensemble member for an hour.
+ * Why: Scoring each member shows how far the score itself could swing.
+ * How: Copy the hour with the member's temperature, wind and precipitation
+ *      (keeping the hour's own value where a member has none); `[]` without
+ *      ensemble data.
+ */
+export function ensembleSamples(hour) {
+  const members = hour?.ensemble?.memberValues || [];
+  return members.filter(m => m.temperature != null).map(m => ({
+    ...hour,
+    temperature: m.temperature,
+    windSpeed: m.windSpeed ?? hour.windSpeed,
+    precipitation: m.precipitation ?? hour.precipitation,
+    ensemble: null
+  }));
+}
+
+// Helpers
+function summarizeEnsembleDay(ensemble, date) {
+  const hours = (ensemble || []).filter(e => String(e.time).slice(0, 10) === date);
+  const count = Math.max(0, ...hours.map(e => e.members.length));
+  if (!hours.length || count < 2) return null;
+  const days = [];
+  for (let i = 0; i < count; i++) {
+    const values = hours.map(e => e.members[i]).filter(m => m && m.temperature != null);
+    if (!values.length) continue;
+    days.push({
+      max: Math.max(...values.map(m => m.temperature)),
+      min: Math.min(...values.map(m => m.temperature)),
+      wind: Math.max(...values.map(m => m.windSpeed ?? 0)),
+      precip: values.reduce((sum, m) => sum + (m.precipitation ?? 0), 0)
+    });
+  }
+  if (days.length < 2) return null;
+  const temperatureMax = band(days.map(d => d.max));
+  const temperatureMin = band(days.map(d => d.min));
+  const windMax = band(days.map(d => d.wind));
+  const precipitationSum = band(days.map(d => d.precip));
+  const wet = days.filter(d => d.precip >= DAILY_THRESHOLDS.dayWetMm);
+  precipitationSum.wetShare = round2(wet.length / days.length);
+  const temperature = temperatureMax.spread >= temperatureMin.spread ? temperatureMax : temperatureMin;
+  return {
+    members: days.length,
+    temperatureMax,
+    temperatureMin,
+    windMax,
+    precipitationSum,
+    ...confidenceFrom({ temperature, windSpeed: windMax, wetShare: precipitationSum.wetShare, wetHigh: band(wet.map(d => d.precip))?.high ?? 0 }, DAILY_THRESHOLDS)
+  };
+}
+
+// Worst level across temperature, wind and a rain split
+function confidenceFrom({ temperature, windSpeed, wetShare, wetHigh }, thresholds) {
+  const reasons = [];
+  let level = 0;
+  const raise = (reason, to) => {
+    if (!to) return;
+    reasons.push(reason);
+    level = Math.max(level, to);
+  };
+  const bySpread = (spread, t) => (spread == null ? 0 : spread >= t.low ? 2 : spread >= t.medium ? 1 : 0);
+  raise('temperature', bySpread(temperature?.spread, thresholds.temperatureC));
+  raise('wind', bySpread(windSpeed?.spread, thresholds.windKmh));
+  const [splitFrom, splitTo] = thresholds.wetShare;
+  if (wetShare != null && wetShare >= splitFrom && wetShare <= splitTo) raise('precipitation', wetHigh >= thresholds.wetMm ? 2 : 1);
+  return { confidence: CONFIDENCE_LEVELS[level], reasons };
+}
+
+// Central band of the values: 10th–90th percentile, or the full range for small ensembles
+function band(values) {
+  const sorted = values.filter(v => v != null && Number.isFinite(v)).sort((a, b) => a - b);
+  if (!sorted.length) return null;
+  const wide = sorted.length >= PERCENTILE_MIN_MEMBERS;
+  const low = wide ? percentile(sorted, 0.1) : sorted[0];
+  const high = wide ? percentile(sorted, 0.9) : sorted[sorted.length - 1];
+  return {
+    low: round1(low),
+    high: round1(high),
+    mean: round1(sorted.reduce((sum, v) => sum + v, 0) / sorted.length),
+    spread: round1(high - low)
+  };
+}
+
+function percentile(sorted, p) {
+  const pos = (sorted.length - 1) * p;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// `temperature_2m`, `temperature_2m_member01`, … → one key set per member
+function memberKeys(hourly) {
+  const suffixes = Object.keys(hourly)
+    .filter(k => k === VARIABLES.temperature || k.startsWith(`${VARIABLES.temperature}_`))
+    .map(k => k.slice(VARIABLES.temperature.length));
+  return suffixes.sort().map(suffix => Object.fromEntries(Object.entries(VARIABLES).map(([field, name]) => [field, `${name}${suffix}`])));
+}
+
+function toNumber(v) {
+  if (v == null || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
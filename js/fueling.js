@@ -0,0 +1,144 @@
+/*
+  Weather 4 Bike – Hydration & Fueling
+
+  Goal: Estimate how much to drink, how much sodium and how many carbs a
+  planned ride needs, hour by hour from the forecast, and when bottles will
+  need refilling.
+
+  Why: "Hydrate" in a heat alert doesn't tell a rider setting out on a four
+  hour summer ride whether two bottles will do or where to stop. Needs depend
+  on effort, ride length and the heat stress along the ride, not just on the
+  temperature at the start.
+
+  How:
+  - Sweat rate per hour: a base rate for the effort (at ~15°C) rising with the
+    heat index (temperature plus humidity), a little more in strong sun
+    (WBGT above 25), capped at a high-end 2 L/h.
+  - Drink about 75% of sweat losses, no more than the ~1 L/h the gut absorbs;
+    replace about half the sodium lost (sweat carries ~900 mg/L).
+  - Carbs follow the usual endurance guidance: none under 75 minutes, then
+    20–90 g/h depending on ride length and effort.
+  - Refills: walk the hours with the bottles carried and note when they run
+    dry. Pure functions; rendering lives in `app.js`.
+*/
+
+import { heatIndexC, estimateWbgtC } from './comfort.js';
+
+export const INTENSITIES = {
+  easy: { label: 'Easy', baseSweatLPerH: 0.4 },
+  moderate: { label: 'Moderate', baseSweatLPerH: 0.6 },
+  hard: { label: 'Hard', baseSweatLPerH: 0.9 }
+};
+export const DEFAULT_INTENSITY = 'moderate';
+
+export const DEFAULT_BOTTLES = { count: 2, litres: 0.75 };
+
+const SWEAT_PER_DEGREE_L = 0.035;   // extra L/h per °C heat index above 15°C
+const SWEAT_SUN_PER_DEGREE_L = 0.02; // extra L/h per °C WBGT above 25
+const SWEAT_LIMITS_L = { min: 0.25, max: 2 };
+const DRINK_SHARE = 0.75;
+const MAX_FLUID_L_PER_H = 1;
+const SWEAT_SODIUM_MG_PER_L = 900;
+const SODIUM_SHARE = 0.5;
+const MIN_FUELED_HOURS = 1.25;
+// Carbs (g/h) by ride length: [under 2 h, 2–3 h, 3 h and longer]
+const CARBS_G_PER_H = { easy: [20, 30, 40], moderate: [30, 45, 60], hard: [45, 60, 90] };
+const HEAT_STRESS_WBGT_C = 28;
+const REFILL_SKIP_LAST_HOURS = 0.25; // running dry just before the finish needs no stop
+
+/**
+ * Goal: Fluid, sodium and carb needs for the hours of a ride.
+ * Why: The insights card plans drinks and food for the planned ride.
+ * How: One sweat estimate per hourly entry (`hours`), summed into totals and
+ *      per-hour averages; refill points where the carried bottles run dry.
+ *      Returns `{ intensity, durationHours, perHour: { fluidL, sodiumMg,
+ *      carbsG }, totals, hours: [{ time, heatIndexC, wbgtC, sweatLPerH,
+ *      fluidL }], peak, heatStress, bottleMinutes, refills: [{ time,
+ *      afterHours }] }`, or `null` without usable hours. `options` are
+ *      `{ intensity, bottles: { count, litres } }`.
+ */
+export function estimateFueling(hours, options = {}) {
+  const list = (hours || []).filter(h => h && h.temperature != null && Number.isFinite(Number(h.temperature)));
+  if (!list.length) return null;
+  const intensity = INTENSITIES[options.intensity] ? options.intensity : DEFAULT_INTENSITY;
+  const bottles = { ...DEFAULT_BOTTLES, ...(options.bottles || {}) };
+  const durationHours = list.length;
+
+  const perHourDetail = list.map(h => {
+    const t = Number(h.temperature);
+    const rh = h.humidity == null ? null : Number(h.humidity);
+    const hi = rh == null ? t : heatIndexC(t, rh);
+    const wbgt = rh == null ? null : estimateWbgtC(t, rh);
+    const sweat = sweatRate(intensity, hi, wbgt);
+    return { time: h.time, heatIndexC: round1(hi), wbgtC: wbgt == null ? null : round1(wbgt), sweatLPerH: round2(sweat), fluidL: round2(Math.min(MAX_FLUID_L_PER_H, sweat * DRINK_SHARE)) };
+  });
+
+  const fluidL = perHourDetail.reduce((sum, h) => sum + h.fluidL, 0);
+  const sweatL = perHourDetail.reduce((sum, h) => sum + h.sweatLPerH, 0);
+  const sodiumMg = sweatL * SWEAT_SODIUM_MG_PER_L * SODIUM_SHARE;
+  const carbsGPerH = carbRate(intensity, durationHours);
+  const peak = perHourDetail.reduce((p, h) => (h.sweatLPerH > p.sweatLPerH ? h : p), perHourDetail[0]);
+  const averageFluid = fluidL / durationHours;
+
+  return {
+    intensity,
+    durationHours,
+    perHour: { fluidL: round2(averageFluid), sodiumMg: Math.round(sodiumMg / durationHours / 10) * 10, carbsG: carbsGPerH },
+    totals: { fluidL: round1(fluidL), sodiumMg: Math.round(sodiumMg / 50) * 50, carbsG: carbsGPerH * durationHours },
+    hours: perHourDetail,
+    peak,
+    heatStress: perHourDetail.some(h => h.wbgtC != null && h.wbgtC >= HEAT_STRESS_WBGT_C),
+    bottleMinutes: averageFluid > 0 ? Math.round(bottles.litres / averageFluid * 60 / 5) * 5 : null,
+    refills: refillPoints(perHourDetail, bottles)
+  };
+}
+
+// Helpers
+function sweatRate(intensity, heatIndex, wbgt) {
+  let rate = INTENSITIES[intensity].baseSweatLPerH + SWEAT_PER_DEGREE_L * (heatIndex - 15);
+  if (wbgt != null && wbgt > 25) rate += SWEAT_SUN_PER_DEGREE_L * (wbgt - 25);
+  return Math.min(SWEAT_LIMITS_L.max, Math.max(SWEAT_LIMITS_L.min, rate));
+}
+
+function carbRate(intensity, durationHours) {
+  if (durationHours < MIN_FUELED_HOURS) return 0;
+  const [short, medium, long] = CARBS_G_PER_H[intensity];
+  if (durationHours < 2) return short;
+  if (durationHours < 3) return medium;
+  return long;
+}
+
+// Drinking steadily through each hour: where do the carried bottles run dry?
+function refillPoints(hours, bottles) {
+  const capacity = bottles.count * bottles.litres;
+  const refills = [];
+  if (!(capacity > 0)) return refills;
+  let left = capacity;
+  hours.forEach((h, idx) => {
+    let need = h.fluidL;
+    let offset = 0;
+    while (need > left && h.fluidL > 0) {
+      offset += left / h.fluidL;
+      need -= left;
+      left = capacity;
+      const afterHours = round1(idx + offset);
+      if (afterHours < hours.length - REFILL_SKIP_LAST_HOURS) refills.push({ afterHours, time: addMinutes(h.time, Math.round(offset * 60)) });
+    }
+    left -= need;
+  });
+  return refills;
+}
+
+function addMinutes(iso, minutes) {
+  const d = new Date(`${String(iso).slice(0, 16)}:00Z`);
+  d.setUTCMinutes(d.getUTCMinutes() + minutes);
+  return d.toISOString().slice(0, 16);
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
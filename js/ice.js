@@ -0,0 +1,191 @@
+/*
+  Weather 4 Bike – Road Ice Risk
+
+  Goal: Estimate how likely the road surface is to be icy for every forecast
+  hour, and summarize the next morning's risk for commuters.
+
+  Why: "Freezing temperatures" at the current hour misses the dangerous cases:
+  yesterday evening's rain refreezing at dawn, hoar frost on a clear night at
+  +1°C air temperature, or freezing drizzle that glazes roads in minutes.
+
+  How:
+  - Approximate road temperature from air temperature, minus 1–2°C on clear
+    or cloudy nights (radiative cooling).
+  - Combine a cold factor (road temperature ≤ 0°C, fading out by +3°C) with a
+    moisture factor: precipitation over the previous 12 forecast hours, snow,
+    rime fog, or a dew point at the surface temperature (frost).
+  - Freezing drizzle/rain codes (56/57/66/67) are high risk on their own; wet
+    roads after an overnight frost stay risky through the morning.
+  - Keep pure functions over the parsed hourly array; `weather.js` attaches
+    the result as `hourly[i].iceRisk`.
+*/
+
+export const ICE_LEVELS = ['none', 'low', 'moderate', 'high'];
+
+const FREEZING_PRECIP_CODES = [56, 57, 66, 67];
+const SNOW_CODES = [71, 73, 75, 77, 85, 86];
+const RIME_FOG_CODE = 48;
+const WET_LOOKBACK_HOURS = 12;
+const MORNING_HOURS = { from: 4, to: 10 }; // location-local clock hours, inclusive
+
+/**
+ * Goal: Dew point from temperature and relative humidity.
+ * Why: Frost forms when the road cools to the dew point; not every provider
+ *      returns `dewpoint_2m`.
+ * How: Magnus formula (b = 17.62, c = 243.12°C).
+ */
+export function dewPointC(tempC, humidityPct) {
+  if (tempC == null || humidityPct == null || Number(humidityPct) <= 0) return null;
+  const gamma = Math.log(Number(humidityPct) / 100) + 17.62 * Number(tempC) / (243.12 + Number(tempC));
+  return Math.round(243.12 * gamma / (17.62 - gamma) * 10) / 10;
+}
+
+/**
+ * Goal: Road-ice likelihood for every hourly entry.
+ * Why: Alerts, hourly cards and commute legs all need the same per-hour answer.
+ * How: Returns an array aligned with `hourly`:
+ *      `{ likelihood (0–1), level ('none'|'low'|'moderate'|'high'), reasons }`,
+ *      where reasons name the drivers ('freezing-precip', 'snow', 'refreeze',
+ *      'wet-road', 'frost', 'overnight-freeze').
+ */
+export function estimateIceRisk(hourly) {
+  const hours = Array.isArray(hourly) ? hourly : [];
+  const overnightMin = overnightMinimums(hours);
+  return hours.map((h, idx) => {
+    const t = toNumber(h.temperature);
+    if (t == null) return { likelihood: 0, level: 'none', reasons: [] };
+    const code = Number(h.weatherCode);
+    const reasons = [];
+
+    if (FREEZING_PRECIP_CODES.includes(code)) {
+      return { likelihood: 0.9, level: 'high', reasons: ['freezing-precip'] };
+    }
+
+    const roadT = t - nightCooling(h);
+    const wetMm = precipitationBefore(hours, idx, WET_LOOKBACK_HOURS) + (Number(h.precipitation) || 0);
+    const clock = Number(String(h.time).slice(11, 13));
+    const isMorning = clock >= MORNING_HOURS.from && clock <= MORNING_HOURS.to;
+    const nightMin = overnightMin[String(h.time).slice(0, 10)];
+
+    // Cold: full at ≤ 0°C road temperature, fading to nothing at +3°C. Roads
+    // that froze overnight thaw slower than the air warms in the morning.
+    let cold = roadT <= 0 ? 1 : Math.max(0, (3 - roadT) / 3);
+    const frozeOvernight = isMorning && nightMin != null && nightMin <= 0 && t <= 4;
+    if (frozeOvernight) cold = Math.max(cold, 0.7);
+    if (cold === 0) return { likelihood: 0, level: 'none', reasons: [] };
+
+    let moisture = 0.1;
+    if (SNOW_CODES.includes(code)) {
+      moisture = 1;
+      reasons.push('snow');
+    } else if (wetMm >= 0.5) {
+      moisture = 1;
+      reasons.push(refrozeSinceRain(hours, idx) ? 'refreeze' : 'wet-road');
+    } else if (wetMm >= 0.1) {
+      moisture = 0.6;
+      reasons.push('wet-road');
+    }
+    const dew = toNumber(h.dewPoint) ?? dewPointC(t, h.humidity);
+    if (moisture < 0.6 && (code === RIME_FOG_CODE || (dew != null && dew <= 0 && dew >= roadT - 1))) {
+      moisture = 0.6;
+      reasons.push('frost');
+    }
+    if (frozeOvernight) reasons.push('overnight-freeze');
+
+    const likelihood = Math.round(Math.min(1, cold * moisture + (reasons.includes('refreeze') ? 0.1 : 0)) * 100) / 100;
+    const level = levelFor(likelihood);
+    return { likelihood, level, reasons: level === 'none' ? [] : reasons };
+  });
+}
+
+/**
+ * Goal: Summarize the next morning's road-ice risk.
+ * Why: The decision winter commuters make is "bike or bus tomorrow morning?".
+ * How: Pick today's morning while it's still before 10:00 (location-local),
+ *      else tomorrow's; report the worst hour between 04:00 and 10:00, the
+ *      hours at moderate risk or worse, the reasons (worst hour's first) and
+ *      the overnight minimum. Returns `null` when no morning hour reaches 'low'.
+ */
+export function morningIceOutlook(weatherData) {
+  const hourly = weatherData?.hourly || [];
+  const nowIso = String(hourly[Number(weatherData?.nearestIndex) || 0]?.time || '');
+  if (!nowIso) return null;
+  const today = nowIso.slice(0, 10);
+  const beforeMorningEnd = Number(nowIso.slice(11, 13)) < MORNING_HOURS.to;
+  const date = beforeMorningEnd ? today : addDays(today, 1);
+
+  const morning = hourly.filter(h => {
+    const iso = String(h.time);
+    const hh = Number(iso.slice(11, 13));
+    return iso.slice(0, 10) === date && iso >= nowIso.slice(0, 13) && hh >= MORNING_HOURS.from && hh <= MORNING_HOURS.to;
+  });
+  const risky = morning.filter(h => h.iceRisk && h.iceRisk.level !== 'none');
+  if (!risky.length) return null;
+  const worst = risky.reduce((w, h) => (h.iceRisk.likelihood > w.iceRisk.likelihood ? h : w), risky[0]);
+  const severe = risky.filter(h => ICE_LEVELS.indexOf(h.iceRisk.level) >= ICE_LEVELS.indexOf('moderate'));
+  return {
+    date,
+    isToday: date === today,
+    level: worst.iceRisk.level,
+    likelihood: worst.iceRisk.likelihood,
+    reasons: [...new Set([...worst.iceRisk.reasons, ...risky.flatMap(h => h.iceRisk.reasons)])],
+    worstTime: worst.time,
+    from: (severe[0] || worst).time,
+    to: (severe[severe.length - 1] || worst).time,
+    overnightMinC: overnightMinimums(hourly)[date] ?? null
+  };
+}
+
+// Helpers
+// Clear nights cool the road ~2°C below the air, cloudy nights ~1°C
+function nightCooling(h) {
+  const night = h.daylight ? h.daylight !== 'day' : (h.isDay != null && Number(h.isDay) === 0);
+  if (!night) return 0;
+  return (Number(h.cloudCover) || 0) < 30 ? 2 : 1;
+}
+
+function precipitationBefore(hours, idx, lookback) {
+  let sum = 0;
+  for (let i = Math.max(0, idx - lookback); i < idx; i++) sum += Number(hours[i].precipitation) || 0;
+  return sum;
+}
+
+// Rain fell while it was above freezing, and it has frozen since
+function refrozeSinceRain(hours, idx) {
+  for (let i = Math.max(0, idx - WET_LOOKBACK_HOURS); i < idx; i++) {
+    if ((Number(hours[i].precipitation) || 0) > 0 && Number(hours[i].temperature) > 0) return Number(hours[idx].temperature) <= 0.5;
+  }
+  return false;
+}
+
+// Minimum temperature between 00:00 and 08:00 per date
+function overnightMinimums(hours) {
+  const mins = {};
+  for (const h of hours) {
+    const iso = String(h.time);
+    const t = toNumber(h.temperature);
+    if (t == null || Number(iso.slice(11, 13)) > 8) continue;
+    const date = iso.slice(0, 10);
+    mins[date] = mins[date] == null ? t : Math.min(mins[date], t);
+  }
+  return mins;
+}
+
+function levelFor(likelihood) {
+  if (likelihood >= 0.7) return 'high';
+  if (likelihood >= 0.4) return 'moderate';
+  if (likelihood >= 0.15) return 'low';
+  return 'none';
+}
+
+function addDays(dateStr, days) {
+  const d = new Date(`${dateStr}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function toNumber(v) {
+  if (v == null || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
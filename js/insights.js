@@ -2,7 +2,8 @@
   Weather 4 Bike – Cycling Insights (Domain Logic)
 
   Goal: Convert raw weather into cycling-friendly insights: safety alerts and
-  rideability scores for road, gravel, and MTB.
+  rideability scores for road, gravel, MTB, commute, e-bike, touring and
+  cyclocross.
 
   Why: Riders need decisions, not just numbers. This module encapsulates the
   heuristics so the UI can stay simple and declarative.
@@ -10,10 +11,65 @@
   How:
   - Provide scoring functions that map weather inputs to 1–10 (and legacy 0–100)
     scales with transparent breakdowns.
-  - Provide a small ruleset for safety alerts based on thresholds.
+  - Provide a small ruleset for safety alerts based on thresholds, including
+    darkness, twilight, an upcoming sunset, thunderstorms, imminent rain, air
+    quality and pollen.
+  - The 1–10 activity scores are declarative rule sets (`rules/*.js`)
+    evaluated by `rules/engine.js`, with thresholds from the rider profile.
+  - Scores carry an `uncertain` flag when ensemble members disagree (low
+    forecast confidence, see `ensemble.js`).
   - Keep pure functions with no DOM or storage side effects.
 */
 
+import { evaluateRuleSet } from './rules/engine.js';
+import { getActivityRules } from './rules/index.js';
+import { analyzeRouteWind } from './route.js';
+import { minutesBetween } from './daylight.js';
+import { thermalComfort, RIDING_SPEED_KMH } from './comfort.js';
+import { morningIceOutlook } from './ice.js';
+import { trailReadiness, DEFAULT_SOIL } from './trails.js';
+import { dominantPollen } from './air-quality.js';
+import { stormTimeline, isThunderstormHour } from './storms.js';
+import { precipitationNowcast } from './nowcast.js';
+import { ensembleSamples } from './ensemble.js';
+import { formatPrecipitation } from './units.js';
+
+// Gust speeds (km/h) that trigger safety alerts; moderate also needs gusts
+// clearly above the mean wind, otherwise the wind alert already covers it
+const GUST_ALERT_KMH = { moderate: 40, high: 60 };
+
+// Thermal comfort alert levels (°C): riding wind chill, NWS heat index
+// ("extreme caution" / "danger") and the WBGT estimate, which reads high
+const WIND_CHILL_ALERT_C = { moderate: 0, high: -10 };
+const HEAT_INDEX_ALERT_C = { moderate: 32, high: 41 };
+const HEAT_STRESS_WBGT = { moderate: 28, high: 32 };
+
+// Hours ahead that storm alerts look at: a thunderstorm this close is "high",
+// further out (or a thundery-shower risk) "moderate"
+const STORM_ALERT_HOURS = { high: 3, moderate: 6, lookahead: 12 };
+
+// Rain starting within this many minutes (15-minute nowcast) is "imminent"
+const RAIN_IMMINENT_MINUTES = 30;
+
+// US AQI alert levels: "unhealthy for sensitive groups" and "unhealthy"
+const AQI_ALERT = { moderate: 101, high: 151 };
+
+// Alert wording for the main driver of a road-ice estimate (see `ice.js`)
+const ICE_REASON_TEXT = {
+  'freezing-precip': 'Freezing rain or drizzle glazes roads within minutes.',
+  refreeze: 'Wet roads are refreezing – black ice likely.',
+  'wet-road': 'Wet roads near freezing – icy patches likely.',
+  snow: 'Snow on the roads.',
+  frost: 'Frost likely on the road surface.',
+  'overnight-freeze': 'Roads froze overnight and thaw slowly.'
+};
+
+// Trail state → legacy gravel mud factor and the `trailWetness` rule input (0–3)
+const MUD_FACTORS = { dry: 0, tacky: 1, soft: 2, muddy: 3 };
+
+// Typical departure/return times used for commute alerts (location-local clock)
+const DEFAULT_COMMUTE_TIMES = ['07:30', '17:30'];
+
 /**
  * Goal: Estimate a 0–100 road-cycling score from key weather inputs.
  * Why: Legacy score still used in parts of the UI and useful for comparisons.
@@ -47,40 +103,38 @@ export function calculateRoadCyclingScore(weatherData) {
 /**
  * Goal: Summarize gravel conditions (mud factor + comfort).
  * Why: Recent rain strongly affects gravel surfaces; temp drives comfort.
- * How: Sum recent precipitation over 48h to derive a mudFactor (0–3), and compute
- *      a comfort score from temperature using `scoreRange`.
+ * How: Run the trail drying model (`trails.js`) for the trail's soil and map its
+ *      state to a mudFactor (dry 0, tacky 1, soft 2, muddy 3); compute a comfort
+ *      score from temperature using `scoreRange`. `trail` carries the readiness
+ *      estimate ("rideable from").
  */
-export function calculateGravelConditions(weatherData) {
-  const last48h = estimateRecentPrecipSum(weatherData, 48);
+export function calculateGravelConditions(weatherData, soilType = DEFAULT_SOIL) {
+  const trail = trailReadiness(weatherData, soilType);
   const temp = weatherData.current.temperature;
-  let mudFactor = 0;
-  if (last48h >= 20) mudFactor = 3;
-  else if (last48h >= 10) mudFactor = 2;
-  else if (last48h >= 3) mudFactor = 1;
-  else mudFactor = 0;
+  const mudFactor = MUD_FACTORS[trail?.state] ?? 0;
 
   const comfort = scoreRange(temp, 8, 22, -10, 40);
-  return { mudFactor, comfort: clamp(comfort, 0, 100) };
+  return { mudFactor, comfort: clamp(comfort, 0, 100), trail };
 }
 
 /**
  * Goal: Rate MTB trail readiness on a 0–100 scale.
  * Why: MTB is sensitive to trail drying time, humidity, wind, and comfort.
- * How: Start from 100 and subtract penalties for recent precipitation, extreme
- *      humidity, strong wind; nudge by a temperature comfort component; clamp.
+ * How: Start from 100 and subtract penalties for the modelled trail state
+ *      (`trails.js`: soft, muddy) for the trail's soil, extreme humidity and
+ *      strong wind; nudge by a temperature comfort component; clamp.
  */
-export function calculateMTBTrailReadiness(weatherData) {
-  const last72h = estimateRecentPrecipSum(weatherData, 72);
+export function calculateMTBTrailReadiness(weatherData, soilType = DEFAULT_SOIL) {
+  const trail = trailReadiness(weatherData, soilType);
   const humidityNow = weatherData.hourly[0]?.humidity ?? weatherData.current.humidity ?? 50;
   const wind = kph(weatherData.current.windSpeed);
   const temp = weatherData.current.temperature;
 
   // Start from 100 and apply penalties
   let score = 100;
-  // Trail drying time – heavy rain recently penalizes
-  if (last72h > 30) score -= 35;
-  else if (last72h > 15) score -= 20;
-  else if (last72h > 5) score -= 10;
+  // Trail drying – tacky is fine for MTB, soft and muddy trails are not
+  if (trail?.state === 'muddy') score -= 35;
+  else if (trail?.state === 'soft') score -= 20;
   // Humidity affects dust/traction
   if (humidityNow < 30) score -= 10; // dusty
   if (humidityNow > 90) score -= 10; // greasy
@@ -96,22 +150,145 @@ export function calculateMTBTrailReadiness(weatherData) {
 /**
  * Goal: Produce a list of safety alerts for the rider.
  * Why: Make hazards obvious so riders can adapt gear, route, or timing.
- * How: Evaluate thresholds on wind, visibility, precipitation, and temperature
- *      extremes; return typed alerts with severity and message.
+ * How: Evaluate thresholds on wind, gusts, visibility, precipitation, temperature
+ *      extremes, riding wind chill, heat index/WBGT, road ice (now and the next
+ *      morning, from `ice.js`), daylight (dark, twilight, sunset within 90
+ *      minutes), thunderstorms now or ahead (from `storms.js`), rain starting
+ *      within 30 minutes (15-minute nowcast, `nowcast.js`), US AQI and high
+ *      pollen counts; return typed alerts with severity and message.
+ *      `profile` is the rider profile (its riding speed drives the wind chill).
  */
-export function generateSafetyAlerts(weatherData) {
+export function generateSafetyAlerts(weatherData, profile) {
   const alerts = [];
   const c = weatherData.current;
   const wind = kph(c.windSpeed);
   if (wind >= 25) alerts.push({ type: 'wind', severity: wind >= 40 ? 'high' : 'moderate', message: 'Strong winds may affect bike handling.' });
+  const gusts = kph(c.windGusts);
+  if (gusts >= GUST_ALERT_KMH.high) {
+    alerts.push({ type: 'gust', severity: 'high', message: 'Violent gusts can push you across the lane. Consider postponing or riding sheltered roads.' });
+  } else if (gusts >= GUST_ALERT_KMH.moderate && gusts - wind >= 15) {
+    alerts.push({ type: 'gust', severity: 'moderate', message: 'Gusty wind. Keep a firm grip and watch gaps between buildings, bridges and passing trucks.' });
+  }
   if ((c.visibility ?? 10000) < 2000) alerts.push({ type: 'visibility', severity: 'moderate', message: 'Low visibility. Use lights and high-visibility gear.' });
-  if ((c.precipitation ?? 0) > 0 || (c.precipitationProbability ?? 0) > 60) alerts.push({ type: 'wet', severity: 'moderate', message: 'Wet conditions possible. Increase braking distance.' });
+  const imminent = imminentRainAlert(weatherData);
+  if (imminent) alerts.push(imminent);
+  else if ((c.precipitation ?? 0) > 0 || (c.precipitationProbability ?? 0) > 60) alerts.push({ type: 'wet', severity: 'moderate', message: 'Wet conditions possible. Increase braking distance.' });
   const t = c.temperature ?? 15;
-  if (t <= 0) alerts.push({ type: 'cold', severity: 'high', message: 'Freezing temperatures. Risk of ice.' });
-  if (t >= 35) alerts.push({ type: 'heat', severity: 'high', message: 'High heat. Hydrate and avoid peak sun hours.' });
+  const comfort = c.temperature == null ? {} : { ...thermalComfort(c, ridingSpeed(profile)), ...definedComfort(c) };
+  const ice = iceAlerts(weatherData);
+  if (ice.length) alerts.push(...ice);
+  else if (t <= 0) alerts.push({ type: 'cold', severity: 'high', message: 'Freezing temperatures. Risk of ice.' });
+  if ((comfort.windChill ?? t) <= WIND_CHILL_ALERT_C.high) {
+    alerts.push({ type: 'cold', severity: 'high', message: 'Severe wind chill at riding speed. Cover hands, ears and face; frostbite risk on long descents.' });
+  } else if (t > 0 && (comfort.windChill ?? t) <= WIND_CHILL_ALERT_C.moderate) {
+    alerts.push({ type: 'cold', severity: 'moderate', message: 'Wind chill at riding speed is below freezing. Full gloves and a windproof layer.' });
+  }
+  if (t >= 35 || (comfort.heatIndex ?? t) >= HEAT_INDEX_ALERT_C.high || (comfort.wbgt ?? 0) >= HEAT_STRESS_WBGT.high) {
+    alerts.push({ type: 'heat', severity: 'high', message: 'High heat. Hydrate and avoid peak sun hours.' });
+  } else if ((comfort.heatIndex ?? t) >= HEAT_INDEX_ALERT_C.moderate || (comfort.wbgt ?? 0) >= HEAT_STRESS_WBGT.moderate) {
+    alerts.push({ type: 'heat', severity: 'moderate', message: 'Heat stress building – humidity makes it feel hotter. Ease the pace, drink regularly, seek shade.' });
+  }
+  const dark = darknessAlert(weatherData);
+  if (dark) alerts.push(dark);
+  const storm = stormAlert(weatherData);
+  if (storm) alerts.push(storm);
+  alerts.push(...airQualityAlerts(c));
   return alerts;
 }
 
+// Rain about to start (dry now): heavy rain is "high", anything else
+// "moderate" – replaces the generic wet-conditions alert
+function imminentRainAlert(weatherData) {
+  const nowcast = precipitationNowcast(weatherData);
+  if (!nowcast || nowcast.raining || nowcast.startsInMinutes == null) return null;
+  if (nowcast.startsInMinutes > RAIN_IMMINENT_MINUTES) return null;
+  const minutes = Math.max(5, nowcast.startsInMinutes);
+  const heavy = nowcast.peakIntensity === 'heavy';
+  return heavy
+    ? { type: 'wet', severity: 'high', message: `Heavy rain starts in ~${minutes} min. Find shelter or expect flooded roads and poor visibility.` }
+    : { type: 'wet', severity: 'moderate', message: `Rain starts in ~${minutes} min. Pack a rain jacket and allow for longer braking distances.` };
+}
+
+// One storm alert, escalating as the risk gets closer and firmer: thundery
+// showers possible → thunderstorms later → thunderstorms within 3 h → now
+function stormAlert(weatherData) {
+  const periods = stormTimeline(weatherData, STORM_ALERT_HOURS.lookahead);
+  const hail = (p) => (p.reasons.includes('hail') ? ' Hail possible.' : '');
+  const storm = periods.find(p => p.level === 'high');
+  if (storm && storm.peakInHours === 0) {
+    return { type: 'storm', severity: 'high', message: `Thunderstorm now – until about ${endOf(storm.peakTo)}. Get off exposed roads and ridges; shelter in a building or hard-top car, not under trees.${hail(storm)}` };
+  }
+  if (storm && storm.peakInHours <= STORM_ALERT_HOURS.high) {
+    return { type: 'storm', severity: 'high', message: `Thunderstorms expected from ${storm.peakFrom.slice(11, 16)}. Finish before then or stay close to shelter.${hail(storm)}` };
+  }
+  if (storm) {
+    return { type: 'storm', severity: 'moderate', message: `Thunderstorms possible ${storm.peakFrom.slice(11, 16)}–${endOf(storm.peakTo)}. Plan a route with bail-out options.${hail(storm)}` };
+  }
+  const unstable = periods.find(p => p.level === 'moderate' && p.peakInHours <= STORM_ALERT_HOURS.moderate);
+  if (unstable) {
+    return { type: 'storm', severity: 'moderate', message: `Unstable air from ${unstable.peakFrom.slice(11, 16)} – showers may turn thundery. Keep shelter within reach.` };
+  }
+  return null;
+}
+
+// End of a timeline period: the hour after its last risky hour starts
+function endOf(iso) {
+  return `${String((Number(String(iso).slice(11, 13)) + 1) % 24).padStart(2, '0')}:00`;
+}
+
+// AQI from "unhealthy for sensitive groups" up; pollen once any species is high
+function airQualityAlerts(c) {
+  const alerts = [];
+  const aqi = c.usAqi == null ? null : Math.round(Number(c.usAqi));
+  if (aqi >= AQI_ALERT.high) {
+    alerts.push({ type: 'air', severity: 'high', message: `Unhealthy air (AQI ${aqi}). Avoid hard efforts outdoors – shorten the ride or train indoors.` });
+  } else if (aqi >= AQI_ALERT.moderate) {
+    alerts.push({ type: 'air', severity: 'moderate', message: `Air quality unhealthy for sensitive groups (AQI ${aqi}). Keep efforts easy, especially with asthma.` });
+  }
+  const pollen = dominantPollen(c.pollen);
+  if (pollen && (pollen.level === 'high' || pollen.level === 'very-high')) {
+    alerts.push({ type: 'pollen', severity: 'moderate', message: `${pollen.label} pollen is ${pollen.level === 'high' ? 'high' : 'very high'}. Wraparound glasses help; counts drop after rain.` });
+  }
+  return alerts;
+}
+
+// Road ice now (moderate or worse), plus the next morning's outlook for commuters
+function iceAlerts(weatherData) {
+  const alerts = [];
+  const risk = weatherData.current?.iceRisk;
+  if (risk && (risk.level === 'moderate' || risk.level === 'high')) {
+    alerts.push({ type: 'ice', severity: risk.level === 'high' ? 'high' : 'moderate', message: `${ICE_REASON_TEXT[risk.reasons[0]] || ICE_REASON_TEXT['wet-road']} Ease off on bridges, shaded corners and painted lines.` });
+  }
+  const morning = morningIceOutlook(weatherData);
+  const nowHour = String(weatherData.hourly?.[Number(weatherData.nearestIndex) || 0]?.time || '').slice(0, 13);
+  if (morning && morning.level !== 'low' && !(alerts.length && morning.from.slice(0, 13) <= nowHour)) {
+    const window = morning.from === morning.to ? `around ${morning.from.slice(11, 16)}` : `${morning.from.slice(11, 16)}–${morning.to.slice(11, 16)}`;
+    const cause = ICE_REASON_TEXT[morning.reasons[0]] || '';
+    alerts.push({
+      type: 'ice',
+      severity: morning.level === 'high' ? 'high' : 'moderate',
+      message: `Ice risk ${morning.isToday ? 'this' : 'tomorrow'} morning (${window}). ${cause} Allow extra time or take transit.`
+    });
+  }
+  return alerts;
+}
+
+// Darkness now, civil twilight now, or sunset within the next 90 minutes
+function darknessAlert(weatherData) {
+  const c = weatherData.current || {};
+  if (c.daylight === 'night') return { type: 'dark', severity: 'high', message: 'Dark outside. Use front and rear lights and reflective gear.' };
+  if (c.daylight === 'twilight') return { type: 'dark', severity: 'moderate', message: 'Civil twilight – drivers see you late. Lights on.' };
+  const nowIso = weatherData.hourly?.[Number(weatherData.nearestIndex) || 0]?.time;
+  const today = (weatherData.daily || []).find(d => d.date === String(nowIso || '').slice(0, 10));
+  if (c.daylight === 'day' && today?.sunset) {
+    const minutes = minutesBetween(nowIso, today.sunset);
+    if (minutes >= 0 && minutes <= 90) {
+      return { type: 'dark', severity: 'moderate', message: `Sunset at ${today.sunset.slice(11, 16)}${today.civilDusk ? `, dark by ${today.civilDusk.slice(11, 16)}` : ''} – carry lights on longer rides.` };
+    }
+  }
+  return null;
+}
+
 // Helpers – pure utilities underpinning the scoring rules
 function estimateRecentPrecipSum(weatherData, hoursBack) {
   const now = new Date();
@@ -146,6 +323,19 @@ function clamp(v, min, max) {
   return Math.min(max, Math.max(min, v));
 }
 
+// Comfort values already on `current` (from `weather.js`) win over recomputing;
+// wind chill depends on the rider's speed, so it is always recomputed
+function definedComfort(c) {
+  return Object.fromEntries(['heatIndex', 'wbgt']
+    .filter(k => c[k] != null && !Number.isNaN(Number(c[k])))
+    .map(k => [k, Number(c[k])]));
+}
+
+function ridingSpeed(profile) {
+  const speed = Number(profile?.ridingSpeedKmh);
+  return Number.isFinite(speed) && speed > 0 ? speed : RIDING_SPEED_KMH;
+}
+
 function kph(kmh) {
   if (kmh == null) return 0;
   return Math.round(kmh * 10) / 10;
@@ -154,7 +344,11 @@ function kph(kmh) {
 /**
  * Goal: Adjust a 0–100 base score for uncomfortable environments.
  * Why: Heat/cold and humidity compound other factors and should be reflected globally.
- * How: Subtract capped penalties using temperature and relative humidity thresholds.
+ * How: Subtract capped penalties using what the rider feels rather than the air
+ *      temperature: the heat index on the hot side (humidity included), wind
+ *      chill at riding speed on the cold side, and cap the score when the WBGT
+ *      estimate reaches heat-stress levels. Poor air (US AQI above 100) costs
+ *      up to 40 points.
  */
 export function applyEnvironmentalPenalties(baseScore, weatherData) {
   let score = baseScore;
@@ -162,231 +356,248 @@ export function applyEnvironmentalPenalties(baseScore, weatherData) {
   const t = Number(c.temperature);
   const rh = Number(c.humidity);
 
-  if (!Number.isNaN(t)) {
-    // Heat penalties: > 30°C strongly reduces score
-    if (t > 30) {
-      const heatPenalty = Math.min(60, 15 + (t - 30) * 3); // 35°C => 30, 40°C => 45
+  if (c.temperature != null && !Number.isNaN(t)) {
+    const comfort = { ...thermalComfort(c), ...definedComfort(c) };
+    // Heat penalties: feels > 30°C strongly reduces score
+    const feelsHot = Math.max(t, comfort.heatIndex ?? t);
+    if (feelsHot > 30) {
+      const heatPenalty = Math.min(60, 15 + (feelsHot - 30) * 3); // 35°C => 30, 40°C => 45
       score -= heatPenalty;
-      // High humidity + heat: cap below 40 (i.e., < 4/10)
-      if (!Number.isNaN(rh) && rh >= 70) {
+      // Heat stress (WBGT) or high humidity + heat: cap below 40 (i.e., < 4/10)
+      if ((comfort.wbgt ?? 0) >= HEAT_STRESS_WBGT.moderate || (!Number.isNaN(rh) && rh >= 70)) {
         score = Math.min(score - 10, 35);
       }
     }
-    // Cold penalties: < 10°C reduces score
-    if (t < 10) {
-      const coldPenalty = Math.min(50, 10 + (10 - t) * 2); // 0°C => 30
+    // Cold penalties: wind chill at riding speed < 10°C reduces score
+    const feelsCold = Math.min(t, comfort.windChill ?? t);
+    if (feelsCold < 10) {
+      const coldPenalty = Math.min(50, 10 + (10 - feelsCold) * 2); // 0°C => 30
       score -= coldPenalty;
     }
   }
 
+  const aqi = Number(c.usAqi);
+  if (c.usAqi != null && aqi > 100) {
+    score -= Math.min(40, 10 + (aqi - 100) / 5); // 150 => 20, 250 => 40
+  }
+
   return clamp(Math.round(score), 0, 100);
 }
 
 /**
  * Goal: Produce a 1–10 road bike score and an explanation.
  * Why: Summarizes rideability at a glance with actionable context.
- * How: Start at 10 and subtract penalties for wind, temperature, humidity, visibility,
- *      and UV, with caps for extreme conditions.
+ * How: Evaluate the road rule set (`rules/road.js`): start at 10 and subtract
+ *      penalties for wind (mean or gusts), temperature, humidity, visibility, UV,
+ *      air quality and (for riders who avoid it) rain, with caps for extreme conditions.
+ *      `windDirectionRelation` is either 'headwind' | 'tailwind' | 'crosswind' or
+ *      distance shares from a route (`{ headwind, tailwind, crosswind }`, summing to 1).
+ *      `options.profile` is the rider profile whose thresholds replace the
+ *      default bands; `options.precipitationMm`/`precipitationProbability` feed
+ *      the rain preference; `options.gustKmh` raises the wind penalty when
+ *      gusts cross the gust bands; `options.usAqi` adds the air-quality penalty.
  */
-export function calculateBikeScore(windSpeedKmh, windDirectionRelation, temperatureC, humidityPct, visibilityKm, uvIndex = 0) {
-  let totalScore = 10.0;
-
-  // Wind penalty (0-4)
-  let windPenalty = 0;
-  if (windSpeedKmh <= 10) windPenalty = 0;
-  else if (windSpeedKmh <= 20) windPenalty = 1;
-  else if (windSpeedKmh <= 30) windPenalty = 2;
-  else if (windSpeedKmh <= 40) windPenalty = 3;
-  else windPenalty = 4;
-
-  const dir = String(windDirectionRelation || 'crosswind').toLowerCase();
-  if (dir === 'headwind') windPenalty *= 1.3;
-  else if (dir === 'tailwind') windPenalty *= 0.7;
-  totalScore -= windPenalty;
-
-  // Temperature penalty – harsher above 30°C, "no go" above 35°C
-  let tempPenalty = 0;
-  if (temperatureC >= 15 && temperatureC <= 25) tempPenalty = 0;
-  else if ((temperatureC >= 10 && temperatureC < 15) || (temperatureC > 25 && temperatureC <= 30)) tempPenalty = 1;
-  else if ((temperatureC >= 5 && temperatureC < 10)) tempPenalty = 2;
-  else if (temperatureC > 30 && temperatureC <= 35) tempPenalty = 3; // much worse when >30
-  else if (temperatureC > 35) tempPenalty = 6; // extreme heat, heavy penalty
-  else tempPenalty = 3; // too cold (<5)
-  totalScore -= tempPenalty;
-
-  // Humidity penalty (0-2) with extra cap when >90%
-  let humidityPenalty = 0;
-  if (humidityPct <= 60) humidityPenalty = 0;
-  else if (humidityPct <= 80) humidityPenalty = 1;
-  else humidityPenalty = 2;
-  totalScore -= humidityPenalty;
-  if (humidityPct >= 90) {
-    // Make sure the total is much lower when humidity is extremely high
-    totalScore = Math.min(totalScore, 4.0);
-  }
+export function calculateBikeScore(windSpeedKmh, windDirectionRelation, temperatureC, humidityPct, visibilityKm, uvIndex = 0, options = {}) {
+  const inputs = {
+    windKmh: windSpeedKmh,
+    gustKmh: options.gustKmh == null ? null : Number(options.gustKmh),
+    temperatureC,
+    humidityPct,
+    visibilityKm,
+    uvIndex,
+    precipitationMm: Number(options.precipitationMm) || 0,
+    precipitationProbability: Number(options.precipitationProbability) || 0,
+    usAqi: options.usAqi == null ? null : Number(options.usAqi)
+  };
+  return evaluateRuleSet(getActivityRules('road'), inputs, { windRelation: windDirectionRelation, profile: options.profile });
+}
 
-  // Visibility penalty (0-3), visibilityKm expected in km
-  let visibilityPenalty = 0;
-  if (visibilityKm >= 10) visibilityPenalty = 0;
-  else if (visibilityKm >= 5) visibilityPenalty = 1;
-  else if (visibilityKm >= 2) visibilityPenalty = 2;
-  else visibilityPenalty = 3;
-  totalScore -= visibilityPenalty;
-
-  // UV penalty (0–2)
-  let uvPenalty = 0;
-  if (uvIndex <= 5) uvPenalty = 0;
-  else if (uvIndex <= 7) uvPenalty = 0.5;
-  else if (uvIndex <= 9) uvPenalty = 1.0;
-  else uvPenalty = 1.5;
-  totalScore -= uvPenalty;
-
-  // Hard cap for extreme heat "no go"
-  if (temperatureC > 35) {
-    totalScore = Math.min(totalScore, 2.0);
-  }
+export function calculateBikeScoreFromWeather(weatherData, windRelation = 'crosswind', profile) {
+  return evaluateRuleSet(getActivityRules('road'), scoringInputs(weatherData, profile), { windRelation, profile });
+}
 
-  const finalScore = Math.max(1, Math.min(10, Math.round(totalScore * 10) / 10));
-  let message;
-  if (finalScore >= 8) message = 'Perfect conditions! Go for that long ride! 🚴‍♂️';
-  else if (finalScore >= 6) message = 'Good conditions for cycling. Enjoy your ride!';
-  else if (finalScore >= 4) message = 'Decent conditions, but be prepared for some challenges.';
-  else if (finalScore >= 3) message = "Challenging conditions. Only go if you're experienced.";
-  else message = 'Poor conditions. Consider indoor training.';
-
-  // UV recommendation
-  if (uvIndex >= 7) {
-    message += ' Consider riding early or late due to high UV.';
-  }
+/**
+ * Goal: Score any single weather sample (e.g. one hourly entry) for an activity.
+ * Why: Planners and per-hour views reuse the same 1–10 scorers as the insights card.
+ * How: Wrap the sample as `current` and evaluate the activity's rule set;
+ *      `uncertain` marks samples whose ensemble confidence is low.
+ */
+export function calculateActivityScore(sample, activity = 'road', windRelation = 'crosswind', profile) {
+  const result = evaluateRuleSet(getActivityRules(activity), scoringInputs({ current: sample || {} }, profile), { windRelation, profile });
+  return withConfidence(result, sample?.ensemble);
+}
 
-  return {
-    score: finalScore,
-    message,
-    breakdown: {
-      windPenalty: Math.round(windPenalty * 10) / 10,
-      temperaturePenalty: tempPenalty,
-      humidityPenalty,
-      visibilityPenalty,
-      uvPenalty: Math.round(uvPenalty * 10) / 10
+/**
+ * Goal: How far a sample's score could swing across ensemble members.
+ * Why: The hourly strip draws a band; "5–8/10" says more than a lone 7 when
+ *      the models disagree.
+ * How: Score every member's version of the sample (`ensembleSamples`);
+ *      returns `{ low, high }`, or `null` without ensemble data.
+ */
+export function activityScoreRange(sample, activity = 'road', windRelation = 'crosswind', profile) {
+  const scores = ensembleSamples(sample).map(s => calculateActivityScore(s, activity, windRelation, profile).score);
+  if (!scores.length) return null;
+  return { low: Math.min(...scores), high: Math.max(...scores) };
+}
+
+/**
+ * Goal: Score the current conditions for any activity, including the new
+ *       commute, e-bike, touring and cyclocross rule sets.
+ * Why: The insights card needs one entry point; cyclocross also needs recent
+ *      rain (mud) which a single hourly sample doesn't carry.
+ * How: Build inputs from `current` plus the last 48 h of hourly precipitation
+ *      and evaluate the activity's rule set. With ensemble data the result
+ *      also carries `confidence`, `uncertain` and the disagreeing variables
+ *      (`uncertaintyReasons`).
+ */
+export function calculateActivityScoreFromWeather(weatherData, activity = 'road', windRelation = 'crosswind', profile) {
+  const result = evaluateRuleSet(getActivityRules(activity), scoringInputs(weatherData, profile), { windRelation, profile });
+  return withConfidence(result, weatherData?.current?.ensemble);
+}
+
+/**
+ * Goal: Activity-specific alerts on top of `generateSafetyAlerts`.
+ * Why: Commuters care about darkness and rain at departure, e-bikers about
+ *      battery range, tourers about headwinds over several days, cyclocross
+ *      riders about mud.
+ * How: Inspect the hourly slice at commute times, daily winds (optionally
+ *      against a loaded route) and recent precipitation; return typed alerts
+ *      `{ type, severity, message }` like `generateSafetyAlerts`.
+ *      `options.route` is `{ segments }` from route.js; `options.commuteTimes`
+ *      overrides the default 07:30/17:30 departures; `options.precipitationUnit`
+ *      ('mm' | 'in') formats rain amounts.
+ */
+export function generateActivityAlerts(weatherData, activity, options = {}) {
+  const alerts = [];
+  const c = weatherData.current || {};
+  if (activity === 'commute') {
+    for (const time of options.commuteTimes || DEFAULT_COMMUTE_TIMES) {
+      const h = upcomingHourAt(weatherData, time);
+      if (!h) continue;
+      if ((Number(h.darkness) || 0) >= 0.5) {
+        alerts.push({ type: 'dark', severity: 'moderate', message: `${h.daylight === 'twilight' ? 'Twilight' : 'Dark'} at the ${time} commute – use front and rear lights.` });
+      }
+      const prob = Number(h.precipitationProbability) || 0;
+      if (prob >= 50 || (Number(h.precipitation) || 0) >= 0.2) {
+        alerts.push({ type: 'wet', severity: prob >= 80 ? 'high' : 'moderate', message: `Rain likely at the ${time} departure (${Math.round(prob)}%) – pack rain gear or take transit.` });
+      }
     }
-  };
+  }
+  if (activity === 'ebike') {
+    if ((Number(c.temperature) || 0) < 5) alerts.push({ type: 'battery', severity: 'moderate', message: 'Cold reduces battery range – start fully charged and keep the battery indoors until you leave.' });
+    if (kph(c.windSpeed) >= 30) alerts.push({ type: 'battery', severity: 'moderate', message: 'Strong wind drains the battery faster – plan a shorter loop.' });
+  }
+  if (activity === 'touring') {
+    const days = (weatherData.daily || []).slice(0, 3);
+    const windyDays = days.filter(d => {
+      if (options.route?.segments?.length && d.windDirectionDominant != null) {
+        return (Number(d.windSpeedMax) || 0) >= 20 && analyzeRouteWind(options.route.segments, d.windDirectionDominant).relation === 'headwind';
+      }
+      return (Number(d.windSpeedMax) || 0) >= 35;
+    });
+    if (days.length && windyDays.length >= 2) {
+      const what = options.route?.segments?.length ? 'Headwinds along your route' : 'Strong winds';
+      alerts.push({ type: 'wind', severity: windyDays.length === days.length ? 'high' : 'moderate', message: `${what} on ${windyDays.length} of the next ${days.length} days – plan shorter stages.` });
+    }
+  }
+  if (activity === 'cx') {
+    const mud = estimateRecentPrecipSum(weatherData, 48);
+    const amount = formatPrecipitation(mud, options.precipitationUnit || 'mm');
+    if (mud >= 30) alerts.push({ type: 'mud', severity: 'high', message: `Waterlogged ground (${amount} over 48 h) – courses may be closed or extremely heavy.` });
+    else if (mud >= 10) alerts.push({ type: 'mud', severity: 'moderate', message: `Muddy course (${amount} over 48 h) – mud tyres and a pit bike or spare wheels help.` });
+  }
+  return alerts;
 }
 
-export function calculateBikeScoreFromWeather(weatherData, windRelation = 'crosswind') {
+/**
+ * Goal: Short, practical tips for the newer activity types.
+ * Why: The generic wind/temperature/UV tips don't cover lights, battery,
+ *      stage planning or tyre choice.
+ * How: A few threshold checks per activity; returns plain strings (empty for
+ *      road/gravel/MTB, which keep the generic tips). `options.commuteTimes`
+ *      picks the commute legs, as in `generateActivityAlerts`.
+ */
+export function getActivityRecommendations(weatherData, activity, options = {}) {
   const c = weatherData.current || {};
-  const windKmh = kph(c.windSpeed);
-  const tempC = Number(c.temperature) || 0;
-  const rh = Number(c.humidity) || 0;
-  const visKm = Math.max(0, Number(c.visibility || 0) / 1000);
-  const uv = Number(c.uvIndex) || 0;
-  return calculateBikeScore(windKmh, windRelation, tempC, rh, visKm, uv);
+  const today = weatherData.daily?.[0] || {};
+  const tips = [];
+  if (activity === 'commute') {
+    if ((Number(c.darkness) || 0) >= 0.5) tips.push('Front and rear lights plus a reflective layer');
+    const legs = (options.commuteTimes || DEFAULT_COMMUTE_TIMES).map(t => upcomingHourAt(weatherData, t)).filter(Boolean);
+    const wetChance = Math.max(Number(c.precipitationProbability) || 0, ...legs.map(h => Number(h.precipitationProbability) || 0));
+    tips.push(wetChance >= 30 ? 'Fenders and a packable rain jacket' : 'Dry commute – no rain gear needed');
+  }
+  if (activity === 'ebike') {
+    tips.push(kph(c.windSpeed) >= 20 ? 'Higher assist into the wind, eco mode on the way back' : 'Eco mode stretches range on long climbs');
+    if ((Number(c.temperature) || 0) < 5) tips.push('Store the battery indoors until you leave');
+  }
+  if (activity === 'touring') {
+    const hotOrWindy = (Number(today.temperatureMax) || 0) >= 28 || (Number(today.windSpeedMax) || 0) >= 25;
+    tips.push(hotOrWindy ? 'Start early to cover distance before the afternoon heat and wind' : 'Good day for a long stage');
+    if ((Number(today.temperatureMax) || 0) >= 28) tips.push('Carry extra water between resupply points');
+  }
+  if (activity === 'cx') {
+    tips.push(estimateRecentPrecipSum(weatherData, 48) >= 10 ? 'Mud tyres at lower pressure' : 'Fast, dry course – file treads');
+  }
+  return tips;
 }
 
 /**
  * Goal: 1–10 gravel score tuned for wind and heat sensitivity.
  * Why: Gravel riding is more exposed; harsher penalties improve realism.
- * How: Similar to road score but with 1.5× wind penalty and stronger heat caps.
+ * How: `rules/gravel.js` – road ladders with a 1.5× wind penalty (crosswind
+ *      assumed), stronger heat penalties, a lower humidity cap and penalties
+ *      for soft or muddy trails (`trail` from `withTrailWetness`).
  */
-export function calculateGravelScoreFromWeather(weatherData) {
-  const c = weatherData.current || {};
-  const windKmh = kph(c.windSpeed);
-  const tempC = Number(c.temperature) || 0;
-  const rh = Number(c.humidity) || 0;
-  const visKm = Math.max(0, Number(c.visibility || 0) / 1000);
-  const uv = Number(c.uvIndex) || 0;
-
-  let totalScore = 10.0;
-  // Wind: +50% harsher than road, assume crosswind base
-  let windPenalty = 0;
-  if (windKmh <= 10) windPenalty = 0; else if (windKmh <= 20) windPenalty = 1; else if (windKmh <= 30) windPenalty = 2; else if (windKmh <= 40) windPenalty = 3; else windPenalty = 4;
-  windPenalty *= 1.5;
-  totalScore -= windPenalty;
-
-  // Temperature: harsher above 30, "no go" above 35
-  let tempPenalty = 0;
-  if (tempC >= 15 && tempC <= 25) tempPenalty = 0;
-  else if ((tempC >= 10 && tempC < 15) || (tempC > 25 && tempC <= 30)) tempPenalty = 1;
-  else if (tempC >= 5 && tempC < 10) tempPenalty = 2;
-  else if (tempC > 30 && tempC <= 35) tempPenalty = 4;
-  else if (tempC > 35) tempPenalty = 7;
-  else tempPenalty = 3;
-  totalScore -= tempPenalty;
-
-  // Humidity: same base penalties, but >90% cap lower
-  let humidityPenalty = 0;
-  if (rh <= 60) humidityPenalty = 0; else if (rh <= 80) humidityPenalty = 1; else humidityPenalty = 2;
-  totalScore -= humidityPenalty;
-  if (rh >= 90) totalScore = Math.min(totalScore, 3.5);
-
-  // Visibility
-  let visibilityPenalty = 0;
-  if (visKm >= 10) visibilityPenalty = 0; else if (visKm >= 5) visibilityPenalty = 1; else if (visKm >= 2) visibilityPenalty = 2; else visibilityPenalty = 3;
-  totalScore -= visibilityPenalty;
-
-  // UV penalty
-  let uvPenalty = 0;
-  if (uv <= 5) uvPenalty = 0; else if (uv <= 7) uvPenalty = 0.5; else if (uv <= 9) uvPenalty = 1.0; else uvPenalty = 1.5;
-  totalScore -= uvPenalty;
-
-  if (tempC > 35) totalScore = Math.min(totalScore, 2.0);
-  const finalScore = Math.max(1, Math.min(10, Math.round(totalScore * 10) / 10));
-  const message = (finalScore >= 8 ? 'Great day for gravel!' : finalScore >= 6 ? 'Good gravel conditions.' : finalScore >= 4 ? 'Manageable gravel, expect challenges.' : finalScore >= 3 ? 'Challenging gravel conditions.' : 'Poor gravel conditions.') + (uv >= 7 ? ' Consider riding early or late due to high UV.' : '');
-  return {
-    score: finalScore,
-    message,
-    breakdown: { windPenalty: Math.round(windPenalty * 10) / 10, temperaturePenalty: tempPenalty, humidityPenalty, visibilityPenalty, uvPenalty: Math.round(uvPenalty * 10) / 10 }
-  };
+export function calculateGravelScoreFromWeather(weatherData, profile) {
+  return evaluateRuleSet(getActivityRules('gravel'), scoringInputs(weatherData, profile), { profile });
 }
 
 /**
  * Goal: 1–10 MTB score focused on comfort and visibility on technical terrain.
  * Why: MTB rides are less wind-limited but still heat/visibility constrained.
- * How: Standard wind penalties, stronger temperature caps, same visibility/UV rules.
+ * How: `rules/mtb.js` – standard wind bands, stronger heat penalties, a
+ *      lower humidity cap and trail-state penalties (soft, muddy).
  */
-export function calculateMTBScoreFromWeather(weatherData) {
+export function calculateMTBScoreFromWeather(weatherData, profile) {
+  return evaluateRuleSet(getActivityRules('mtb'), scoringInputs(weatherData, profile), { profile });
+}
+
+// Metric inputs referenced by the rule sets, from a `{ current }` weather object;
+// feels-like values use the profile's riding speed
+function scoringInputs(weatherData, profile) {
   const c = weatherData.current || {};
-  const windKmh = kph(c.windSpeed);
-  const tempC = Number(c.temperature) || 0;
-  const rh = Number(c.humidity) || 0;
-  const visKm = Math.max(0, Number(c.visibility || 0) / 1000);
-  const uv = Number(c.uvIndex) || 0;
-
-  let totalScore = 10.0;
-  let windPenalty = 0;
-  if (windKmh <= 10) windPenalty = 0; else if (windKmh <= 20) windPenalty = 1; else if (windKmh <= 30) windPenalty = 2; else if (windKmh <= 40) windPenalty = 3; else windPenalty = 4;
-  totalScore -= windPenalty;
-
-  let tempPenalty = 0;
-  if (tempC >= 15 && tempC <= 25) tempPenalty = 0;
-  else if ((tempC >= 10 && tempC < 15) || (tempC > 25 && tempC <= 30)) tempPenalty = 1;
-  else if (tempC >= 5 && tempC < 10) tempPenalty = 2;
-  else if (tempC > 30 && tempC <= 35) tempPenalty = 4;
-  else if (tempC > 35) tempPenalty = 7;
-  else tempPenalty = 3;
-  totalScore -= tempPenalty;
-
-  let humidityPenalty = 0;
-  if (rh <= 60) humidityPenalty = 0; else if (rh <= 80) humidityPenalty = 1; else humidityPenalty = 2;
-  totalScore -= humidityPenalty;
-  if (rh >= 90) totalScore = Math.min(totalScore, 3.5);
-
-  let visibilityPenalty = 0;
-  if (visKm >= 10) visibilityPenalty = 0; else if (visKm >= 5) visibilityPenalty = 1; else if (visKm >= 2) visibilityPenalty = 2; else visibilityPenalty = 3;
-  totalScore -= visibilityPenalty;
-
-  // UV penalty
-  let uvPenalty = 0;
-  if (uv <= 5) uvPenalty = 0; else if (uv <= 7) uvPenalty = 0.5; else if (uv <= 9) uvPenalty = 1.0; else uvPenalty = 1.5;
-  totalScore -= uvPenalty;
-
-  if (tempC > 35) totalScore = Math.min(totalScore, 2.0);
-  const finalScore = Math.max(1, Math.min(10, Math.round(totalScore * 10) / 10));
-  const message = (finalScore >= 8 ? 'Trails are prime!' : finalScore >= 6 ? 'Good day to ride.' : finalScore >= 4 ? 'Rideable with caution.' : finalScore >= 3 ? 'Challenging trail conditions.' : 'Not recommended today.') + (uv >= 7 ? ' Consider riding early or late due to high UV.' : '');
+  const comfort = c.temperature == null ? {} : { ...thermalComfort(c, ridingSpeed(profile)), ...definedComfort(c) };
   return {
-    score: finalScore,
-    message,
-    breakdown: { windPenalty: Math.round(windPenalty * 10) / 10, temperaturePenalty: tempPenalty, humidityPenalty, visibilityPenalty, uvPenalty: Math.round(uvPenalty * 10) / 10 }
+    windKmh: kph(c.windSpeed),
+    gustKmh: c.windGusts == null ? null : kph(c.windGusts),
+    temperatureC: Number(c.temperature) || 0,
+    windChillC: comfort.windChill ?? null,
+    heatIndexC: comfort.heatIndex ?? null,
+    wbgtC: comfort.wbgt ?? null,
+    humidityPct: Number(c.humidity) || 0,
+    visibilityKm: Math.max(0, Number(c.visibility || 0) / 1000),
+    uvIndex: Number(c.uvIndex) || 0,
+    precipitationMm: Number(c.precipitation) || 0,
+    precipitationProbability: Number(c.precipitationProbability) || 0,
+    darkness: c.darkness == null ? null : Number(c.darkness),
+    trailWetness: MUD_FACTORS[c.trail?.state] ?? null,
+    recentPrecipMm: c.recentPrecipMm != null ? Number(c.recentPrecipMm)
+      : Array.isArray(weatherData.hourly) ? estimateRecentPrecipSum(weatherData, 48) : null,
+    usAqi: c.usAqi == null ? null : Number(c.usAqi),
+    thunderstorm: isThunderstormHour(c) ? 1 : 0
   };
 }
 
+// Ensemble confidence on a score result: low confidence → `uncertain`
+function withConfidence(result, ensemble) {
+  if (!ensemble) return result;
+  return { ...result, confidence: ensemble.confidence, uncertain: ensemble.confidence === 'low', uncertaintyReasons: ensemble.reasons };
+}
 
+// First hourly entry within the next 24 h whose clock hour matches `HH:MM`
+function upcomingHourAt(weatherData, time) {
+  const start = Number(weatherData.nearestIndex) || 0;
+  const hh = String(time).slice(0, 2);
+  return (weatherData.hourly || []).slice(start, start + 24).find(h => String(h.time).slice(11, 13) === hh) || null;
+}
@@ -0,0 +1,83 @@
+/*
+  Weather 4 Bike – Kit Recommender
+
+  Goal: Turn the forecast across a planned ride into a checklist of what to
+  wear and bring: base layer, jacket, gloves, overshoes, sunscreen and lights.
+
+  Why: A score and one message line ("Good conditions for cycling") don't say
+  whether it's a gilet or a winter jacket day, and the start of a ride is often
+  not its coldest or wettest hour.
+
+  How:
+  - Take the hourly entries the ride covers and reduce them to the coldest
+    riding feels-like temperature (wind chill at riding speed), rain chance and
+    amount, peak UV index and whether any hour is dark.
+  - Compare against the rider's kit thresholds (`profile.js`, editable in the
+    rider profile): one item per category, the warmest level that applies.
+  - Pure functions; the checklist panel lives in `app.js`.
+*/
+
+import { thermalComfort } from './comfort.js';
+import { normalizeKitThresholds } from './profile.js';
+
+export const KIT_CATEGORIES = ['base', 'jacket', 'gloves', 'overshoes', 'sunscreen', 'lights'];
+
+const WET_PRECIP_MM = 0.2;
+const DARK_LEVEL = 0.5; // twilight counts – lights needed
+
+/**
+ * Goal: Kit checklist for the hours of a ride.
+ * Why: The insights card shows what to wear for the planned ride.
+ * How: Summarize the hours (`stats`), then pick at most one item per
+ *      category; returns `{ stats, items: [{ category, key, label, drivers }] }`
+ *      in `KIT_CATEGORIES` order, or `null` without hours. `drivers` name
+ *      what called for the item ('cold', 'rain', 'uv', 'dark') so the UI can
+ *      explain it from `stats` in the rider's units. `profile` is the rider
+ *      profile; its `kit` thresholds default when missing.
+ */
+export function recommendKit(hours, profile) {
+  const list = (hours || []).filter(h => h && h.temperature != null && Number.isFinite(Number(h.temperature)));
+  if (!list.length) return null;
+  const t = normalizeKitThresholds(profile?.kit);
+  const stats = rideStats(list, profile);
+  const feels = stats.minFeelsC;
+  const wet = stats.maxPrecipProbability >= t.rainJacketChancePct || stats.totalPrecipMm >= WET_PRECIP_MM;
+  const items = [];
+  const add = (category, key, label, drivers) => items.push({ category, key, label, drivers });
+
+  if (feels < t.thermalBaseBelowC) add('base', 'thermal-base', 'Thermal long-sleeve base layer', ['cold']);
+  else if (feels < t.longSleeveBelowC) add('base', 'long-sleeve-base', 'Long-sleeve base layer', ['cold']);
+  else add('base', 'short-sleeve', 'Short-sleeve jersey', []);
+
+  if (feels < t.winterJacketBelowC) add('jacket', 'winter-jacket', wet ? 'Insulated waterproof jacket' : 'Insulated winter jacket', wet ? ['cold', 'rain'] : ['cold']);
+  else if (wet) add('jacket', 'rain-jacket', 'Waterproof rain jacket', ['rain']);
+  else if (feels < t.jacketBelowC) add('jacket', 'windproof', 'Windproof jacket or gilet', ['cold']);
+
+  if (feels < t.winterGlovesBelowC) add('gloves', 'winter-gloves', 'Winter gloves', ['cold']);
+  else if (feels < t.fullFingerGlovesBelowC) add('gloves', 'full-finger-gloves', 'Full-finger gloves', ['cold']);
+
+  if (feels < t.overshoesBelowC) add('overshoes', 'thermal-overshoes', wet ? 'Waterproof thermal overshoes' : 'Thermal overshoes', wet ? ['cold', 'rain'] : ['cold']);
+  else if (wet) add('overshoes', 'rain-overshoes', 'Waterproof overshoes', ['rain']);
+
+  if (stats.maxUvIndex != null && stats.maxUvIndex >= t.sunscreenUvIndex) add('sunscreen', 'sunscreen', 'Sunscreen', ['uv']);
+  if (stats.dark) add('lights', 'lights', 'Front and rear lights', ['dark']);
+
+  return { stats, items };
+}
+
+// Helpers
+function rideStats(hours, profile) {
+  const feels = hours.map(h => {
+    const comfort = thermalComfort(h, profile?.ridingSpeedKmh);
+    return Math.min(Number(h.temperature), comfort.windChill ?? Infinity);
+  });
+  const uv = hours.map(h => h.uvIndex).filter(v => v != null && Number.isFinite(Number(v))).map(Number);
+  return {
+    minFeelsC: Math.round(Math.min(...feels) * 10) / 10,
+    maxTempC: Math.max(...hours.map(h => Number(h.temperature))),
+    maxPrecipProbability: Math.max(...hours.map(h => Number(h.precipitationProbability) || 0)),
+    totalPrecipMm: Math.round(hours.reduce((sum, h) => sum + (Number(h.precipitation) || 0), 0) * 10) / 10,
+    maxUvIndex: uv.length ? Math.max(...uv) : null,
+    dark: hours.some(h => (Number(h.darkness) || 0) >= DARK_LEVEL)
+  };
+}
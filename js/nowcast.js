@@ -0,0 +1,106 @@
+/*
+  Weather 4 Bike – Rain Nowcast
+
+  Goal: Turn 15-minute precipitation into a two-hour rain outlook: a bar of
+  15-minute slots and a countdown such as "rain starts in ~35 min".
+
+  Why: Hourly precipitation probability can't answer "can I finish before
+  the shower hits?" – an hour at 60% may be dry for 45 minutes of it.
+
+  How:
+  - Open‑Meteo's `minutely_15` values are sums over the preceding 15 minutes,
+    so the entry at 10:15 describes 10:00–10:15.
+  - Compare slots with "now" on the location's clock (the response's UTC
+    offset), falling back to the browser clock when the offset is unknown.
+  - A slot is wet from 0.1 mm; intensity follows the usual hourly rate
+    classes (light < 2.5 mm/h, moderate < 7.6 mm/h, heavy above).
+  - Pure functions over the parsed weather object; rendering lives in `app.js`.
+*/
+
+export const NOWCAST_MINUTES = 120;
+
+const SLOT_MINUTES = 15;
+const SLOT_MS = SLOT_MINUTES * 60000;
+const WET_MM = 0.1;
+const RATE_MM_PER_H = { moderate: 2.5, heavy: 7.6 };
+const INTENSITIES = ['none', 'light', 'moderate', 'heavy'];
+
+/**
+ * Goal: Rain outlook for the next `minutes`.
+ * Why: The current conditions card and imminent-rain alerts share one answer.
+ * How: Collect the slots overlapping now … now + `minutes`; returns
+ *      `{ slots: [{ from, to, precipitation, rateMmPerH, intensity,
+ *      weatherCode }],
+ *      raining, startsInMinutes, endsInMinutes, peakIntensity, totalMm }`.
+ *      `startsInMinutes` is 0 while it's raining and `null` when the window
+ *      stays dry; `endsInMinutes` is `null` when rain outlasts the window.
+ *      Returns `null` without 15-minute data covering now.
+ */
+export function precipitationNowcast(weatherData, now = new Date(), minutes = NOWCAST_MINUTES) {
+  const entries = weatherData?.minutely15 || [];
+  if (!entries.length) return null;
+  const offset = weatherData.utcOffsetSeconds;
+  const nowMs = offset == null ? now.getTime() : now.getTime() + offset * 1000;
+  const endMs = nowMs + minutes * 60000;
+  const slots = entries
+    .map(e => ({ e, toMs: clockMs(e.time, offset) }))
+    .filter(({ toMs }) => toMs > nowMs && toMs - SLOT_MS < endMs)
+    .slice(0, Math.ceil(minutes / SLOT_MINUTES))
+    .map(({ e, toMs }) => {
+      const precipitation = Number(e.precipitation) || 0;
+      const rateMmPerH = Math.round(precipitation * (60 / SLOT_MINUTES) * 10) / 10;
+      return {
+        from: shiftIso(e.time, -SLOT_MINUTES),
+        to: e.time,
+        fromMs: toMs - SLOT_MS,
+        precipitation,
+        rateMmPerH,
+        intensity: intensityFor(precipitation, rateMmPerH),
+        weatherCode: e.weatherCode ?? null
+      };
+    });
+  if (!slots.length || slots[0].fromMs > nowMs) return null;
+
+  const wetIdx = slots.findIndex(s => s.intensity !== 'none');
+  const raining = wetIdx === 0;
+  const startsInMinutes = wetIdx < 0 ? null : roundTo5(Math.max(0, slots[wetIdx].fromMs - nowMs) / 60000);
+  let endsInMinutes = null;
+  if (wetIdx >= 0) {
+    const dryIdx = slots.findIndex((s, i) => i > wetIdx && s.intensity === 'none');
+    if (dryIdx >= 0) endsInMinutes = roundTo5((slots[dryIdx].fromMs - nowMs) / 60000);
+  }
+  const peak = slots.reduce((p, s) => (INTENSITIES.indexOf(s.intensity) > INTENSITIES.indexOf(p) ? s.intensity : p), 'none');
+  return {
+    slots: slots.map(({ fromMs, ...s }) => s),
+    raining,
+    startsInMinutes,
+    endsInMinutes,
+    peakIntensity: peak,
+    totalMm: Math.round(slots.reduce((sum, s) => sum + s.precipitation, 0) * 10) / 10
+  };
+}
+
+// Helpers
+function intensityFor(precipitation, rate) {
+  if (precipitation < WET_MM) return 'none';
+  if (rate >= RATE_MM_PER_H.heavy) return 'heavy';
+  if (rate >= RATE_MM_PER_H.moderate) return 'moderate';
+  return 'light';
+}
+
+// Slot end on the same axis as "now": the location's wall clock read as UTC
+// when the offset is known, otherwise the browser's local time
+function clockMs(iso, offsetSeconds) {
+  const s = String(iso).slice(0, 16);
+  return offsetSeconds == null ? new Date(s).getTime() : Date.parse(`${s}:00Z`);
+}
+
+function shiftIso(iso, minutes) {
+  const d = new Date(`${String(iso).slice(0, 16)}:00Z`);
+  d.setUTCMinutes(d.getUTCMinutes() + minutes);
+  return d.toISOString().slice(0, 16);
+}
+
+function roundTo5(minutes) {
+  return Math.round(minutes / 5) * 5;
+}
@@ -0,0 +1,240 @@
+/*
+  Weather 4 Bike – Ride Window Planner
+
+  Goal: Find the best contiguous block of hours to ride within the next 48 hours
+  for the selected activity, ride duration and allowed start times.
+
+  Why: "When should I go?" matters as much as "should I go?". Scoring every hour
+  and comparing windows turns the hourly forecast into a concrete plan.
+
+  How:
+  - Score each hourly entry with the same 1–10 activity scorers as the insights card.
+  - Slide an N-hour window over the horizon, keeping windows whose start time falls
+    between the earliest/latest start (location-local clock time; an earliest
+    start after the latest one wraps past midnight, e.g. 20:00–02:00).
+  - Blend average and worst-hour scores, subtract rain penalties, rank, and attach
+    structured reasons explaining why each window won or lost.
+  - Score whole days from their daylight hours plus daily aggregates for the 7‑day view.
+  - Keep pure functions; formatting of reasons is left to the UI.
+*/
+
+import { calculateActivityScore } from './insights.js';
+import { isThunderstormHour } from './storms.js';
+
+const DEFAULT_OPTIONS = {
+  activity: 'road',
+  durationHours: 2,
+  earliestStart: '06:00',
+  latestStart: '18:00',
+  horizonHours: 48,
+  windRelation: 'crosswind',
+  profile: undefined
+};
+
+/**
+ * Goal: Attach a 1–10 activity score to each hourly entry.
+ * Why: Windows and per-hour views both need scores aligned with the hourly slice.
+ * How: Run `calculateActivityScore` per hour, keeping its breakdown for reasons
+ *      and whether the ensemble makes the hour `uncertain`.
+ *      `windRelation` may be a function of the hour so a loaded route can be
+ *      compared against each hour's own wind direction. `profile` is the rider
+ *      profile passed through to the scorers.
+ */
+export function scoreHourlyForecast(hourly, activity = 'road', windRelation = 'crosswind', profile) {
+  return (hourly || []).map(h => {
+    const relation = typeof windRelation === 'function' ? windRelation(h) : windRelation;
+    const detail = calculateActivityScore(h, activity, relation, profile);
+    return { ...h, score: detail.score, breakdown: detail.breakdown, uncertain: Boolean(detail.uncertain) };
+  });
+}
+
+/**
+ * Goal: Rank candidate ride windows across the planning horizon.
+ * Why: Riders want the single best slot plus context on the alternatives.
+ * How: Score hours from `nearestIndex`, build every allowed N-hour window, compute
+ *      a window score (70% average, 30% worst hour, minus rain penalties), sort
+ *      descending and annotate reasons relative to the best window.
+ */
+export function findBestRideWindows(weather, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const duration = Math.max(1, Math.round(Number(opts.durationHours) || 1));
+  const start = Number(weather?.nearestIndex) || 0;
+  const horizon = (weather?.hourly || []).slice(start, start + opts.horizonHours);
+  const scored = scoreHourlyForecast(horizon, opts.activity, opts.windRelation, opts.profile);
+
+  const windows = [];
+  for (let i = 0; i + duration <= scored.length; i++) {
+    if (!startAllowed(clockTime(scored[i].time), opts.earliestStart, opts.latestStart)) continue;
+    windows.push(summarizeWindow(scored.slice(i, i + duration)));
+  }
+  windows.sort((a, b) => b.windowScore - a.windowScore || a.startTime.localeCompare(b.startTime));
+
+  const best = windows[0] || null;
+  windows.forEach(w => { w.reasons = explainWindow(w, best); });
+  return { best, windows, options: { ...opts, durationHours: duration } };
+}
+
+/**
+ * Goal: Give each forecast day a 1–10 rideability score and pick the best day.
+ * Why: Groups choose the long-ride day from the weekly outlook, not hour by hour.
+ * How: Score the day's remaining daylight hours (sunrise–sunset, then `isDay`,
+ *      or 07:00–19:00 when neither is available) with the activity scorer, blend the average with the best
+ *      three hours, then subtract daily-aggregate penalties for rain chance, rain
+ *      totals and peak wind. Days without daylight hours left get `score: null`.
+ */
+export function scoreDailyForecast(weather, activity = 'road', windRelation = 'crosswind', profile) {
+  const start = Number(weather?.nearestIndex) || 0;
+  const upcoming = (weather?.hourly || []).slice(start);
+  const days = (weather?.daily || []).map(d => {
+    const daylight = upcoming.filter(h => String(h.time).slice(0, 10) === d.date && isDaylightHour(h));
+    if (!daylight.length) return { date: d.date, score: null, hourlyAverage: null, daylightHours: 0, bestHour: null, penalties: {} };
+    const scored = scoreHourlyForecast(daylight, activity, windRelation, profile);
+    const scores = scored.map(h => h.score);
+    const average = scores.reduce((a, b) => a + b, 0) / scores.length;
+    const top = [...scores].sort((a, b) => b - a).slice(0, 3);
+    const topAverage = top.reduce((a, b) => a + b, 0) / top.length;
+    const bestHour = scored.reduce((best, h) => (h.score > best.score ? h : best), scored[0]);
+
+    const penalties = { rain: 0, wind: 0 };
+    const precipProb = Number(d.precipitationProbabilityMax) || 0;
+    if (precipProb >= 80) penalties.rain = 2;
+    else if (precipProb >= 50) penalties.rain = 1;
+    if ((Number(d.precipitationSum) || 0) >= 5) penalties.rain += 1;
+    const windMax = Number(d.windSpeedMax) || 0;
+    if (windMax >= 50) penalties.wind = 2;
+    else if (windMax >= 35) penalties.wind = 1;
+
+    const score = clamp(round1(average * 0.5 + topAverage * 0.5 - penalties.rain - penalties.wind), 1, 10);
+    return { date: d.date, score, hourlyAverage: round1(average), daylightHours: daylight.length, bestHour, penalties };
+  });
+  const best = days.reduce((b, d) => (d.score != null && (!b || d.score > b.score) ? d : b), null);
+  return { days, best };
+}
+
+/**
+ * Goal: Pick the top windows that don't overlap each other.
+ * Why: Neighbouring windows shifted by an hour are near-duplicates of the best one.
+ * How: Walk the ranked list and keep windows sharing no hour with those already kept.
+ */
+export function pickDistinctWindows(windows, count = 3) {
+  const picked = [];
+  for (const w of windows || []) {
+    const overlaps = picked.some(p => w.startTime <= p.endTime && p.startTime <= w.endTime);
+    if (!overlaps) picked.push(w);
+    if (picked.length >= count) break;
+  }
+  return picked;
+}
+
+// "HH:MM" strings compare in clock order; earliest > latest spans midnight
+function startAllowed(clock, earliest, latest) {
+  return earliest <= latest
+    ? clock >= earliest && clock <= latest
+    : clock >= earliest || clock <= latest;
+}
+
+function summarizeWindow(hours) {
+  const scores = hours.map(h => h.score);
+  const averageScore = round1(scores.reduce((a, b) => a + b, 0) / scores.length);
+  const minScore = Math.min(...scores);
+  const stats = {
+    maxWind: Math.round(maxOf(hours, 'windSpeed')),
+    maxGust: Math.round(maxOf(hours, 'windGusts')),
+    maxPrecipProb: Math.round(maxOf(hours, 'precipitationProbability')),
+    totalPrecip: round1(hours.reduce((sum, h) => sum + (Number(h.precipitation) || 0), 0)),
+    minTemp: minOf(hours, 'temperature'),
+    maxTemp: maxOf(hours, 'temperature'),
+    maxHumidity: Math.round(maxOf(hours, 'humidity')),
+    minVisibilityKm: round1(minOf(hours, 'visibility') / 1000),
+    maxUv: Math.round(maxOf(hours, 'uvIndex')),
+    darkHours: hours.filter(h => h.daylight === 'night').length,
+    twilightHours: hours.filter(h => h.daylight === 'twilight').length,
+    stormHours: hours.filter(isThunderstormHour).length,
+    maxAqi: hours.some(h => h.usAqi != null) ? Math.round(maxOf(hours, 'usAqi')) : null
+  };
+  const penalties = ['windPenalty', 'temperaturePenalty', 'humidityPenalty', 'visibilityPenalty', 'uvPenalty', 'darknessPenalty', 'airQualityPenalty']
+    .reduce((acc, k) => ({ ...acc, [k]: round1(hours.reduce((sum, h) => sum + (h.breakdown?.[k] || 0), 0)) }), {});
+
+  let rainPenalty = 0;
+  if (stats.maxPrecipProb >= 80) rainPenalty = 2;
+  else if (stats.maxPrecipProb >= 50) rainPenalty = 1;
+  if (stats.totalPrecip >= 1) rainPenalty += 1;
+
+  const windowScore = clamp(round1(averageScore * 0.7 + minScore * 0.3 - rainPenalty), 1, 10);
+  return {
+    startTime: hours[0].time,
+    endTime: hours[hours.length - 1].time,
+    hours,
+    averageScore,
+    minScore,
+    rainPenalty,
+    windowScore,
+    stats,
+    penalties
+  };
+}
+
+/**
+ * Goal: Explain a window's rank.
+ * Why: A score alone doesn't say whether wind, heat or rain decided it.
+ * How: Emit structured reasons (`{ factor, positive, ... }`); the UI turns them
+ *      into text in the selected units.
+ */
+function explainWindow(w, best) {
+  const reasons = [];
+  if (w === best) reasons.push({ factor: 'rank', positive: true, score: w.windowScore });
+  else reasons.push({ factor: 'rank', positive: false, score: w.windowScore, behind: round1(best.windowScore - w.windowScore) });
+
+  if (w.stats.maxPrecipProb >= 50 || w.stats.totalPrecip >= 1) {
+    reasons.push({ factor: 'rain', positive: false, probability: w.stats.maxPrecipProb, amount: w.stats.totalPrecip });
+  }
+  const hours = w.hours.length;
+  if (w.penalties.windPenalty / hours >= 1) reasons.push({ factor: 'wind', positive: false, maxWind: w.stats.maxWind, maxGust: w.stats.maxGust });
+  if (w.penalties.temperaturePenalty / hours >= 1) reasons.push({ factor: 'temperature', positive: false, minTemp: w.stats.minTemp, maxTemp: w.stats.maxTemp });
+  if (w.penalties.humidityPenalty / hours >= 1) reasons.push({ factor: 'humidity', positive: false, maxHumidity: w.stats.maxHumidity });
+  if (w.penalties.visibilityPenalty / hours >= 1) reasons.push({ factor: 'visibility', positive: false, minVisibilityKm: w.stats.minVisibilityKm });
+  if (w.penalties.uvPenalty / hours >= 0.5) reasons.push({ factor: 'uv', positive: false, maxUv: w.stats.maxUv });
+  if (w.penalties.airQualityPenalty / hours >= 0.5) reasons.push({ factor: 'air', positive: false, maxAqi: w.stats.maxAqi });
+  if (w.stats.stormHours) reasons.push({ factor: 'storm', positive: false, stormHours: w.stats.stormHours });
+  if (w.stats.darkHours || w.stats.twilightHours) {
+    reasons.push({ factor: 'darkness', positive: false, darkHours: w.stats.darkHours, twilightHours: w.stats.twilightHours });
+  }
+
+  if (reasons.length === 1) reasons.push({ factor: 'calm', positive: true, maxWind: w.stats.maxWind, minTemp: w.stats.minTemp, maxTemp: w.stats.maxTemp });
+  return reasons;
+}
+
+// Helpers
+function isDaylightHour(h) {
+  if (h.daylight) return h.daylight === 'day';
+  if (h.isDay != null) return Number(h.isDay) === 1;
+  const clock = clockTime(h.time);
+  return clock >= '07:00' && clock <= '19:00';
+}
+
+function clockTime(iso) {
+  // Open‑Meteo returns location-local ISO strings (timezone=auto), e.g. 2025-08-18T07:00
+  return String(iso || '').slice(11, 16);
+}
+
+function numbersOf(items, key) {
+  return items.map(h => h[key]).filter(v => v != null && !Number.isNaN(Number(v))).map(Number);
+}
+
+function maxOf(items, key) {
+  const vals = numbersOf(items, key);
+  return vals.length ? Math.max(...vals) : 0;
+}
+
+function minOf(items, key) {
+  const vals = numbersOf(items, key);
+  return vals.length ? Math.min(...vals) : 0;
+}
+
+function round1(v) {
+  return Math.round(v * 10) / 10;
+}
+
+function clamp(v, min, max) {
+  return Math.min(max, Math.max(min, v));
+}
@@ -0,0 +1,167 @@
+/*
+  Weather 4 Bike – Rider Profile
+
+  Goal: Describe how a rider tolerates weather (comfort temperature range, wind
+  tolerance, heat sensitivity, riding in rain, riding speed, when they reach
+  for each piece of kit) and turn that into the thresholds the activity
+  scorers use.
+
+  Why: A fixed 15–25°C ideal and fixed wind bands give the wrong score to riders
+  who are happy at 8°C or who hate any breeze.
+
+  How:
+  - Persist a small profile object in localStorage with safe defaults.
+  - Derive scoring thresholds (temperature bands, wind bands, heat multiplier,
+    rain preference) from the profile; defaults reproduce the original bands.
+  - Kit thresholds are used as entered by `kit.js`; the riding speed sets the
+    air speed behind the riding wind chill (`comfort.js`).
+  - No DOM manipulation here; the settings panel lives in `app.js`.
+*/
+
+import { RIDING_SPEED_KMH } from './comfort.js';
+
+const PROFILE_KEY = 'w4b:riderProfile';
+
+// Riding feels-like temperature (°C) below which each item is recommended,
+// plus the rain chance and UV index that call for a rain jacket and sunscreen
+export const DEFAULT_KIT_THRESHOLDS = {
+  longSleeveBelowC: 16,
+  thermalBaseBelowC: 6,
+  jacketBelowC: 12,
+  winterJacketBelowC: 2,
+  fullFingerGlovesBelowC: 12,
+  winterGlovesBelowC: 3,
+  overshoesBelowC: 6,
+  rainJacketChancePct: 40,
+  sunscreenUvIndex: 3
+};
+
+export const DEFAULT_RIDER_PROFILE = {
+  comfortMinC: 15,
+  comfortMaxC: 25,
+  windTolerance: 'normal',   // 'low' | 'normal' | 'high'
+  heatSensitivity: 'normal', // 'low' | 'normal' | 'high'
+  ridesInRain: true,
+  ridingSpeedKmh: RIDING_SPEED_KMH,
+  kit: { ...DEFAULT_KIT_THRESHOLDS }
+};
+
+const WIND_TOLERANCE_FACTORS = { low: 0.75, normal: 1, high: 1.25 };
+const HEAT_SENSITIVITY_FACTORS = { low: 0.75, normal: 1, high: 1.5 };
+const BASE_WIND_BANDS_KMH = [10, 20, 30, 40];
+// Gusts well above the mean wind are what push a rider across the lane
+const BASE_GUST_BANDS_KMH = [30, 45, 60, 75];
+// Extreme heat whatever the comfort range: the hot cap always applies above this
+const HOT_CEILING_C = 35;
+
+/**
+ * Goal: Return a complete, valid rider profile.
+ * Why: Stored or user-entered values may be partial, reversed or out of range.
+ * How: Fill defaults, clamp the comfort range to -10°C–`HOT_CEILING_C` (so
+ *      the ideal band never reaches past the hot bands) and keep min < max,
+ *      to 0.1°C so whole °F survive the round trip; the riding speed clamps
+ *      to 5–60 km/h.
+ */
+export function normalizeRiderProfile(profile) {
+  const p = { ...DEFAULT_RIDER_PROFILE, ...(profile || {}) };
+  let min = clamp(Number(p.comfortMinC), -10, HOT_CEILING_C);
+  let max = clamp(Number(p.comfortMaxC), -10, HOT_CEILING_C);
+  if (Number.isNaN(min)) min = DEFAULT_RIDER_PROFILE.comfortMinC;
+  if (Number.isNaN(max)) max = DEFAULT_RIDER_PROFILE.comfortMaxC;
+  if (min >= max) [min, max] = [Math.min(min, max), Math.max(min, max) + 1];
+  if (max > HOT_CEILING_C) [min, max] = [Math.min(min, HOT_CEILING_C - 1), HOT_CEILING_C];
+  const speed = p.ridingSpeedKmh == null || p.ridingSpeedKmh === '' ? NaN : clamp(Number(p.ridingSpeedKmh), 5, 60);
+  return {
+    comfortMinC: Math.round(min * 10) / 10,
+    comfortMaxC: Math.round(max * 10) / 10,
+    windTolerance: p.windTolerance in WIND_TOLERANCE_FACTORS ? p.windTolerance : DEFAULT_RIDER_PROFILE.windTolerance,
+    heatSensitivity: p.heatSensitivity in HEAT_SENSITIVITY_FACTORS ? p.heatSensitivity : DEFAULT_RIDER_PROFILE.heatSensitivity,
+    ridesInRain: p.ridesInRain !== false,
+    ridingSpeedKmh: Number.isNaN(speed) ? DEFAULT_RIDER_PROFILE.ridingSpeedKmh : Math.round(speed * 10) / 10,
+    kit: normalizeKitThresholds(p.kit)
+  };
+}
+
+/**
+ * Goal: Return complete, valid kit thresholds.
+ * Why: The kit recommender compares against every threshold; form values may
+ *      be blank or out of range.
+ * How: Fill defaults per field; temperatures clamp to -20–35°C and keep 0.1°C
+ *      (whole °F survive the round trip), the rain chance clamps to 0–100% and
+ *      the UV index to 0–11. A warmer "winter" threshold than its lighter
+ *      counterpart is lowered to match it.
+ */
+export function normalizeKitThresholds(kit) {
+  const k = kit && typeof kit === 'object' ? kit : {};
+  const out = {};
+  for (const [key, fallback] of Object.entries(DEFAULT_KIT_THRESHOLDS)) {
+    const temp = key !== 'rainJacketChancePct' && key !== 'sunscreenUvIndex';
+    const [min, max] = key === 'rainJacketChancePct' ? [0, 100] : key === 'sunscreenUvIndex' ? [0, 11] : [-20, 35];
+    const v = k[key] == null || k[key] === '' ? NaN : Number(k[key]);
+    const step = temp ? 10 : 1;
+    out[key] = Number.isFinite(v) ? Math.round(clamp(v, min, max) * step) / step : fallback;
+  }
+  out.thermalBaseBelowC = Math.min(out.thermalBaseBelowC, out.longSleeveBelowC);
+  out.winterJacketBelowC = Math.min(out.winterJacketBelowC, out.jacketBelowC);
+  out.winterGlovesBelowC = Math.min(out.winterGlovesBelowC, out.fullFingerGlovesBelowC);
+  return out;
+}
+
+/**
+ * Goal: Convert a profile into scorer thresholds.
+ * Why: Scorers stay declarative about *what* they penalize; the profile decides *where*.
+ * How: Temperature bands are offsets from the comfort range (±5°C mild, −10°C
+ *      cold, +5/+10°C hot/extreme, the hot bands capped at 35°C); wind and gust
+ *      bands scale with tolerance.
+ */
+export function getScoringThresholds(profile = DEFAULT_RIDER_PROFILE) {
+  const p = normalizeRiderProfile(profile);
+  const windFactor = WIND_TOLERANCE_FACTORS[p.windTolerance];
+  return {
+    temperature: {
+      idealMin: p.comfortMinC,
+      idealMax: p.comfortMaxC,
+      coolMin: p.comfortMinC - 5,
+      coldMin: p.comfortMinC - 10,
+      warmMax: Math.min(p.comfortMaxC + 5, HOT_CEILING_C),
+      hotMax: Math.min(p.comfortMaxC + 10, HOT_CEILING_C)
+    },
+    windBandsKmh: BASE_WIND_BANDS_KMH.map(v => Math.round(v * windFactor)),
+    gustBandsKmh: BASE_GUST_BANDS_KMH.map(v => Math.round(v * windFactor)),
+    heatFactor: HEAT_SENSITIVITY_FACTORS[p.heatSensitivity],
+    ridesInRain: p.ridesInRain
+  };
+}
+
+/**
+ * Goal: Read the saved rider profile.
+ * Why: Scores should reflect the rider on every visit.
+ * How: Parse from localStorage and normalize; defaults on missing/invalid data.
+ */
+export function loadRiderProfile() {
+  try {
+    const raw = localStorage.getItem(PROFILE_KEY);
+    return normalizeRiderProfile(raw ? JSON.parse(raw) : null);
+  } catch (e) {
+    return { ...DEFAULT_RIDER_PROFILE };
+  }
+}
+
+/**
+ * Goal: Persist the rider profile.
+ * Why: Keep settings across sessions without an account.
+ * How: Normalize, store as JSON, and return what was stored.
+ */
+export function saveRiderProfile(profile) {
+  const normalized = normalizeRiderProfile(profile);
+  try {
+    localStorage.setItem(PROFILE_KEY, JSON.stringify(normalized));
+  } catch (e) {
+    // ignore storage errors (private mode, etc.)
+  }
+  return normalized;
+}
+
+function clamp(v, min, max) {
+  return Math.min(max, Math.max(min, v));
+}
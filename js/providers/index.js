@@ -0,0 +1,76 @@
+/*
+  Weather 4 Bike – Weather Provider Registry
+
+  Goal: Choose which forecast source the app uses.
+
+  Why: Keeps `weather.js` independent of any single API so sources can be
+  swapped (live Open‑Meteo, recorded fixtures, future providers).
+
+  How:
+  - A provider is `{ id, label, fetchForecast(latitude, longitude) }` resolving
+    to `{ data, fetchedAt, fromCache }`, where `data` follows the Open‑Meteo
+    forecast shape (`hourly`/`daily` arrays keyed by variable name).
+  - Providers may add `fetchAirQuality(latitude, longitude)`, resolving the
+    same way with Open‑Meteo air-quality-shaped `data`,
+    `fetchEnsemble(latitude, longitude)` with Ensemble API-shaped `data`,
+    `fetchArchive(latitude, longitude, startDate, endDate)` with past hours for
+    climate norms (see `climate.js`), and
+    `fetchWarnings(latitude, longitude)` resolving to `{ data }` with CAP/Atom
+    XML text (otherwise the location's official feed is used, see `warnings.js`).
+    Optional fetchers that take `{ signal }` as a last argument should pass it
+    to `fetch`; `weather.js` aborts them when they outlast its timeout
+    (air quality, ensemble, warnings).
+  - Select with `?provider=<id>` in the URL or the `w4b:provider` localStorage
+    key; defaults to Open‑Meteo. `?fixture=<name>` picks the mock recording.
+*/
+
+import { openMeteoProvider } from './open-meteo.js';
+import { createMockProvider } from './mock.js';
+
+const PROVIDER_KEY = 'w4b:provider';
+const DEFAULT_PROVIDER_ID = openMeteoProvider.id;
+
+const providers = new Map([[openMeteoProvider.id, openMeteoProvider]]);
+
+/**
+ * Goal: Make an additional provider selectable by id.
+ * Why: Lets tests or future sources plug in without editing the registry.
+ * How: Store by `provider.id`; later registrations replace earlier ones.
+ */
+export function registerWeatherProvider(provider) {
+  if (!provider?.id || typeof provider.fetchForecast !== 'function') {
+    throw new Error('Weather provider needs an id and fetchForecast()');
+  }
+  providers.set(provider.id, provider);
+}
+
+/**
+ * Goal: Return the provider to use for forecasts.
+ * Why: Single lookup point for `fetchWeatherData`.
+ * How: Resolve the id (explicit, URL, storage, default); the mock provider is
+ *      created on demand so the fixture can come from the URL.
+ */
+export function getWeatherProvider(id = resolveProviderId()) {
+  if (providers.has(id)) return providers.get(id);
+  if (id === 'mock') return createMockProvider({ fixture: readQueryParam('fixture') || undefined });
+  console.warn('[weather] unknown provider, using default', id);
+  return providers.get(DEFAULT_PROVIDER_ID);
+}
+
+function resolveProviderId() {
+  const fromUrl = readQueryParam('provider');
+  if (fromUrl) return fromUrl;
+  try {
+    return localStorage.getItem(PROVIDER_KEY) || DEFAULT_PROVIDER_ID;
+  } catch (e) {
+    return DEFAULT_PROVIDER_ID;
+  }
+}
+
+function readQueryParam(name) {
+  try {
+    return new URLSearchParams(globalThis.location?.search || '').get(name);
+  } catch (e) {
+    return null;
+  }
+}
@@ -0,0 +1,153 @@
+/*
+  Weather 4 Bike – Mock Forecast Provider (Recorded Fixtures)
+
+  Goal: Serve recorded Open‑Meteo responses from local JSON files so the app
+  and tests run with no network.
+
+  Why: Offline development, deterministic UI states (fog, rain, wind) and
+  reproducible tests without hitting the live API.
+
+  How:
+  - Load `fixtures/open-meteo/forecast-<name>.json` (same shape as the API),
+    `air-quality-<name>.json` for air quality and pollen,
+    `ensemble-<name>.json` for ensemble members and `archive-<name>.json` for
+    past years (the requested range, in recorded dates).
+  - Load official warnings from `fixtures/warnings/<name>.xml` (CAP/Atom).
+  - Optionally rebase the recorded dates so the recording's "today" becomes
+    the real today; clock times are left untouched. Archive requests are
+    moved back by the same number of days before they're looked up.
+  - Ignore coordinates: a fixture is a fixed place and time.
+*/
+
+const DEFAULT_FIXTURE = 'san-francisco';
+const DEFAULT_BASE_URL = 'fixtures/open-meteo/';
+const DEFAULT_WARNINGS_URL = 'fixtures/warnings/';
+
+/**
+ * Goal: Build a provider backed by a recorded forecast fixture.
+ * Why: Different fixtures and loaders are needed in the browser and in tests.
+ * How: `load(url)` defaults to `fetch(...).json()` and `loadText(url)` (for
+ *      warning feeds) to `fetch(...).text()`; pass custom loaders (e.g. reading
+ *      from disk) for non-browser environments.
+ */
+export function createMockProvider({ fixture = DEFAULT_FIXTURE, baseUrl = DEFAULT_BASE_URL, warningsUrl = DEFAULT_WARNINGS_URL, load = loadJson, loadText = loadTextFile, rebase = true, pastDays = 2 } = {}) {
+  return {
+    id: 'mock',
+    label: `Mock fixture (${fixture})`,
+    async fetchForecast(latitude, longitude) {
+      const url = `${baseUrl}forecast-${fixture}.json`;
+      console.info('[weather] mock provider', { fixture, url, latitude, longitude });
+      const recorded = await load(url);
+      const data = rebase ? rebaseForecastDates(recorded, pastDays) : recorded;
+      return { data, fetchedAt: new Date().toISOString(), fromCache: false };
+    },
+    async fetchAirQuality(latitude, longitude) {
+      const url = `${baseUrl}air-quality-${fixture}.json`;
+      console.info('[weather] mock air quality', { fixture, url, latitude, longitude });
+      const recorded = await load(url);
+      const data = rebase ? rebaseForecastDates(recorded, pastDays) : recorded;
+      return { data, fetchedAt: new Date().toISOString(), fromCache: false };
+    },
+    async fetchEnsemble(latitude, longitude) {
+      const url = `${baseUrl}ensemble-${fixture}.json`;
+      console.info('[weather] mock ensemble', { fixture, url, latitude, longitude });
+      const recorded = await load(url);
+      const data = rebase ? rebaseForecastDates(recorded, pastDays) : recorded;
+      return { data, fetchedAt: new Date().toISOString(), fromCache: false };
+    },
+    async fetchArchive(latitude, longitude, startDate, endDate) {
+      const url = `${baseUrl}archive-${fixture}.json`;
+      console.info('[weather] mock archive', { fixture, url, latitude, longitude, startDate, endDate });
+      const offsetDays = rebase ? recordedDayOffset(await load(`${baseUrl}forecast-${fixture}.json`), pastDays) : 0;
+      const recorded = sliceDates(await load(url), addDays(startDate, -offsetDays), addDays(endDate, -offsetDays));
+      if (!recorded.hourly.time.length) throw new Error(`Mock archive has no data for ${startDate}–${endDate}`);
+      return { data: offsetDays ? shiftDates(recorded, offsetDays) : recorded, fetchedAt: new Date().toISOString(), fromCache: false };
+    },
+    async fetchWarnings(latitude, longitude) {
+      const url = `${warningsUrl}${fixture}.xml`;
+      console.info('[weather] mock warnings', { fixture, url, latitude, longitude });
+      const recorded = await loadText(url);
+      return { data: rebase ? rebaseWarningDates(recorded) : recorded, fetchedAt: new Date().toISOString() };
+    }
+  };
+}
+
+/**
+ * Goal: Move a recorded forecast onto today's calendar.
+ * Why: Parsing picks the hour nearest to "now"; stale dates would pin it to the
+ *      last recorded hour.
+ * How: With `past_days=N`, `daily.time[N]` was "today" when recorded; shift all
+ *      hourly/15-minute/daily date parts (including sunrise/sunset) by the
+ *      whole-day difference to the local today.
+ */
+export function rebaseForecastDates(data, pastDays = 2, now = new Date()) {
+  const offsetDays = recordedDayOffset(data, pastDays, now);
+  return offsetDays ? shiftDates(data, offsetDays) : data;
+}
+
+// Whole days from the recording's "today" to the real today (0 when unknown)
+function recordedDayOffset(data, pastDays, now = new Date()) {
+  const recordedToday = data?.daily?.time?.[pastDays] || String(data?.hourly?.time?.[pastDays * 24] || '').slice(0, 10);
+  if (!recordedToday) return 0;
+  const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+  return Math.round((Date.parse(today) - Date.parse(recordedToday)) / 86400000);
+}
+
+// Move every hourly/15-minute/daily date part by `offsetDays`
+function shiftDates(data, offsetDays) {
+  const shift = (iso) => `${addDays(String(iso).slice(0, 10), offsetDays)}${String(iso).slice(10)}`;
+  const shiftTimes = (section, keys = ['time']) => {
+    if (!section) return section;
+    const shifted = { ...section };
+    keys.filter(k => Array.isArray(section[k])).forEach(k => { shifted[k] = section[k].map(shift); });
+    return shifted;
+  };
+  const shifted = { ...data, hourly: shiftTimes(data.hourly), daily: shiftTimes(data.daily, ['time', 'sunrise', 'sunset']) };
+  if (data.minutely_15) shifted.minutely_15 = shiftTimes(data.minutely_15);
+  return shifted;
+}
+
+// Keep the hourly/daily entries dated `startDate`…`endDate` (inclusive)
+function sliceDates(data, startDate, endDate) {
+  const slice = (section) => {
+    if (!section?.time) return section;
+    const keep = section.time.map(t => String(t).slice(0, 10)).map(d => d >= startDate && d <= endDate);
+    return Object.fromEntries(Object.entries(section).map(([k, v]) => [k, Array.isArray(v) ? v.filter((_, i) => keep[i]) : v]));
+  };
+  return { ...data, hourly: slice(data.hourly) || { time: [] }, daily: slice(data.daily) };
+}
+
+/**
+ * Goal: Move a recorded warnings feed onto today's calendar.
+ * Why: Warnings are filtered by their expiry; recorded ones would all have expired.
+ * How: The first `<updated>`/`<sent>` date is the recording's today; shift the
+ *      date part of every ISO timestamp in the XML by the whole-day difference.
+ *      Dates written out in prose (titles, descriptions) are left as recorded.
+ */
+export function rebaseWarningDates(xmlText, now = new Date()) {
+  const text = String(xmlText || '');
+  const recordedToday = (text.match(/<(?:\w+:)?(?:updated|sent)>(\d{4}-\d{2}-\d{2})T/) || [])[1];
+  if (!recordedToday) return text;
+  const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+  const offsetDays = Math.round((Date.parse(today) - Date.parse(recordedToday)) / 86400000);
+  if (!offsetDays) return text;
+  return text.replace(/(\d{4}-\d{2}-\d{2})(T\d{2}:\d{2})/g, (_, date, time) => `${addDays(date, offsetDays)}${time}`);
+}
+
+function addDays(yyyyMmDd, days) {
+  const d = new Date(`${yyyyMmDd}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+async function loadTextFile(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Mock fixture not found: ${url} (${response.status})`);
+  return response.text();
+}
+
+async function loadJson(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Mock fixture not found: ${url} (${response.status})`);
+  return response.json();
+}
@@ -0,0 +1,220 @@
+/*
+  Weather 4 Bike – Open‑Meteo Forecast Provider
+
+  Goal: Fetch raw forecast JSON from the Open‑Meteo Forecast API, air
+  quality/pollen from its Air Quality API, ensemble members from its
+  Ensemble API and past weather from its Historical Weather API.
+
+  Why: Open‑Meteo is the canonical provider; its response shape is the raw
+  contract every provider returns and `parseWeatherResponse` normalizes.
+
+  How:
+  - Request a robust hourly variable set plus 15-minute precipitation
+    (`minutely_15`) for the rain nowcast, falling back to a reduced hourly set
+    without it when some variables are unsupported for the location/model.
+  - Detect forecasts answered from the service worker's offline cache.
+  - Air quality, the ensemble and the archive are separate endpoints with the
+    same response shape; callers treat them as optional.
+*/
+
+const HOURLY_PARAMS = [
+  'temperature_2m',
+  'apparent_temperature',
+  'relativehumidity_2m',
+  'dewpoint_2m',
+  'precipitation_probability',
+  'precipitation',
+  'weathercode',
+  'surface_pressure',
+  'cloudcover',
+  'visibility',
+  'windspeed_10m',
+  'winddirection_10m',
+  'windgusts_10m',
+  'uv_index',
+  'is_day',
+  'et0_fao_evapotranspiration',
+  'soil_moisture_0_to_1cm',
+  'cape',
+  'lightning_potential'
+].join(',');
+
+const REDUCED_HOURLY_PARAMS = [
+  'temperature_2m',
+  'relativehumidity_2m',
+  'precipitation_probability',
+  'precipitation',
+  'weathercode',
+  'cloudcover',
+  'windspeed_10m',
+  'winddirection_10m'
+].join(',');
+
+// 15-minute steps (sums of the preceding 15 minutes) for the rain nowcast
+const MINUTELY_15_PARAMS = [
+  'precipitation',
+  'weathercode'
+].join(',');
+
+const DAILY_PARAMS = [
+  'weathercode',
+  'temperature_2m_max',
+  'temperature_2m_min',
+  'precipitation_probability_max',
+  'precipitation_sum',
+  'windspeed_10m_max',
+  'windgusts_10m_max',
+  'winddirection_10m_dominant',
+  'uv_index_max',
+  'sunrise',
+  'sunset'
+].join(',');
+
+const AIR_QUALITY_PARAMS = [
+  'pm2_5',
+  'pm10',
+  'ozone',
+  'us_aqi',
+  'european_aqi',
+  'alder_pollen',
+  'birch_pollen',
+  'grass_pollen',
+  'mugwort_pollen',
+  'olive_pollen',
+  'ragweed_pollen'
+].join(',');
+
+// Ensemble members (control + `_memberNN`) for forecast confidence
+const ENSEMBLE_PARAMS = [
+  'temperature_2m',
+  'windspeed_10m',
+  'precipitation'
+].join(',');
+const ENSEMBLE_MODEL = 'gfs_seamless'; // global coverage, 31 members
+
+// Past hours for climate norms (the archive has no probabilities, UV or visibility)
+const ARCHIVE_HOURLY_PARAMS = [
+  'temperature_2m',
+  'relativehumidity_2m',
+  'precipitation',
+  'weathercode',
+  'cloudcover',
+  'windspeed_10m',
+  'winddirection_10m',
+  'windgusts_10m'
+].join(',');
+
+// Set by sw.js on forecasts it stored; only present when served from cache.
+const CACHED_AT_HEADER = 'X-W4B-Cached-At';
+
+export const openMeteoProvider = {
+  id: 'open-meteo',
+  label: 'Open‑Meteo',
+
+  /**
+   * Goal: Fetch the raw 7‑day forecast (plus 2 past days) for coordinates.
+   * Why: Past days feed recent-precipitation heuristics; 7 days feed the outlook.
+   * How: Try the full hourly set with 15-minute precipitation, then the
+   *      reduced hourly set alone; return the JSON with
+   *      `fetchedAt`/`fromCache` derived from the service worker header.
+   */
+  async fetchForecast(latitude, longitude) {
+    const base = 'https://api.open-meteo.com/v1/forecast';
+    const buildUrl = ({ hourly, minutely15 }) => `${base}?latitude=${encodeURIComponent(latitude)}&longitude=${encodeURIComponent(longitude)}&hourly=${hourly}${minutely15 ? `&minutely_15=${minutely15}` : ''}&daily=${DAILY_PARAMS}&timezone=auto&forecast_days=7&past_days=2`;
+
+    // Attempt full set first, then a reduced set to avoid 400 on unsupported variables
+    const candidates = [
+      { hourly: HOURLY_PARAMS, minutely15: MINUTELY_15_PARAMS },
+      { hourly: REDUCED_HOURLY_PARAMS, minutely15: null }
+    ];
+
+    let lastError;
+    console.groupCollapsed('[weather] Fetch forecast');
+    console.info('[weather] coords', { latitude, longitude });
+    for (const params of candidates) {
+      const h = params.hourly;
+      const url = buildUrl(params);
+      console.time(`[weather] request ${h}`);
+      console.info('[weather] trying hourly set', h);
+      try {
+        const response = await fetch(url);
+        if (!response.ok) {
+          const body = await safeReadText(response);
+          console.error('[weather] HTTP error', { status: response.status, body });
+          throw new Error(`Weather API error ${response.status}: ${body}`);
+        }
+        const data = await response.json();
+        const cachedAt = response.headers.get(CACHED_AT_HEADER);
+        console.info('[weather] success with hourly set', h, cachedAt ? { cachedAt } : '');
+        console.timeEnd(`[weather] request ${h}`);
+        console.groupEnd();
+        return { data, fetchedAt: cachedAt || new Date().toISOString(), fromCache: Boolean(cachedAt) };
+      } catch (e) {
+        console.timeEnd(`[weather] request ${h}`);
+        console.warn('[weather] failed hourly set, trying next if available', h, e);
+        lastError = e;
+        // try next candidate
+      }
+    }
+    console.groupEnd();
+    throw lastError || new Error('Weather API error');
+  },
+
+  /**
+   * Goal: Fetch raw hourly air quality and pollen (plus 2 past days).
+   * Why: AQI alerts and penalties; the forecast endpoint has no pollutants.
+   * How: One request to the Air Quality API (5 forecast days is its default
+   *      range); throws on HTTP errors (or when `signal` aborts) so the caller
+   *      can skip air quality.
+   */
+  async fetchAirQuality(latitude, longitude, { signal } = {}) {
+    const url = `https://air-quality-api.open-meteo.com/v1/air-quality?latitude=${encodeURIComponent(latitude)}&longitude=${encodeURIComponent(longitude)}&hourly=${AIR_QUALITY_PARAMS}&timezone=auto&forecast_days=5&past_days=2`;
+    const response = await fetch(url, { signal });
+    if (!response.ok) {
+      const body = await safeReadText(response);
+      throw new Error(`Air quality API error ${response.status}: ${body}`);
+    }
+    const data = await response.json();
+    const cachedAt = response.headers.get(CACHED_AT_HEADER);
+    return { data, fetchedAt: cachedAt || new Date().toISOString(), fromCache: Boolean(cachedAt) };
+  },
+
+  /**
+   * Goal: Fetch raw hourly ensemble members (plus 2 past days).
+   * Why: The spread between members is the forecast's confidence.
+   * How: One request to the Ensemble API for the GFS ensemble; throws on
+   *      HTTP errors (or when `signal` aborts) so the caller can skip confidence.
+   */
+  async fetchEnsemble(latitude, longitude, { signal } = {}) {
+    const url = `https://ensemble-api.open-meteo.com/v1/ensemble?latitude=${encodeURIComponent(latitude)}&longitude=${encodeURIComponent(longitude)}&hourly=${ENSEMBLE_PARAMS}&models=${ENSEMBLE_MODEL}&timezone=auto&forecast_days=7&past_days=2`;
+    const response = await fetch(url, { signal });
+    if (!response.ok) {
+      const body = await safeReadText(response);
+      throw new Error(`Ensemble API error ${response.status}: ${body}`);
+    }
+    const data = await response.json();
+    const cachedAt = response.headers.get(CACHED_AT_HEADER);
+    return { data, fetchedAt: cachedAt || new Date().toISOString(), fromCache: Boolean(cachedAt) };
+  },
+
+  /**
+   * Goal: Fetch raw hourly history for a date range (`YYYY-MM-DD`, inclusive).
+   * Why: Climate norms compare the forecast with the same week in past years.
+   * How: One request to the Historical Weather API (reanalysis, from 1940 to
+   *      about five days ago), with sunrise/sunset for daylight; throws on
+   *      HTTP errors.
+   */
+  async fetchArchive(latitude, longitude, startDate, endDate) {
+    const url = `https://archive-api.open-meteo.com/v1/archive?latitude=${encodeURIComponent(latitude)}&longitude=${encodeURIComponent(longitude)}&start_date=${startDate}&end_date=${endDate}&hourly=${ARCHIVE_HOURLY_PARAMS}&daily=sunrise,sunset&timezone=auto`;
+    const response = await fetch(url);
+    if (!response.ok) {
+      const body = await safeReadText(response);
+      throw new Error(`Archive API error ${response.status}: ${body}`);
+    }
+    return { data: await response.json(), fetchedAt: new Date().toISOString(), fromCache: false };
+  }
+};
+
+async function safeReadText(response) {
+  try { return await response.text(); } catch { return ''; }
+}
@@ -0,0 +1,125 @@
+/*
+  Weather 4 Bike – Route Analysis (GPX)
+
+  Goal: Turn an imported GPX track into bearing-aware segments and relate them
+  to the forecast wind direction (headwind, tailwind, crosswind).
+
+  Why: Wind only hurts when you ride into it. Knowing how much of a route faces
+  the wind lets the road score apply direction modifiers instead of assuming a
+  crosswind everywhere.
+
+  How:
+  - Parse track/route points from GPX XML.
+  - Split the track into segments with great-circle distance and initial bearing.
+  - Classify each segment against the wind origin and aggregate the shares by
+    distance to get a dominant relation plus weights for scoring.
+  - Keep pure functions; no DOM manipulation or storage here.
+*/
+
+const EARTH_RADIUS_KM = 6371;
+// Segments within ±45° of the wind origin are headwind, within ±45° of the
+// opposite bearing are tailwind, everything else is crosswind.
+const HEAD_TAIL_SECTOR_DEG = 45;
+
+/**
+ * Goal: Extract an ordered list of coordinates from GPX text.
+ * Why: Riders export routes from Strava/Komoot/Garmin as GPX files.
+ * How: Parse with DOMParser and read `trkpt`, falling back to `rtept` for
+ *      route-only files; the track name comes from the first `<name>`.
+ */
+export function parseGpx(xmlText) {
+  const doc = new DOMParser().parseFromString(String(xmlText || ''), 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) {
+    throw new Error('Invalid GPX file');
+  }
+  let nodes = Array.from(doc.getElementsByTagName('trkpt'));
+  if (!nodes.length) nodes = Array.from(doc.getElementsByTagName('rtept'));
+  const points = nodes
+    .map(n => ({ latitude: Number(n.getAttribute('lat')), longitude: Number(n.getAttribute('lon')) }))
+    .filter(p => Number.isFinite(p.latitude) && Number.isFinite(p.longitude));
+  if (points.length < 2) throw new Error('GPX file has no usable track points');
+  const name = doc.getElementsByTagName('name')[0]?.textContent?.trim() || '';
+  return { name, points };
+}
+
+/**
+ * Goal: Split a polyline into segments with distance and heading.
+ * Why: Wind relation is decided per direction of travel, weighted by length.
+ * How: Haversine distance and initial bearing between consecutive points;
+ *      zero-length segments (duplicate points) are dropped.
+ */
+export function buildRouteSegments(points) {
+  const segments = [];
+  for (let i = 1; i < (points || []).length; i++) {
+    const from = points[i - 1];
+    const to = points[i];
+    const distanceKm = haversineKm(from, to);
+    if (distanceKm <= 0) continue;
+    segments.push({ from, to, distanceKm, bearing: initialBearing(from, to) });
+  }
+  return segments;
+}
+
+/**
+ * Goal: Classify a single heading against the wind.
+ * Why: Scoring applies different multipliers for head/tail/crosswind.
+ * How: `windFromDeg` is meteorological (direction the wind blows from), so a
+ *      rider heading towards it faces a headwind.
+ */
+export function classifyWindRelation(bearingDeg, windFromDeg) {
+  const diff = angularDifference(bearingDeg, windFromDeg);
+  if (diff <= HEAD_TAIL_SECTOR_DEG) return 'headwind';
+  if (diff >= 180 - HEAD_TAIL_SECTOR_DEG) return 'tailwind';
+  return 'crosswind';
+}
+
+/**
+ * Goal: Summarize how a route meets the wind.
+ * Why: The insights card needs both a single label and distance weights.
+ * How: Sum segment distances per relation, normalize to shares (0–1) and pick
+ *      the relation with the largest share as `relation`.
+ */
+export function analyzeRouteWind(segments, windFromDeg) {
+  const km = { headwind: 0, tailwind: 0, crosswind: 0 };
+  let totalKm = 0;
+  for (const s of segments || []) {
+    const rel = windFromDeg == null ? 'crosswind' : classifyWindRelation(s.bearing, windFromDeg);
+    km[rel] += s.distanceKm;
+    totalKm += s.distanceKm;
+  }
+  if (totalKm <= 0) {
+    return { relation: 'crosswind', shares: { headwind: 0, tailwind: 0, crosswind: 1 }, totalKm: 0 };
+  }
+  const shares = {
+    headwind: km.headwind / totalKm,
+    tailwind: km.tailwind / totalKm,
+    crosswind: km.crosswind / totalKm
+  };
+  const relation = Object.keys(shares).reduce((best, k) => (shares[k] > shares[best] ? k : best), 'crosswind');
+  return { relation, shares, totalKm: Math.round(totalKm * 10) / 10 };
+}
+
+// Helpers – spherical geometry
+function haversineKm(a, b) {
+  const dLat = toRad(b.latitude - a.latitude);
+  const dLon = toRad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+function initialBearing(a, b) {
+  const lat1 = toRad(a.latitude);
+  const lat2 = toRad(b.latitude);
+  const dLon = toRad(b.longitude - a.longitude);
+  const y = Math.sin(dLon) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+  return (toDeg(Math.atan2(y, x)) + 360) % 360;
+}
+
+function angularDifference(a, b) {
+  const d = Math.abs(((a - b) % 360 + 360) % 360);
+  return d > 180 ? 360 - d : d;
+}
+
+function toRad(deg) { return deg * Math.PI / 180; }
+function toDeg(rad) { return rad * 180 / Math.PI; }
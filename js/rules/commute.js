@@ -0,0 +1,125 @@
+// Weather 4 Bike – Commute rule set (plain data, evaluated by `engine.js`)
+export default {
+  "activity": "commute",
+  "label": "Commute",
+  "description": "Short, fixed-time rides in traffic: darkness and rain at departure always count, visibility is harsher, humidity and UV matter less.",
+  "baseScore": 10,
+  "factors": [
+    {
+      "key": "windPenalty",
+      "input": "windKmh",
+      "windRelation": true,
+      "bands": [
+        {"any": [{"gt": "$windBandsKmh.3"}, {"input": "gustKmh", "gt": "$gustBandsKmh.3"}], "penalty": 4},
+        {"any": [{"gt": "$windBandsKmh.2"}, {"input": "gustKmh", "gt": "$gustBandsKmh.2"}], "penalty": 3},
+        {"any": [{"gt": "$windBandsKmh.1"}, {"input": "gustKmh", "gt": "$gustBandsKmh.1"}], "penalty": 2},
+        {"any": [{"gt": "$windBandsKmh.0"}, {"input": "gustKmh", "gt": "$gustBandsKmh.0"}], "penalty": 1},
+        {"penalty": 0}
+      ]
+    },
+    {
+      "key": "temperaturePenalty",
+      "input": "temperatureC",
+      "bands": [
+        {"gte": "$temperature.idealMin", "lte": "$temperature.idealMax", "penalty": 0},
+        {"gt": "$temperature.idealMax", "lte": "$temperature.warmMax", "penalty": 1, "scaleBy": "heatFactor"},
+        {"gt": "$temperature.warmMax", "lte": "$temperature.hotMax", "penalty": 3, "scaleBy": "heatFactor"},
+        {"gt": "$temperature.hotMax", "penalty": 6, "scaleBy": "heatFactor"},
+        {"gte": "$temperature.coolMin", "penalty": 1},
+        {"gte": "$temperature.coldMin", "penalty": 2},
+        {"penalty": 3}
+      ]
+    },
+    {
+      "key": "feelsLikePenalty",
+      "bands": [
+        {"any": [{"input": "heatIndexC", "gte": 41}, {"input": "wbgtC", "gte": 32}], "penalty": 2, "scaleBy": "heatFactor"},
+        {"any": [{"input": "heatIndexC", "gte": 32}, {"input": "wbgtC", "gte": 28}], "penalty": 1, "scaleBy": "heatFactor"},
+        {"input": "windChillC", "lte": -10, "penalty": 2},
+        {"input": "windChillC", "lte": 0, "penalty": 1},
+        {"penalty": 0}
+      ]
+    },
+    {
+      "key": "humidityPenalty",
+      "input": "humidityPct",
+      "bands": [
+        {"lte": 70, "penalty": 0},
+        {"lte": 90, "penalty": 0.5},
+        {"penalty": 1}
+      ]
+    },
+    {
+      "key": "visibilityPenalty",
+      "input": "visibilityKm",
+      "bands": [
+        {"gte": 10, "penalty": 0},
+        {"gte": 5, "penalty": 1},
+        {"gte": 2, "penalty": 2.5},
+        {"penalty": 4}
+      ]
+    },
+    {
+      "key": "uvPenalty",
+      "input": "uvIndex",
+      "bands": [
+        {"lte": 7, "penalty": 0},
+        {"lte": 9, "penalty": 0.5},
+        {"penalty": 1}
+      ]
+    },
+    {
+      "key": "darknessPenalty",
+      "input": "darkness",
+      "bands": [
+        {"gte": 1, "penalty": 1.5},
+        {"gte": 0.5, "penalty": 0.5},
+        {"penalty": 0}
+      ]
+    },
+    {
+      "key": "airQualityPenalty",
+      "input": "usAqi",
+      "bands": [
+        {"gt": 300, "penalty": 3},
+        {"gt": 200, "penalty": 2},
+        {"gt": 150, "penalty": 1},
+        {"gt": 100, "penalty": 0.5},
+        {"penalty": 0}
+      ]
+    },
+    {
+      "key": "rainPenalty",
+      "bands": [
+        {
+          "any": [
+            {"input": "precipitationMm", "gte": 0.2},
+            {"input": "precipitationProbability", "gte": 60}
+          ],
+          "penalty": 2
+        },
+        {"input": "precipitationProbability", "gte": 30, "penalty": 1},
+        {"penalty": 0}
+      ]
+    }
+  ],
+  "caps": [
+    {"input": "temperatureC", "gt": "$temperature.hotMax", "max": 2},
+    {"input": "thunderstorm", "gte": 1, "max": 2}
+  ],
+  "messages": [
+    {"minScore": 8, "text": "Great commute – ride in!"},
+    {"minScore": 6, "text": "Good commuting weather."},
+    {"minScore": 4, "text": "Rideable commute – pack for the conditions."},
+    {"minScore": 3, "text": "Tough commute. Consider transit if you can."},
+    {"text": "Take transit today."}
+  ],
+  "notes": [
+    {"input": "thunderstorm", "gte": 1, "text": " Thunderstorms – stay off exposed roads and trails."},
+    {"input": "darknessPenalty", "gt": 0, "text": " Lights on – it's dark or getting dark."},
+    {"input": "airQualityPenalty", "gt": 0, "text": " Air quality is poor – keep efforts easy."},
+    {"input": "rainPenalty", "gt": 0, "text": " Pack rain gear and use fenders."},
+    {"input": "windChillC", "lte": 0, "text": " Wind chill at riding speed is below freezing – cover up."},
+    {"any": [{"input": "heatIndexC", "gte": 32}, {"input": "wbgtC", "gte": 28}], "text": " Humid heat – ease the pace and drink more."}
+  ]
+};
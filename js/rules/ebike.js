@@ -0,0 +1,132 @@
+// Weather 4 Bike – E-bike rule set (plain data, evaluated by `engine.js`)
+export default {
+  "activity": "ebike",
+  "label": "E-bike",
+  "description": "Motor assist softens wind (×0.6) and heat; cold is noted because it cuts battery range.",
+  "baseScore": 10,
+  "factors": [
+    {
+      "key": "windPenalty",
+      "input": "windKmh",
+      "windRelation": true,
+      "multiplier": 0.6,
+      "bands": [
+        {"any": [{"gt": "$windBandsKmh.3"}, {"input": "gustKmh", "gt": "$gustBandsKmh.3"}], "penalty": 4},
+        {"any": [{"gt": "$windBandsKmh.2"}, {"input": "gustKmh", "gt": "$gustBandsKmh.2"}], "penalty": 3},
+        {"any": [{"gt": "$windBandsKmh.1"}, {"input": "gustKmh", "gt": "$gustBandsKmh.1"}], "penalty": 2},
+        {"any": [{"gt": "$windBandsKmh.0"}, {"input": "gustKmh", "gt": "$gustBandsKmh.0"}], "penalty": 1},
+        {"penalty": 0}
+      ]
+    },
+    {
+      "key": "temperaturePenalty",
+      "input": "temperatureC",
+      "bands": [
+        {"gte": "$temperature.idealMin", "lte": "$temperature.idealMax", "penalty": 0},
+        {"gt": "$temperature.idealMax", "lte": "$temperature.warmMax", "penalty": 0.5, "scaleBy": "heatFactor"},
+        {"gt": "$temperature.warmMax", "lte": "$temperature.hotMax", "penalty": 2, "scaleBy": "heatFactor"},
+        {"gt": "$temperature.hotMax", "penalty": 5, "scaleBy": "heatFactor"},
+        {"gte": "$temperature.coolMin", "penalty": 1},
+        {"gte": "$temperature.coldMin", "penalty": 2},
+        {"penalty": 3}
+      ]
+    },
+    {
+      "key": "feelsLikePenalty",
+      "bands": [
+        {"any": [{"input": "heatIndexC", "gte": 41}, {"input": "wbgtC", "gte": 32}], "penalty": 2, "scaleBy": "heatFactor"},
+        {"any": [{"input": "heatIndexC", "gte": 32}, {"input": "wbgtC", "gte": 28}], "penalty": 1, "scaleBy": "heatFactor"},
+        {"input": "windChillC", "lte": -10, "penalty": 2},
+        {"input": "windChillC", "lte": 0, "penalty": 1},
+        {"penalty": 0}
+      ]
+    },
+    {
+      "key": "humidityPenalty",
+      "input": "humidityPct",
+      "bands": [
+        {"lte": 60, "penalty": 0},
+        {"lte": 80, "penalty": 1},
+        {"penalty": 2}
+      ],
+      "cap": {"gte": 90, "max": 4}
+    },
+    {
+      "key": "visibilityPenalty",
+      "input": "visibilityKm",
+      "bands": [
+        {"gte": 10, "penalty": 0},
+        {"gte": 5, "penalty": 1},
+        {"gte": 2, "penalty": 2},
+        {"penalty": 3}
+      ]
+    },
+    {
+      "key": "uvPenalty",
+      "input": "uvIndex",
+      "bands": [
+        {"lte": 5, "penalty": 0},
+        {"lte": 7, "penalty": 0.5},
+        {"lte": 9, "penalty": 1},
+        {"penalty": 1.5}
+      ]
+    },
+    {
+      "key": "darknessPenalty",
+      "input": "darkness",
+      "bands": [
+        {"gte": 1, "penalty": 2},
+        {"gte": 0.5, "penalty": 0.5},
+        {"penalty": 0}
+      ]
+    },
+    {
+      "key": "airQualityPenalty",
+      "input": "usAqi",
+      "bands": [
+        {"gt": 300, "penalty": 3},
+        {"gt": 200, "penalty": 2},
+        {"gt": 150, "penalty": 1},
+        {"gt": 100, "penalty": 0.5},
+        {"penalty": 0}
+      ]
+    },
+    {
+      "key": "rainPenalty",
+      "unless": "$ridesInRain",
+      "bands": [
+        {
+          "any": [
+            {"input": "precipitationMm", "gte": 0.2},
+            {"input": "precipitationProbability", "gte": 60}
+          ],
+          "penalty": 3
+        },
+        {"input": "precipitationProbability", "gte": 30, "penalty": 1},
+        {"penalty": 0}
+      ],
+      "cap": {"input": "penalty", "gte": 3, "max": 4}
+    }
+  ],
+  "caps": [
+    {"input": "temperatureC", "gt": "$temperature.hotMax", "max": 2},
+    {"input": "thunderstorm", "gte": 1, "max": 2}
+  ],
+  "messages": [
+    {"minScore": 8, "text": "Perfect e-bike weather – go explore!"},
+    {"minScore": 6, "text": "Good conditions – the motor handles the rest."},
+    {"minScore": 4, "text": "Decent conditions, but be prepared for some challenges."},
+    {"minScore": 3, "text": "Challenging conditions, even with assist."},
+    {"text": "Poor conditions. Leave the e-bike charging."}
+  ],
+  "notes": [
+    {"input": "thunderstorm", "gte": 1, "text": " Thunderstorms – stay off exposed roads and trails."},
+    {"input": "darknessPenalty", "gt": 0, "text": " Lights on – it's dark or getting dark."},
+    {"input": "airQualityPenalty", "gt": 0, "text": " Air quality is poor – keep efforts easy."},
+    {"input": "temperatureC", "lt": 5, "text": " Cold cuts battery range – start fully charged."},
+    {"input": "uvIndex", "gte": 7, "text": " Consider riding early or late due to high UV."},
+    {"input": "rainPenalty", "gt": 0, "text": " Rain likely – you prefer dry rides."},
+    {"input": "windChillC", "lte": 0, "text": " Wind chill at riding speed is below freezing – cover up."},
+    {"any": [{"input": "heatIndexC", "gte": 32}, {"input": "wbgtC", "gte": 28}], "text": " Humid heat – ease the pace and drink more."}
+  ]
+};
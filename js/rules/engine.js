@@ -0,0 +1,128 @@
+/*
+  Weather 4 Bike – Scoring Rule Engine
+
+  Goal: Evaluate a declarative activity rule set (bands, penalties, caps,
+  messages) against one weather sample and return `{ score, message, breakdown }`.
+
+  Why: The activity scorers used to repeat the same wind/temperature/humidity/
+  visibility/UV ladders with small tweaks. Keeping the ladders as data lets us
+  add activities or tune rules without touching code, and test rule sets alone.
+
+  How:
+  - A rule set is plain data (see `road.js`): an ordered list of `factors`,
+    each picking the first matching band for its input and subtracting the
+    penalty from `baseScore`, optionally followed by a per-factor `cap`.
+  - Band/condition values may be numbers or `$path` references into the rider
+    profile thresholds (`$temperature.hotMax`, `$windBandsKmh.2`, `$ridesInRain`).
+  - After all factors, global `caps` apply, the score is rounded and clamped to
+    1–10, and the first `messages` entry whose `minScore` is met is combined
+    with any matching `notes`.
+  - Keep pure functions; loading rule sets lives in `rules/index.js`.
+*/
+
+import { getScoringThresholds } from '../profile.js';
+
+const COMPARATORS = {
+  gt: (a, b) => a > b,
+  gte: (a, b) => a >= b,
+  lt: (a, b) => a < b,
+  lte: (a, b) => a <= b
+};
+
+// Wind direction multipliers: headwind ×1.3, tailwind ×0.7, crosswind ×1.
+// Route shares blend the multipliers by distance ridden in each relation.
+const WIND_RELATION_FACTORS = { headwind: 1.3, tailwind: 0.7, crosswind: 1 };
+
+/**
+ * Goal: Score one weather sample with a rule set.
+ * Why: Every activity shares one evaluation path, so the breakdown shape and
+ *      rounding stay identical across activities.
+ * How: `inputs` holds the metric values the rules reference (`windKmh`,
+ *      `gustKmh`, `temperatureC`, the feels-like `windChillC`/`heatIndexC`/
+ *      `wbgtC` (see `comfort.js`), `humidityPct`, `visibilityKm`, `uvIndex`,
+ *      `precipitationMm`, `precipitationProbability`, `darkness`, `recentPrecipMm`,
+ *      `trailWetness` – 0 dry, 1 tacky, 2 soft, 3 muddy (`trails.js`),
+ *      `usAqi`, `thunderstorm` – 1 during thunderstorm hours).
+ *      `options.windRelation` feeds factors with `windRelation: true`;
+ *      `options.profile` supplies the thresholds for `$` references.
+ */
+export function evaluateRuleSet(ruleSet, inputs, options = {}) {
+  const thresholds = getScoringThresholds(options.profile);
+  const context = { ...inputs };
+  const breakdown = {};
+  let totalScore = Number(ruleSet.baseScore ?? 10);
+
+  for (const factor of ruleSet.factors || []) {
+    let penalty = 0;
+    if (!(factor.unless && resolveValue(factor.unless, thresholds))) {
+      const band = (factor.bands || []).find(b => matches(b, factor.input, context, thresholds));
+      penalty = band ? bandPenalty(band, thresholds) : 0;
+      if (factor.multiplier != null) penalty *= Number(factor.multiplier);
+      if (factor.windRelation) penalty *= windRelationMultiplier(options.windRelation);
+    }
+    totalScore -= penalty;
+    if (factor.cap && matches(factor.cap, factor.input, { ...context, penalty }, thresholds)) {
+      totalScore = Math.min(totalScore, Number(factor.cap.max));
+    }
+    breakdown[factor.key] = round1(penalty);
+    context[factor.key] = penalty;
+  }
+
+  for (const cap of ruleSet.caps || []) {
+    if (matches(cap, cap.input, context, thresholds)) totalScore = Math.min(totalScore, Number(cap.max));
+  }
+
+  const score = Math.max(1, Math.min(10, round1(totalScore)));
+  const base = (ruleSet.messages || []).find(m => m.minScore == null || score >= m.minScore);
+  const notes = (ruleSet.notes || []).filter(n => matches(n, n.input, context, thresholds)).map(n => n.text);
+  return { score, message: [base?.text || '', ...notes].join(''), breakdown };
+}
+
+/**
+ * Goal: Turn a wind relation into a penalty multiplier.
+ * Why: Riding into the wind hurts more than the raw speed suggests.
+ * How: Accept 'headwind' | 'tailwind' | 'crosswind' or distance shares
+ *      (`{ headwind, tailwind, crosswind }`) and blend the factors by share.
+ */
+export function windRelationMultiplier(relation) {
+  const factors = WIND_RELATION_FACTORS;
+  if (relation && typeof relation === 'object') {
+    const total = Object.keys(factors).reduce((sum, k) => sum + (Number(relation[k]) || 0), 0);
+    if (total <= 0) return 1;
+    return Object.keys(factors).reduce((m, k) => m + factors[k] * (Number(relation[k]) || 0) / total, 0);
+  }
+  return factors[String(relation || 'crosswind').toLowerCase()] ?? 1;
+}
+
+// Helpers
+// A condition holds when every comparator matches (AND) and, if present, at
+// least one of its `any` sub-conditions does. `input` defaults to the factor's.
+// Missing inputs (null/NaN, e.g. no daylight data from the provider) never match.
+function matches(condition, defaultInput, context, thresholds) {
+  const value = context[condition.input ?? defaultInput];
+  for (const op of Object.keys(COMPARATORS)) {
+    if (condition[op] == null) continue;
+    if (value == null || Number.isNaN(value)) return false;
+    if (!COMPARATORS[op](value, resolveValue(condition[op], thresholds))) return false;
+  }
+  if (Array.isArray(condition.any)) {
+    return condition.any.some(c => matches(c, defaultInput, context, thresholds));
+  }
+  return true;
+}
+
+// Scaled penalties (e.g. heat sensitivity) are rounded to 0.1 before use
+function bandPenalty(band, thresholds) {
+  const penalty = Number(band.penalty) || 0;
+  if (!band.scaleBy) return penalty;
+  return round1(penalty * (Number(resolveValue(`$${band.scaleBy}`, thresholds)) || 1));
+}
+
+function resolveValue(value, thresholds) {
+  if (typeof value !== 'string' || !value.startsWith('$')) return value;
+  return value.slice(1).split('.').reduce((obj, key) => obj?.[key], thresholds);
+}
+
+function round1(v) {
+  return Math.round(v * 10) / 10;
+}
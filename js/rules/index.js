@@ -0,0 +1,28 @@
+/*
+  Weather 4 Bike – Activity Rule Sets
+
+  Goal: Register the scoring rule set for each activity.
+
+  Why: Scorers look rule sets up by activity id; adding an activity should be a
+  new rule set file plus one line here.
+
+  How:
+  - Import each rule set: a module whose default export is the plain data
+    (JSON import attributes would leave older Safari/Firefox with a blank app).
+  - Expose a lookup that falls back to the road rules for unknown activities.
+*/
+
+import road from './road.js';
+import gravel from './gravel.js';
+import mtb from './mtb.js';
+import commute from './commute.js';
+import ebike from './ebike.js';
+import touring from './touring.js';
+import cx from './cx.js';
+
+// Insertion order is the tab order in the UI
+export const ACTIVITY_RULES = { road, gravel, mtb, commute, ebike, touring, cx };
+
+export function getActivityRules(activity) {
+  return ACTIVITY_RULES[activity] || ACTIVITY_RULES.road;
+}
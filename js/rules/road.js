@@ -0,0 +1,130 @@
+// Weather 4 Bike – Road rule set (plain data, evaluated by `engine.js`)
+export default {
+  "activity": "road",
+  "label": "Road",
+  "description": "Baseline road rules; wind penalty follows the route's head/tail/crosswind mix.",
+  "baseScore": 10,
+  "factors": [
+    {
+      "key": "windPenalty",
+      "input": "windKmh",
+      "bands": [
+        {"any": [{"gt": "$windBandsKmh.3"}, {"input": "gustKmh", "gt": "$gustBandsKmh.3"}], "penalty": 4},
+        {"any": [{"gt": "$windBandsKmh.2"}, {"input": "gustKmh", "gt": "$gustBandsKmh.2"}], "penalty": 3},
+        {"any": [{"gt": "$windBandsKmh.1"}, {"input": "gustKmh", "gt": "$gustBandsKmh.1"}], "penalty": 2},
+        {"any": [{"gt": "$windBandsKmh.0"}, {"input": "gustKmh", "gt": "$gustBandsKmh.0"}], "penalty": 1},
+        {"penalty": 0}
+      ],
+      "windRelation": true
+    },
+    {
+      "key": "temperaturePenalty",
+      "input": "temperatureC",
+      "bands": [
+        {"gte": "$temperature.idealMin", "lte": "$temperature.idealMax", "penalty": 0},
+        {"gt": "$temperature.idealMax", "lte": "$temperature.warmMax", "penalty": 1, "scaleBy": "heatFactor"},
+        {"gt": "$temperature.warmMax", "lte": "$temperature.hotMax", "penalty": 3, "scaleBy": "heatFactor"},
+        {"gt": "$temperature.hotMax", "penalty": 6, "scaleBy": "heatFactor"},
+        {"gte": "$temperature.coolMin", "penalty": 1},
+        {"gte": "$temperature.coldMin", "penalty": 2},
+        {"penalty": 3}
+      ]
+    },
+    {
+      "key": "feelsLikePenalty",
+      "bands": [
+        {"any": [{"input": "heatIndexC", "gte": 41}, {"input": "wbgtC", "gte": 32}], "penalty": 2, "scaleBy": "heatFactor"},
+        {"any": [{"input": "heatIndexC", "gte": 32}, {"input": "wbgtC", "gte": 28}], "penalty": 1, "scaleBy": "heatFactor"},
+        {"input": "windChillC", "lte": -10, "penalty": 2},
+        {"input": "windChillC", "lte": 0, "penalty": 1},
+        {"penalty": 0}
+      ]
+    },
+    {
+      "key": "humidityPenalty",
+      "input": "humidityPct",
+      "bands": [
+        {"lte": 60, "penalty": 0},
+        {"lte": 80, "penalty": 1},
+        {"penalty": 2}
+      ],
+      "cap": {"gte": 90, "max": 4}
+    },
+    {
+      "key": "visibilityPenalty",
+      "input": "visibilityKm",
+      "bands": [
+        {"gte": 10, "penalty": 0},
+        {"gte": 5, "penalty": 1},
+        {"gte": 2, "penalty": 2},
+        {"penalty": 3}
+      ]
+    },
+    {
+      "key": "uvPenalty",
+      "input": "uvIndex",
+      "bands": [
+        {"lte": 5, "penalty": 0},
+        {"lte": 7, "penalty": 0.5},
+        {"lte": 9, "penalty": 1},
+        {"penalty": 1.5}
+      ]
+    },
+    {
+      "key": "darknessPenalty",
+      "input": "darkness",
+      "bands": [
+        {"gte": 1, "penalty": 2},
+        {"gte": 0.5, "penalty": 0.5},
+        {"penalty": 0}
+      ]
+    },
+    {
+      "key": "airQualityPenalty",
+      "input": "usAqi",
+      "bands": [
+        {"gt": 300, "penalty": 5},
+        {"gt": 200, "penalty": 3},
+        {"gt": 150, "penalty": 2},
+        {"gt": 100, "penalty": 1},
+        {"penalty": 0}
+      ]
+    },
+    {
+      "key": "rainPenalty",
+      "unless": "$ridesInRain",
+      "bands": [
+        {
+          "any": [
+            {"input": "precipitationMm", "gte": 0.2},
+            {"input": "precipitationProbability", "gte": 60}
+          ],
+          "penalty": 3
+        },
+        {"input": "precipitationProbability", "gte": 30, "penalty": 1},
+        {"penalty": 0}
+      ],
+      "cap": {"input": "penalty", "gte": 3, "max": 4}
+    }
+  ],
+  "caps": [
+    {"input": "temperatureC", "gt": "$temperature.hotMax", "max": 2},
+    {"input": "thunderstorm", "gte": 1, "max": 2}
+  ],
+  "messages": [
+    {"minScore": 8, "text": "Perfect conditions! Go for that long ride! 🚴‍♂️"},
+    {"minScore": 6, "text": "Good conditions for cycling. Enjoy your ride!"},
+    {"minScore": 4, "text": "Decent conditions, but be prepared for some challenges."},
+    {"minScore": 3, "text": "Challenging conditions. Only go if you're experienced."},
+    {"text": "Poor conditions. Consider indoor training."}
+  ],
+  "notes": [
+    {"input": "thunderstorm", "gte": 1, "text": " Thunderstorms – stay off exposed roads and trails."},
+    {"input": "darknessPenalty", "gt": 0, "text": " Lights on – it's dark or getting dark."},
+    {"input": "airQualityPenalty", "gt": 0, "text": " Air quality is poor – keep efforts easy."},
+    {"input": "uvIndex", "gte": 7, "text": " Consider riding early or late due to high UV."},
+    {"input": "rainPenalty", "gt": 0, "text": " Rain likely – you prefer dry rides."},
+    {"input": "windChillC", "lte": 0, "text": " Wind chill at riding speed is below freezing – cover up."},
+    {"any": [{"input": "heatIndexC", "gte": 32}, {"input": "wbgtC", "gte": 28}], "text": " Humid heat – ease the pace and drink more."}
+  ]
+};
@@ -0,0 +1,119 @@
+/*
+  Weather 4 Bike – Thunderstorm Risk
+
+  Goal: Rate every forecast hour for thunderstorm and lightning risk and turn
+  the hours ahead into a timeline of risky periods riders could be caught in.
+
+  Why: Weather codes 95/96/99 only appear once a model commits to a storm. On
+  a humid summer afternoon the warning sign comes earlier: lots of convective
+  energy (CAPE) plus showers in the forecast. Being caught on an exposed ridge
+  or an open road in lightning is the one weather risk no kit fixes.
+
+  How:
+  - Thunderstorm codes (95–99) are high risk; 96/99 add hail.
+  - `lightning_potential` (lightning potential index, J/kg; only from the
+    ICON-D2 model over central Europe, `null` elsewhere) flags lightning.
+  - CAPE (J/kg) with a trigger – precipitation probability ≥ 30% or a shower
+    code – rates how likely showers turn thundery: ≥ 300 marginal, ≥ 1000
+    moderate, ≥ 2500 strong.
+  - Keep pure functions over the parsed hourly array; `weather.js` attaches
+    the result as `hourly[i].stormRisk`.
+*/
+
+export const STORM_LEVELS = ['none', 'low', 'moderate', 'high'];
+
+const THUNDERSTORM_CODES = [95, 96, 99];
+const HAIL_CODES = [96, 99];
+const SHOWER_CODES = [80, 81, 82];
+const CAPE_JKG = { marginal: 300, moderate: 1000, strong: 2500 };
+const LIGHTNING_POTENTIAL_HIGH_JKG = 5; // rough: any LPI > 0 means lightning is possible
+const TRIGGER_PRECIP_PROBABILITY = 30;
+
+/**
+ * Goal: Thunderstorm risk for every hourly entry.
+ * Why: Alerts, hourly cards, score caps and commute legs share one answer.
+ * How: Returns an array aligned with `hourly`:
+ *      `{ level ('none'|'low'|'moderate'|'high'), reasons, cape }`, where
+ *      reasons name the drivers ('thunderstorm', 'hail', 'lightning', 'unstable').
+ */
+export function estimateStormRisk(hourly) {
+  return (Array.isArray(hourly) ? hourly : []).map(h => {
+    const code = Number(h.weatherCode);
+    const cape = toNumber(h.cape);
+    const lpi = toNumber(h.lightningPotential);
+    const reasons = [];
+    let level = 0;
+
+    if (THUNDERSTORM_CODES.includes(code)) {
+      level = 3;
+      reasons.push('thunderstorm');
+      if (HAIL_CODES.includes(code)) reasons.push('hail');
+    }
+    if (lpi != null && lpi > 0) {
+      level = Math.max(level, lpi >= LIGHTNING_POTENTIAL_HIGH_JKG ? 3 : 2);
+      reasons.push('lightning');
+    }
+    if (cape != null && cape >= CAPE_JKG.marginal) {
+      const triggered = (Number(h.precipitationProbability) || 0) >= TRIGGER_PRECIP_PROBABILITY || SHOWER_CODES.includes(code);
+      let capeLevel = 0;
+      if (triggered && cape >= CAPE_JKG.strong) capeLevel = 3;
+      else if (triggered && cape >= CAPE_JKG.moderate) capeLevel = 2;
+      else if (triggered || cape >= CAPE_JKG.moderate) capeLevel = 1;
+      if (capeLevel) {
+        level = Math.max(level, capeLevel);
+        reasons.push('unstable');
+      }
+    }
+    return { level: STORM_LEVELS[level], reasons, cape };
+  });
+}
+
+/**
+ * Goal: Risky periods over the next hours.
+ * Why: "Storms possible 14:00–17:00" is what decides when to be home.
+ * How: From `nearestIndex`, group consecutive hours at 'low' or worse into
+ *      `{ from, to, level (worst), reasons, startsInHours, peakFrom, peakTo,
+ *      peakInHours }`; `to`/`peakTo` are the start of the last hour, and the
+ *      peak is the first run of hours at the worst level. Empty when the next
+ *      `hours` are calm.
+ */
+export function stormTimeline(weatherData, hours = 12) {
+  const hourly = weatherData?.hourly || [];
+  const start = Number(weatherData?.nearestIndex) || 0;
+  const periods = [];
+  let open = null;
+  hourly.slice(start, start + hours).forEach((h, offset) => {
+    const risk = h.stormRisk;
+    if (!risk || risk.level === 'none') {
+      open = null;
+      return;
+    }
+    if (!open) {
+      open = { from: h.time, to: h.time, level: risk.level, reasons: [], startsInHours: offset, peakFrom: h.time, peakTo: h.time, peakInHours: offset };
+      periods.push(open);
+    }
+    const rank = STORM_LEVELS.indexOf(risk.level) - STORM_LEVELS.indexOf(open.level);
+    if (rank > 0) Object.assign(open, { level: risk.level, peakFrom: h.time, peakTo: h.time, peakInHours: offset });
+    else if (rank === 0 && open.peakTo === open.to) open.peakTo = h.time;
+    open.to = h.time;
+    open.reasons = [...new Set([...open.reasons, ...risk.reasons])];
+  });
+  return periods;
+}
+
+/**
+ * Goal: Whether an hour counts as a thunderstorm hour.
+ * Why: Scores are hard-capped during thunderstorms for every activity.
+ * How: High storm risk, or a thunderstorm code when the risk wasn't attached.
+ */
+export function isThunderstormHour(h) {
+  if (h?.stormRisk) return h.stormRisk.level === 'high';
+  return THUNDERSTORM_CODES.includes(Number(h?.weatherCode));
+}
+
+// Helpers
+function toNumber(v) {
+  if (v == null || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
@@ -0,0 +1,194 @@
+/*
+  Weather 4 Bike – Trail Drying Model
+
+  Goal: Track how wet a trail is hour by hour and estimate when it will be
+  rideable again, for the soil the rider says the trail is made of.
+
+  Why: Fixed "mm of rain in the last 48/72 h" buckets can't tell a clay trail
+  that stays greasy for three days from a sandy one that drains by lunch, and
+  they ignore sun, wind and warmth, which do most of the drying.
+
+  How:
+  - Treat the trail surface as a water store (mm). Rain fills it up to the
+    soil's capacity; each hour drains a soil-specific amount and evaporates
+    the reference evapotranspiration (`et0_fao_evapotranspiration`), or an
+    estimate from temperature, sun, humidity and wind when it's missing.
+  - Start the store from the first hour's `soil_moisture_0_to_1cm` when the
+    provider has it (the 2 past days give the model time to settle).
+  - Map the store to a state per soil: dry, tacky, soft, muddy. Dry and tacky
+    are rideable.
+  - Attach the hour's trail state to the weather object for the tagged soil,
+    so the gravel and MTB rule sets score it (`trailWetness`).
+  - Persist the soil tag per trail (loaded GPX route, else the location) in
+    localStorage; rendering lives in `app.js`.
+*/
+
+const TRAIL_SOILS_KEY = 'w4b:trailSoils';
+
+// Store limits in mm of water; drainage per hour; evaporation relative to ET0
+export const SOIL_TYPES = {
+  clay: { label: 'Clay', capacityMm: 30, drainMmPerHour: 0.05, evaporation: 0.8, dryMm: 0.5, rideableMm: 2, muddyMm: 6 },
+  loam: { label: 'Loam', capacityMm: 25, drainMmPerHour: 0.3, evaporation: 1, dryMm: 1, rideableMm: 3, muddyMm: 8 },
+  sand: { label: 'Sand', capacityMm: 15, drainMmPerHour: 1.5, evaporation: 1, dryMm: 1, rideableMm: 6, muddyMm: 15 },
+  rock: { label: 'Rock / hardpack', capacityMm: 8, drainMmPerHour: 2.5, evaporation: 1.2, dryMm: 0.3, rideableMm: 1.5, muddyMm: 5 }
+};
+export const DEFAULT_SOIL = 'loam';
+
+const RIDEABLE_STATES = ['dry', 'tacky'];
+
+/**
+ * Goal: Trail water store and state for every hourly entry.
+ * Why: Readiness needs the history (past rain) and the forecast (more rain, drying).
+ * How: Step through `hourly` in order; returns an aligned array of
+ *      `{ waterMm, state, rideable }`.
+ */
+export function modelTrailWetness(hourly, soilType = DEFAULT_SOIL) {
+  const soil = SOIL_TYPES[soilType] || SOIL_TYPES[DEFAULT_SOIL];
+  const hours = Array.isArray(hourly) ? hourly : [];
+  let water = initialWater(hours[0], soil);
+  return hours.map(h => {
+    water = Math.min(soil.capacityMm, water + (Number(h.precipitation) || 0));
+    const et0 = h.evapotranspiration != null && Number.isFinite(Number(h.evapotranspiration))
+      ? Number(h.evapotranspiration)
+      : estimateEvapotranspiration(h);
+    water = Math.max(0, water - soil.drainMmPerHour - et0 * soil.evaporation);
+    const state = trailState(water, soil);
+    return { waterMm: Math.round(water * 10) / 10, state, rideable: RIDEABLE_STATES.includes(state) };
+  });
+}
+
+/**
+ * Goal: "Trail rideable from X" for the current hour.
+ * Why: Gravel and MTB riders want a time, not a rain total.
+ * How: Run `modelTrailWetness` and look from `nearestIndex` forward: rideable
+ *      now, the first rideable hour later on, or `rideableFrom: null` when
+ *      that's past the forecast. `wetAgainAt` is when forecast rain next turns
+ *      a rideable trail soft.
+ */
+export function trailReadiness(weatherData, soilType = DEFAULT_SOIL) {
+  const soil = SOIL_TYPES[soilType] ? soilType : DEFAULT_SOIL;
+  const hourly = weatherData?.hourly || [];
+  if (!hourly.length) return null;
+  const series = modelTrailWetness(hourly, soil);
+  const start = Math.min(Number(weatherData.nearestIndex) || 0, series.length - 1);
+  const now = series[start];
+  let from = now.rideable ? start : -1;
+  for (let i = start + 1; from < 0 && i < series.length; i++) {
+    if (series[i].rideable) from = i;
+  }
+  let wetAgain = -1;
+  for (let i = Math.max(from, start) + 1; from >= 0 && wetAgain < 0 && i < series.length; i++) {
+    if (!series[i].rideable) wetAgain = i;
+  }
+  return {
+    soil,
+    state: now.state,
+    waterMm: now.waterMm,
+    rideableNow: now.rideable,
+    rideableFrom: from >= 0 ? hourly[from].time : null,
+    wetAgainAt: wetAgain >= 0 ? hourly[wetAgain].time : null
+  };
+}
+
+/**
+ * Goal: Put the modelled trail state on every hour of a weather object.
+ * Why: Gravel and MTB scores – now, per hour and per ride window – depend on
+ *      the trail, and the scorers only see one hour at a time.
+ * How: Run `modelTrailWetness` for the soil; every hourly entry,
+ *      `next24FromNearest` and `current` get `trail: { soil, waterMm, state,
+ *      rideable }` (matched by time). Returns a new object.
+ */
+export function withTrailWetness(weather, soilType = DEFAULT_SOIL) {
+  if (!weather?.hourly?.length) return weather;
+  const soil = SOIL_TYPES[soilType] ? soilType : DEFAULT_SOIL;
+  const series = modelTrailWetness(weather.hourly, soil);
+  const byTime = new Map(weather.hourly.map((h, idx) => [h.time, { soil, ...series[idx] }]));
+  const attach = (h) => ({ ...h, trail: byTime.get(h.time) ?? null });
+  const hourly = weather.hourly.map(attach);
+  return {
+    ...weather,
+    hourly,
+    next24FromNearest: (weather.next24FromNearest || []).map(attach),
+    current: { ...weather.current, trail: hourly[Number(weather.nearestIndex) || 0]?.trail ?? null }
+  };
+}
+
+/**
+ * Goal: Estimate hourly evapotranspiration without provider data.
+ * Why: Drying is driven by sun, warmth, dry air and wind; the fixture and the
+ *      reduced request set lack `et0_fao_evapotranspiration`.
+ * How: A small radiation term (sun above the horizon, reduced by cloud and
+ *      scaled by warmth) plus an aerodynamic term (vapour deficit × wind), in mm.
+ */
+export function estimateEvapotranspiration(h) {
+  const t = Number(h?.temperature);
+  if (!Number.isFinite(t)) return 0;
+  if (t <= 0) return 0.01;
+  const day = h.daylight ? h.daylight === 'day' : (h.isDay == null || Number(h.isDay) === 1);
+  const sun = day ? 1 - 0.75 * (Number(h.cloudCover) || 0) / 100 : 0;
+  const warmth = Math.min(1.5, Math.max(0, (t + 5) / 30));
+  const dryness = 1 - (Number(h.humidity ?? 70) / 100);
+  const wind = 1 + (Number(h.windSpeed) || 0) / 30;
+  return Math.round((0.02 + 0.4 * sun * warmth + 0.08 * dryness * wind) * 1000) / 1000;
+}
+
+/**
+ * Goal: Key a soil tag to the trail being ridden.
+ * Why: A rider's local loop and a GPX route elsewhere have different soils.
+ * How: Route name when a GPX route is loaded, else coordinates rounded to ~1 km.
+ */
+export function trailKey({ route, location } = {}) {
+  if (route?.name) return `route:${route.name}`;
+  if (location && Number.isFinite(Number(location.latitude))) {
+    return `loc:${Number(location.latitude).toFixed(2)},${Number(location.longitude).toFixed(2)}`;
+  }
+  return 'default';
+}
+
+/**
+ * Goal: Read the soil tag for a trail.
+ * Why: Riders tag a trail once; readiness should remember it.
+ * How: Look up the key in the stored map; default soil when missing/invalid.
+ */
+export function loadTrailSoil(key) {
+  try {
+    const raw = localStorage.getItem(TRAIL_SOILS_KEY);
+    const soil = raw ? JSON.parse(raw)?.[key] : null;
+    return SOIL_TYPES[soil] ? soil : DEFAULT_SOIL;
+  } catch (e) {
+    return DEFAULT_SOIL;
+  }
+}
+
+/**
+ * Goal: Persist the soil tag for a trail.
+ * Why: Keep tags across sessions without an account.
+ * How: Merge into the stored map; unknown soils fall back to the default.
+ */
+export function saveTrailSoil(key, soil) {
+  const value = SOIL_TYPES[soil] ? soil : DEFAULT_SOIL;
+  try {
+    const raw = localStorage.getItem(TRAIL_SOILS_KEY);
+    const map = raw ? JSON.parse(raw) : {};
+    localStorage.setItem(TRAIL_SOILS_KEY, JSON.stringify({ ...(map && typeof map === 'object' ? map : {}), [key]: value }));
+  } catch (e) {
+    // ignore storage errors (private mode, etc.)
+  }
+  return value;
+}
+
+// Helpers
+// Volumetric soil moisture ~0.2 m³/m³ reads as dry, ~0.45 as saturated
+function initialWater(h, soil) {
+  const sm = Number(h?.soilMoisture);
+  if (h?.soilMoisture == null || !Number.isFinite(sm)) return 0;
+  const wetness = Math.min(1, Math.max(0, (sm - 0.2) / 0.25));
+  return Math.min(soil.capacityMm, wetness * soil.muddyMm * 1.2);
+}
+
+function trailState(water, soil) {
+  if (water <= soil.dryMm) return 'dry';
+  if (water <= soil.rideableMm) return 'tacky';
+  if (water <= soil.muddyMm) return 'soft';
+  return 'muddy';
+}
@@ -0,0 +1,137 @@
+/*
+  Weather 4 Bike – Units
+
+  Goal: Convert and label every measured quantity (temperature, wind,
+  precipitation, visibility/distance, pressure) for the rider's unit profile.
+
+  Why: Forecast data is always metric (°C, km/h, mm, m, hPa). Riders think in
+  their own units, and mixing them across tiles is confusing.
+
+  How:
+  - Define metric/imperial/mixed presets; any dimension can be changed on its own.
+  - Provide pure converters and formatters that take metric input and a unit id.
+  - Keep pure functions; persistence and rendering live in `app.js`.
+*/
+
+export const UNIT_PROFILES = {
+  metric: { temperature: 'C', wind: 'kmh', precipitation: 'mm', visibility: 'km', pressure: 'hPa' },
+  imperial: { temperature: 'F', wind: 'mph', precipitation: 'in', visibility: 'mi', pressure: 'inHg' },
+  // UK-style: Celsius and millimetres, but miles and mph on the road
+  mixed: { temperature: 'C', wind: 'mph', precipitation: 'mm', visibility: 'mi', pressure: 'hPa' }
+};
+
+export const UNIT_OPTIONS = {
+  temperature: ['C', 'F'],
+  wind: ['kmh', 'mph', 'ms', 'kn'],
+  precipitation: ['mm', 'in'],
+  visibility: ['km', 'mi'],
+  pressure: ['hPa', 'inHg']
+};
+
+const LABELS = {
+  C: '°C',
+  F: '°F',
+  kmh: 'km/h',
+  mph: 'mph',
+  ms: 'm/s',
+  kn: 'kn',
+  mm: 'mm',
+  in: 'in',
+  km: 'km',
+  mi: 'mi',
+  hPa: 'hPa',
+  inHg: 'inHg'
+};
+
+/**
+ * Goal: Return a complete, valid unit set.
+ * Why: Stored preferences may be partial or from an older version.
+ * How: Start from the metric preset and keep only recognised values.
+ */
+export function normalizeUnits(units) {
+  const result = { ...UNIT_PROFILES.metric };
+  for (const dim of Object.keys(UNIT_OPTIONS)) {
+    if (UNIT_OPTIONS[dim].includes(units?.[dim])) result[dim] = units[dim];
+  }
+  return result;
+}
+
+/**
+ * Goal: Name the preset a unit set matches.
+ * Why: The profile selector should show "custom" once a single unit is changed.
+ * How: Compare every dimension with each preset.
+ */
+export function matchUnitProfile(units) {
+  const match = Object.keys(UNIT_PROFILES).find(p => Object.keys(UNIT_OPTIONS).every(dim => UNIT_PROFILES[p][dim] === units?.[dim]));
+  return match || 'custom';
+}
+
+export function unitLabel(unit) {
+  return LABELS[unit] || unit;
+}
+
+// Converters – input is always the metric value the forecast provides
+export function convertTemperature(celsius, unit) {
+  return unit === 'F' ? celsius * 9 / 5 + 32 : celsius;
+}
+
+// Inverse of convertTemperature, for values the rider types in their own unit
+export function toCelsius(value, unit) {
+  return unit === 'F' ? (value - 32) * 5 / 9 : value;
+}
+
+export function convertWind(kmh, unit) {
+  if (unit === 'mph') return kmh * 0.621371;
+  if (unit === 'ms') return kmh / 3.6;
+  if (unit === 'kn') return kmh * 0.539957;
+  return kmh;
+}
+
+// Inverse of convertWind, for speeds the rider types in their own unit
+export function toKmh(value, unit) {
+  return value / convertWind(1, unit);
+}
+
+export function convertPrecipitation(mm, unit) {
+  return unit === 'in' ? mm / 25.4 : mm;
+}
+
+export function convertDistance(km, unit) {
+  return unit === 'mi' ? km * 0.621371 : km;
+}
+
+export function convertPressure(hPa, unit) {
+  return unit === 'inHg' ? hPa * 0.0295300 : hPa;
+}
+
+// Formatters – value plus label, rounded for display
+export function formatWind(kmh, unit) {
+  const v = convertWind(Number(kmh) || 0, unit);
+  return `${unit === 'ms' ? round(v, 1) : Math.round(v)} ${unitLabel(unit)}`;
+}
+
+export function formatPrecipitation(mm, unit) {
+  const v = convertPrecipitation(Number(mm) || 0, unit);
+  return `${unit === 'in' ? round(v, 2) : round(v, 1)} ${unitLabel(unit)}`;
+}
+
+export function formatDistance(km, unit) {
+  const v = convertDistance(Number(km) || 0, unit);
+  return `${v < 10 ? round(v, 1) : Math.round(v)} ${unitLabel(unit)}`;
+}
+
+// Visibility arrives in metres from Open‑Meteo
+export function formatVisibility(meters, unit) {
+  return formatDistance((Number(meters) || 0) / 1000, unit);
+}
+
+export function formatPressure(hPa, unit) {
+  if (hPa == null || Number.isNaN(Number(hPa))) return '–';
+  const v = convertPressure(Number(hPa), unit);
+  return `${unit === 'inHg' ? round(v, 2) : Math.round(v)} ${unitLabel(unit)}`;
+}
+
+function round(v, digits) {
+  const f = 10 ** digits;
+  return Math.round(v * f) / f;
+}
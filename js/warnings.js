@@ -0,0 +1,292 @@
+/*
+  Weather 4 Bike – Official Weather Warnings
+
+  Goal: Read official severe-weather warnings (heat, wind, flood, storm, …)
+  for the selected location from CAP or CAP-in-Atom feeds and turn them into
+  the same `{ type, severity, message }` alerts the insights card shows.
+
+  Why: Our thresholds are a rider's rule of thumb; a weather service's warning
+  carries local knowledge (flooded underpasses, red-flag fire weather) and is
+  what riders are expected to heed.
+
+  How:
+  - Fetch the feed for the location: the US National Weather Service answers
+    point queries (`api.weather.gov/alerts/active.atom?point=lat,lon`) inside
+    rough outlines of the US (lower 48, Alaska, Hawaii, Puerto Rico); a
+    point it rejects near a border counts as "no feed". Other regions have no
+    default feed; providers may supply their own.
+  - Parse Atom feeds whose entries carry `cap:*` fields (NWS) or embed a CAP
+    `<alert>` (Meteoalarm), and plain CAP 1.2 `<alert>` documents.
+  - Drop tests/cancellations, superseded messages (CAP `references`) and
+    repeated issues of the same event for the same area; keep warnings whose
+    polygon (when given) contains the location.
+  - Map CAP severity onto alert severity: Extreme/Severe → high, the rest →
+    moderate; expired warnings are skipped.
+*/
+
+const NWS_ALERTS_URL = 'https://api.weather.gov/alerts/active.atom';
+
+const SEVERITY_RANK = { Extreme: 4, Severe: 3, Moderate: 2, Minor: 1, Unknown: 0 };
+const HIGH_SEVERITIES = ['Extreme', 'Severe'];
+
+// Warning event → alert type (first match wins; order matters, e.g. "ice storm")
+const EVENT_TYPES = [
+  [/ice storm|freezing (rain|drizzle|spray)|sleet|black ice/i, 'ice'],
+  [/winter|snow|blizzard|freeze|frost|cold|chill/i, 'cold'],
+  [/heat/i, 'heat'],
+  [/thunder|tornado|lightning|hail/i, 'storm'],
+  [/flood|rain|hydrologic/i, 'flood'],
+  [/wind|gale|hurricane|typhoon|tropical storm|storm/i, 'wind'],
+  [/fog|smoke|dust|visibility/i, 'visibility'],
+  [/air quality|air stagnation|ozone/i, 'air'],
+  [/fire|red flag/i, 'fire']
+];
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Rough NWS coverage as [lat, lon] outlines: the lower 48 follow the Canadian
+// border through the Great Lakes and the Mexican border, so Canada and Mexico
+// get no point requests. Border towns may still fall on the wrong side.
+const NWS_COVERAGE = [
+  // Lower 48: Pacific coast, Canadian border west to east, Atlantic and Gulf coasts, Mexican border
+  [[48.5, -124.9], [48.3, -123.3], [48.8, -123.0], [49.0, -123.0], [49.0, -95.2], [49.4, -95.2],
+    [48.6, -93.4], [48.0, -89.6], [48.3, -88.4], [46.9, -84.9], [46.4, -84.1], [45.9, -83.5],
+    [43.0, -82.41], [42.6, -82.5], [42.36, -82.92], [42.28, -83.1], [42.05, -83.15], [41.7, -82.4],
+    [42.6, -79.8], [43.3, -79.1], [43.6, -79.0], [43.6, -76.5], [44.1, -76.3], [45.0, -74.7],
+    [45.0, -71.5], [45.3, -71.0], [46.4, -70.0], [47.5, -69.2], [47.4, -68.3], [47.1, -67.8],
+    [45.6, -67.8], [45.1, -67.1], [44.7, -66.9], [42.0, -69.4], [40.3, -69.5], [35.2, -75.0],
+    [30.5, -80.4], [27.0, -79.9], [25.0, -80.0], [24.4, -81.0], [24.4, -82.9], [25.5, -84.0],
+    [29.0, -89.0], [28.5, -94.0], [25.8, -97.1], [25.9, -97.5], [26.4, -99.1], [27.5, -99.5],
+    [29.4, -101.0], [29.0, -103.2], [29.8, -104.5], [31.72, -106.38], [31.74, -106.5], [31.78, -106.53],
+    [31.78, -108.2], [31.3, -108.2], [31.3, -111.1], [32.5, -114.8], [32.7, -117.1], [32.5, -118.6],
+    [34.0, -121.0], [40.0, -124.6], [43.0, -124.8]],
+  // Alaska: mainland and Aleutians west of the Yukon border, plus the panhandle
+  [[51.0, -180], [72.0, -180], [72.0, -141.0], [51.0, -141.0]],
+  [[60.3, -141.0], [59.5, -135.5], [58.2, -133.0], [56.0, -130.0], [54.6, -130.6], [54.6, -141.0]],
+  // Hawaii; Puerto Rico and the US Virgin Islands
+  [[18.5, -160.5], [22.5, -160.5], [22.5, -154.5], [18.5, -154.5]],
+  [[17.6, -67.5], [18.6, -67.5], [18.6, -64.5], [17.6, -64.5]]
+];
+
+/**
+ * Goal: Feed URL for a location.
+ * Why: Only some weather services offer point queries, and a point outside
+ *      NWS coverage fails on every load.
+ * How: NWS for points inside `NWS_COVERAGE` (US states, Puerto Rico and the
+ *      Virgin Islands); `null` elsewhere.
+ */
+export function warningsFeedUrl(latitude, longitude) {
+  const lat = Number(latitude);
+  const lon = Number(longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+  if (!NWS_COVERAGE.some(polygon => pointInPolygon(lat, lon, polygon))) return null;
+  return `${NWS_ALERTS_URL}?point=${lat.toFixed(4)},${lon.toFixed(4)}`;
+}
+
+/**
+ * Goal: Fetch the raw warnings feed for coordinates.
+ * Why: `fetchWeatherData` uses it when the provider has no warnings of its own.
+ * How: Resolves to `{ data: xmlText, fetchedAt }`, or `null` when no feed
+ *      covers the location – including points NWS rejects (400/404) near a
+ *      border; throws on other HTTP errors.
+ */
+export async function fetchWarningsFeed(latitude, longitude, { signal } = {}) {
+  const url = warningsFeedUrl(latitude, longitude);
+  if (!url) return null;
+  const response = await fetch(url, { headers: { Accept: 'application/atom+xml' }, signal });
+  if (response.status === 400 || response.status === 404) return null;
+  if (!response.ok) throw new Error(`Warnings feed error ${response.status}`);
+  return { data: await response.text(), fetchedAt: new Date().toISOString() };
+}
+
+/**
+ * Goal: Normalize a CAP or Atom feed into warning objects.
+ * Why: Dedupe and mapping work on one shape whatever the source.
+ * How: DOMParser; each Atom entry (or the CAP alert) becomes `{ id, sender,
+ *      senderName, sent, status, msgType, references, event, severity,
+ *      urgency, certainty, onset, effective, expires, headline, description,
+ *      instruction, areaDesc, polygons }`. Times stay ISO strings with offsets.
+ */
+export function parseWarningsFeed(xmlText) {
+  const doc = new DOMParser().parseFromString(String(xmlText || ''), 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) {
+    throw new Error('Invalid warnings feed');
+  }
+  const root = doc.documentElement;
+  if (root?.localName === 'alert') return [parseCapAlert(root)];
+  return byName(root, 'entry').map(entry => {
+    const embedded = byName(entry, 'alert')[0];
+    return embedded ? parseCapAlert(embedded) : parseAtomEntry(entry);
+  });
+}
+
+/**
+ * Goal: One warning per hazard.
+ * Why: Feeds repeat an advisory as it's updated, and list tests or
+ *      cancellations that riders shouldn't see.
+ * How: Keep `Actual` alerts/updates not referenced by a newer message, then
+ *      keep the latest `sent` per event and area. Sorted most severe first.
+ */
+export function dedupeWarnings(warnings) {
+  const list = (warnings || []).filter(w => w && (!w.status || w.status === 'Actual'));
+  const superseded = new Set(list.flatMap(w => w.references || []));
+  const latest = new Map();
+  for (const w of list) {
+    if (w.msgType === 'Cancel' || superseded.has(w.id)) continue;
+    const key = `${w.event}|${w.areaDesc}`.toLowerCase();
+    const prev = latest.get(key);
+    if (!prev || Date.parse(w.sent) > Date.parse(prev.sent)) latest.set(key, w);
+  }
+  return [...latest.values()].sort((a, b) => (rank(b) - rank(a)) || String(a.onset).localeCompare(String(b.onset)));
+}
+
+/**
+ * Goal: Keep warnings that apply to the location.
+ * Why: Area feeds (and zone-based entries) can cover more than the rider's spot.
+ * How: Warnings without polygons are kept (the feed was queried for the
+ *      point); otherwise a polygon must contain the point (ray casting).
+ */
+export function warningsForLocation(warnings, latitude, longitude) {
+  const lat = Number(latitude);
+  const lon = Number(longitude);
+  return (warnings || []).filter(w => !w.polygons?.length || w.polygons.some(p => pointInPolygon(lat, lon, p)));
+}
+
+/**
+ * Goal: Map official warnings onto insights alerts.
+ * Why: The card renders one alert shape; official ones are shown first.
+ * How: Skip warnings that have expired by `now`; returns `{ type, severity,
+ *      message, official: true, source }` in the input order.
+ */
+export function warningAlerts(warnings, now = new Date()) {
+  const nowMs = now.getTime();
+  return (warnings || [])
+    .filter(w => !w.expires || !(Date.parse(w.expires) < nowMs))
+    .map(w => {
+      const started = !w.onset || Date.parse(w.onset) <= nowMs;
+      const timing = started
+        ? (w.expires ? ` until ${clockLabel(w.expires)}` : '')
+        : ` from ${clockLabel(w.onset)}${w.expires ? ` to ${clockLabel(w.expires)}` : ''}`;
+      const advice = firstSentence(w.instruction);
+      return {
+        type: warningType(w.event),
+        severity: HIGH_SEVERITIES.includes(w.severity) ? 'high' : 'moderate',
+        message: `${w.event}${timing}${w.senderName ? ` (${w.senderName})` : ''}.${advice ? ` ${advice}` : ''}`,
+        official: true,
+        source: w.senderName || w.sender || ''
+      };
+    });
+}
+
+/**
+ * Goal: Alert type for a warning event name.
+ * Why: Alert icons are keyed by type.
+ * How: First matching keyword pattern; 'warning' when none match.
+ */
+export function warningType(event) {
+  const match = EVENT_TYPES.find(([pattern]) => pattern.test(String(event || '')));
+  return match ? match[1] : 'warning';
+}
+
+// Helpers
+function parseCapAlert(alert) {
+  const infos = byName(alert, 'info');
+  const info = infos.find(i => /^en/i.test(text(i, 'language'))) || infos[0] || alert;
+  const areas = byName(info, 'area');
+  return {
+    id: text(alert, 'identifier'),
+    sender: text(alert, 'sender'),
+    senderName: text(info, 'senderName'),
+    sent: text(alert, 'sent'),
+    status: text(alert, 'status'),
+    msgType: text(alert, 'msgType'),
+    references: parseReferences(text(alert, 'references')),
+    event: text(info, 'event'),
+    severity: text(info, 'severity') || 'Unknown',
+    urgency: text(info, 'urgency'),
+    certainty: text(info, 'certainty'),
+    onset: text(info, 'onset') || text(info, 'effective'),
+    effective: text(info, 'effective'),
+    expires: text(info, 'expires'),
+    headline: text(info, 'headline'),
+    description: text(info, 'description'),
+    instruction: text(info, 'instruction'),
+    areaDesc: areas.map(a => text(a, 'areaDesc')).filter(Boolean).join('; '),
+    polygons: areas.flatMap(a => byName(a, 'polygon')).map(p => parsePolygon(p.textContent)).filter(Boolean)
+  };
+}
+
+// NWS Atom entries: CAP fields as `cap:*` children, the office in the title
+function parseAtomEntry(entry) {
+  const title = text(entry, 'title');
+  return {
+    id: text(entry, 'id'),
+    sender: text(byName(entry, 'author')[0], 'name'),
+    senderName: (title.match(/ by (.+)$/) || [])[1] || '',
+    sent: text(entry, 'sent') || text(entry, 'published') || text(entry, 'updated'),
+    status: text(entry, 'status'),
+    msgType: text(entry, 'msgType'),
+    references: [],
+    event: text(entry, 'event') || title,
+    severity: text(entry, 'severity') || 'Unknown',
+    urgency: text(entry, 'urgency'),
+    certainty: text(entry, 'certainty'),
+    onset: text(entry, 'onset') || text(entry, 'effective'),
+    effective: text(entry, 'effective'),
+    expires: text(entry, 'expires'),
+    headline: title,
+    description: text(entry, 'summary'),
+    instruction: '',
+    areaDesc: text(entry, 'areaDesc'),
+    polygons: byName(entry, 'polygon').map(p => parsePolygon(p.textContent)).filter(Boolean)
+  };
+}
+
+// Elements by local name in any namespace (Atom, `cap:` prefixed or CAP default)
+function byName(el, name) {
+  return el ? Array.from(el.getElementsByTagNameNS('*', name)) : [];
+}
+
+function text(el, name) {
+  return byName(el, name)[0]?.textContent?.trim() || '';
+}
+
+// "sender,identifier,sent sender,identifier,sent" → identifiers
+function parseReferences(value) {
+  return String(value || '').split(/\s+/).map(r => r.split(',')[1]).filter(Boolean);
+}
+
+// "lat,lon lat,lon …" → [[lat, lon], …]; needs at least a triangle
+function parsePolygon(value) {
+  const points = String(value || '').trim().split(/\s+/)
+    .map(pair => pair.split(',').map(Number))
+    .filter(p => p.length === 2 && p.every(Number.isFinite));
+  return points.length >= 3 ? points : null;
+}
+
+function pointInPolygon(lat, lon, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lonI] = polygon[i];
+    const [latJ, lonJ] = polygon[j];
+    if ((latI > lat) !== (latJ > lat) && lon < (lonJ - lonI) * (lat - latI) / (latJ - latI) + lonI) inside = !inside;
+  }
+  return inside;
+}
+
+function rank(w) {
+  return SEVERITY_RANK[w.severity] ?? 0;
+}
+
+// "Tue 21:00" in the issuing office's local time (the ISO string's own offset)
+function clockLabel(iso) {
+  const s = String(iso);
+  const weekday = WEEKDAYS[new Date(`${s.slice(0, 10)}T12:00:00Z`).getUTCDay()];
+  return `${weekday} ${s.slice(11, 16)}`;
+}
+
+function firstSentence(value) {
+  const s = String(value || '').replace(/\s+/g, ' ').trim();
+  const match = s.match(/^.+?[.!?](\s|$)/);
+  return (match ? match[0] : s).trim();
+}
@@ -1,136 +1,175 @@
 /*
-  Weather 4 Bike – Weather Data Provider (Open‑Meteo)
+  Weather 4 Bike – Weather Data Layer
 
-  Goal: Fetch forecast data and shape it into a UI-friendly structure with
-  current, hourly, and daily slices plus useful derived text.
+  Goal: Fetch forecast data through the active provider and shape it into a
+  UI-friendly structure with current, hourly, and daily slices plus useful
+  derived text.
 
   Why: Separating data access/formatting from UI keeps rendering simple and
   enables easy swapping or augmentation of data sources.
 
   How:
-  - Call Open‑Meteo with a robust set of hourly variables, falling back to a
-    reduced set when some are unsupported.
-  - Parse the response into `current`, `hourly`, `daily`, and `next24FromNearest`.
+  - Delegate the network (or fixture) call to a provider from `providers/`;
+    every provider returns Open‑Meteo-shaped raw JSON.
+  - Parse the response into `current`, `hourly`, `daily`, and `next24FromNearest`,
+    plus 15-minute precipitation (`minutely15`) when the provider has it, for
+    the rain nowcast (see `nowcast.js`).
+  - Add sunrise/sunset and civil twilight per day, and a day/twilight/night
+    phase (`daylight`, numeric `darkness`) per hour.
+  - Add thermal comfort to `current`: apparent temperature, wind chill at
+    riding speed, heat index and a WBGT estimate (see `comfort.js`).
+  - Add a road-ice likelihood (`iceRisk`) to every hour and `current` (see `ice.js`).
+  - Add the precipitation of the 48 hours up to each hour (`recentPrecipMm`) to
+    every hour and `current`, so per-hour scores see mud from earlier rain.
+  - Add a thunderstorm risk (`stormRisk`) from weather codes, CAPE and lightning
+    potential to every hour and `current` (see `storms.js`).
+  - Merge air quality and pollen (`usAqi`, `pm25`, `ozone`, `pollen`, …) into
+    hourly entries and `current` when the provider offers them (see
+    `air-quality.js`); a failed air-quality request never blocks the forecast,
+    and a slow one is aborted after `OPTIONAL_TIMEOUT_MS`.
+  - Merge ensemble spread and a forecast confidence level (`ensemble`) into
+    hourly entries, `current` and daily entries (see `ensemble.js`), also
+    optional and time-limited.
+  - Attach official warnings for the location (`warnings`, deduped CAP entries
+    from `warnings.js`), also optional and time-limited.
   - Add human-readable `weatherText` for codes and filter daily to the next 7 days.
+  - Pass through provider metadata (`provider`, `fetchedAt`, `fromCache`) so the
+    UI can label offline or mock data.
 */
 
-const HOURLY_PARAMS = [
-  'temperature_2m',
-  'relativehumidity_2m',
-  'precipitation_probability',
-  'precipitation',
-  'weathercode',
-  'surface_pressure',
-  'cloudcover',
-  'visibility',
-  'windspeed_10m',
-  'winddirection_10m',
-  'uv_index'
-].join(',');
-
-const DAILY_PARAMS = [
-  'weathercode',
-  'temperature_2m_max',
-  'temperature_2m_min',
-  'precipitation_probability_max',
-  'windspeed_10m_max',
-  'uv_index_max'
-].join(',');
+import { getWeatherProvider } from './providers/index.js';
+import { computeSunTimes, hourDaylightPhase, DARKNESS_LEVELS } from './daylight.js';
+import { thermalComfort } from './comfort.js';
+import { estimateIceRisk } from './ice.js';
+import { estimateStormRisk } from './storms.js';
+import { parseAirQualityResponse, mergeAirQuality } from './air-quality.js';
+import { parseEnsembleResponse, mergeEnsemble } from './ensemble.js';
+import { fetchWarningsFeed, parseWarningsFeed, dedupeWarnings, warningsForLocation } from './warnings.js';
+
+// Rolling precipitation window behind each hour (cyclocross mud)
+const RECENT_PRECIP_HOURS = 48;
+// Optional requests give up after this so the forecast isn't held back
+const OPTIONAL_TIMEOUT_MS = 8000;
 
 /**
  * Goal: Fetch 7‑day forecast data for given coordinates and return
  *       a normalized, UI‑friendly object.
  * Why: The UI expects consistent shapes and derived text across views.
- * How: Try a full hourly variable set with Open‑Meteo, fall back to a reduced
- *      set on failure, then parse and format the response.
+ * How: Ask the provider (Open‑Meteo by default) for raw data, then parse and
+ *      format it. When offline, the service worker answers with the last
+ *      forecast for this location and the result carries `fromCache: true`
+ *      and the original `fetchedAt` time. Air quality is fetched alongside
+ *      and merged in; without it the air-quality fields are `null`. Ensemble
+ *      members are too (`ensemble: null` without them). Official
+ *      warnings come from the provider, else the location's feed (`warnings: []`
+ *      when neither is available). Each optional request is aborted after
+ *      `OPTIONAL_TIMEOUT_MS` and then counts as unavailable.
  */
-export async function fetchWeatherData(latitude, longitude) {
-  const base = 'https://api.open-meteo.com/v1/forecast';
-  const buildUrl = (hourlyParams) => `${base}?latitude=${encodeURIComponent(latitude)}&longitude=${encodeURIComponent(longitude)}&hourly=${hourlyParams}&daily=${DAILY_PARAMS}&timezone=auto&forecast_days=7&past_days=2`;
-
-  // Attempt full set first, then a reduced set to avoid 400 on unsupported variables
-  const candidates = [
-    HOURLY_PARAMS,
-    ['temperature_2m','relativehumidity_2m','precipitation_probability','precipitation','weathercode','cloudcover','windspeed_10m','winddirection_10m'].join(','),
-  ];
-
-  let lastError;
-  console.groupCollapsed('[weather] Fetch forecast');
-  console.info('[weather] coords', { latitude, longitude });
-  for (const h of candidates) {
-    const url = buildUrl(h);
-    console.time(`[weather] request ${h}`);
-    console.info('[weather] trying hourly set', h);
-    try {
-      const response = await fetch(url);
-      if (!response.ok) {
-        const body = await safeReadText(response);
-        console.error('[weather] HTTP error', { status: response.status, body });
-        throw new Error(`Weather API error ${response.status}: ${body}`);
-      }
-      const data = await response.json();
-      console.info('[weather] success with hourly set', h);
-      console.timeEnd(`[weather] request ${h}`);
-      console.groupEnd();
-      return formatWeatherData(parseWeatherResponse(data));
-    } catch (e) {
-      console.timeEnd(`[weather] request ${h}`);
-      console.warn('[weather] failed hourly set, trying next if available', h, e);
-      lastError = e;
-      // try next candidate
-    }
-  }
-  console.groupEnd();
-  throw lastError || new Error('Weather API error');
+export async function fetchWeatherData(latitude, longitude, provider = getWeatherProvider()) {
+  const [{ data, fetchedAt, fromCache }, airQuality, ensemble, warnings] = await Promise.all([
+    provider.fetchForecast(latitude, longitude),
+    fetchAirQuality(latitude, longitude, provider),
+    fetchEnsemble(latitude, longitude, provider),
+    fetchWarnings(latitude, longitude, provider)
+  ]);
+  return {
+    ...mergeEnsemble(mergeAirQuality(formatWeatherData(parseWeatherResponse(data)), airQuality), ensemble),
+    warnings,
+    provider: provider.id,
+    fetchedAt,
+    fromCache
+  };
 }
 
 /**
  * Goal: Transform raw Open‑Meteo JSON into structured current/hourly/daily arrays.
  * Why: Downstream code needs aligned indices and easy access to the "nearest hour".
  * How: Locate the hour closest to now, assemble objects with null‑safe accessors,
- *      and precompute `next24FromNearest` for the hourly view.
+ *      and precompute `next24FromNearest` for the hourly view. `minutely15`
+ *      (`[{ time, precipitation, weatherCode }]`, empty without the block) and
+ *      the location's `utcOffsetSeconds` feed the 15-minute nowcast.
  */
-export function parseWeatherResponse(data) {
-  const now = new Date();
+export function parseWeatherResponse(data, now = new Date()) {
   const times = data.hourly?.time || [];
   const nearestIndex = findNearestHourIndex(times, now);
 
   const current = {
     temperature: data.hourly?.temperature_2m?.[nearestIndex] ?? null,
+    apparentTemperature: data.hourly?.apparent_temperature?.[nearestIndex] ?? null,
     humidity: data.hourly?.relativehumidity_2m?.[nearestIndex] ?? null,
+    dewPoint: data.hourly?.dewpoint_2m?.[nearestIndex] ?? null,
     windSpeed: data.hourly?.windspeed_10m?.[nearestIndex] ?? null,
     windDirection: data.hourly?.winddirection_10m?.[nearestIndex] ?? null,
+    windGusts: data.hourly?.windgusts_10m?.[nearestIndex] ?? null,
     precipitation: data.hourly?.precipitation?.[nearestIndex] ?? null,
     precipitationProbability: data.hourly?.precipitation_probability?.[nearestIndex] ?? null,
     weatherCode: data.hourly?.weathercode?.[nearestIndex] ?? null,
     uvIndex: data.hourly?.uv_index?.[nearestIndex] ?? null,
     visibility: data.hourly?.visibility?.[nearestIndex] ?? null,
-    cloudCover: data.hourly?.cloudcover?.[nearestIndex] ?? null
+    cloudCover: data.hourly?.cloudcover?.[nearestIndex] ?? null,
+    pressure: data.hourly?.surface_pressure?.[nearestIndex] ?? null,
+    isDay: data.hourly?.is_day?.[nearestIndex] ?? null,
+    evapotranspiration: data.hourly?.et0_fao_evapotranspiration?.[nearestIndex] ?? null,
+    soilMoisture: data.hourly?.soil_moisture_0_to_1cm?.[nearestIndex] ?? null,
+    cape: data.hourly?.cape?.[nearestIndex] ?? null,
+    lightningPotential: data.hourly?.lightning_potential?.[nearestIndex] ?? null
   };
 
+  // Civil twilight is computed; Open‑Meteo's sunrise/sunset are preferred when present
+  const daily = (data.daily?.time || []).map((iso, idx) => {
+    const sun = computeSunTimes(iso, data.latitude, data.longitude, data.utc_offset_seconds);
+    return {
+      date: iso,
+      temperatureMax: getSafe(data.daily?.temperature_2m_max, idx),
+      temperatureMin: getSafe(data.daily?.temperature_2m_min, idx),
+      precipitationProbabilityMax: getSafe(data.daily?.precipitation_probability_max, idx),
+      precipitationSum: getSafe(data.daily?.precipitation_sum, idx),
+      weatherCode: getSafe(data.daily?.weathercode, idx),
+      windSpeedMax: getSafe(data.daily?.windspeed_10m_max, idx),
+      windGustsMax: getSafe(data.daily?.windgusts_10m_max, idx),
+      windDirectionDominant: getSafe(data.daily?.winddirection_10m_dominant, idx),
+      uvIndexMax: getSafe(data.daily?.uv_index_max, idx),
+      sunrise: getSafe(data.daily?.sunrise, idx) ?? sun.sunrise,
+      sunset: getSafe(data.daily?.sunset, idx) ?? sun.sunset,
+      civilDawn: sun.civilDawn,
+      civilDusk: sun.civilDusk
+    };
+  });
+  const daysByDate = Object.fromEntries(daily.map(d => [d.date, d]));
+
   const hourly = (times || []).map((iso, idx) => ({
     time: iso,
     temperature: getSafe(data.hourly?.temperature_2m, idx),
+    apparentTemperature: getSafe(data.hourly?.apparent_temperature, idx),
     humidity: getSafe(data.hourly?.relativehumidity_2m, idx),
+    dewPoint: getSafe(data.hourly?.dewpoint_2m, idx),
     precipitation: getSafe(data.hourly?.precipitation, idx),
     precipitationProbability: getSafe(data.hourly?.precipitation_probability, idx),
     weatherCode: getSafe(data.hourly?.weathercode, idx),
     windSpeed: getSafe(data.hourly?.windspeed_10m, idx),
     windDirection: getSafe(data.hourly?.winddirection_10m, idx),
+    windGusts: getSafe(data.hourly?.windgusts_10m, idx),
     visibility: getSafe(data.hourly?.visibility, idx),
     cloudCover: getSafe(data.hourly?.cloudcover, idx),
-    uvIndex: getSafe(data.hourly?.uv_index, idx)
-  }));
-
-  const daily = (data.daily?.time || []).map((iso, idx) => ({
-    date: iso,
-    temperatureMax: getSafe(data.daily?.temperature_2m_max, idx),
-    temperatureMin: getSafe(data.daily?.temperature_2m_min, idx),
-    precipitationProbabilityMax: getSafe(data.daily?.precipitation_probability_max, idx),
-    weatherCode: getSafe(data.daily?.weathercode, idx),
-    windSpeedMax: getSafe(data.daily?.windspeed_10m_max, idx),
-    uvIndexMax: getSafe(data.daily?.uv_index_max, idx)
+    pressure: getSafe(data.hourly?.surface_pressure, idx),
+    uvIndex: getSafe(data.hourly?.uv_index, idx),
+    isDay: getSafe(data.hourly?.is_day, idx),
+    evapotranspiration: getSafe(data.hourly?.et0_fao_evapotranspiration, idx),
+    soilMoisture: getSafe(data.hourly?.soil_moisture_0_to_1cm, idx),
+    cape: getSafe(data.hourly?.cape, idx),
+    lightningPotential: getSafe(data.hourly?.lightning_potential, idx),
+    ...daylightFields(hourDaylightPhase(iso, daysByDate), getSafe(data.hourly?.is_day, idx))
   }));
+  Object.assign(current, daylightFields(hourly[nearestIndex]?.daylight ?? null, current.isDay));
+  // Road ice needs the hours before each entry (rain that may refreeze)
+  estimateIceRisk(hourly).forEach((risk, idx) => { hourly[idx].iceRisk = risk; });
+  current.iceRisk = hourly[nearestIndex]?.iceRisk ?? null;
+  estimateStormRisk(hourly).forEach((risk, idx) => { hourly[idx].stormRisk = risk; });
+  current.stormRisk = hourly[nearestIndex]?.stormRisk ?? null;
+  recentPrecipitation(hourly, RECENT_PRECIP_HOURS).forEach((mm, idx) => { hourly[idx].recentPrecipMm = mm; });
+  current.recentPrecipMm = hourly[nearestIndex]?.recentPrecipMm ?? null;
+  // Feels-like, riding wind chill, heat index and WBGT (computed when the provider lacks them)
+  Object.assign(current, thermalComfort(current));
 
   // Slice next 24 hours starting from nearest index to ensure UI always has data
   const next24FromNearest = hourly.slice(nearestIndex, nearestIndex + 24);
@@ -140,7 +179,13 @@ export function parseWeatherResponse(data) {
     nearestIndex,
     next24FromNearest: next24FromNearest.length
   });
-  return { current, hourly, daily, nearestIndex, next24FromNearest };
+  const minutely15 = (data.minutely_15?.time || []).map((iso, idx) => ({
+    time: iso,
+    precipitation: getSafe(data.minutely_15?.precipitation, idx),
+    weatherCode: getSafe(data.minutely_15?.weathercode, idx)
+  }));
+  const utcOffsetSeconds = Number.isFinite(Number(data.utc_offset_seconds)) ? Number(data.utc_offset_seconds) : null;
+  return { current, hourly, daily, nearestIndex, next24FromNearest, minutely15, utcOffsetSeconds };
 }
 
 /**
@@ -149,9 +194,8 @@ export function parseWeatherResponse(data) {
  * How: Map `weatherCode` to text for current/hourly/daily, and filter daily by
  *      local date >= today, keeping up to 7 entries.
  */
-export function formatWeatherData(raw) {
+export function formatWeatherData(raw, now = new Date()) {
   // Compute local YYYY-MM-DD string for today to filter out past days
-  const now = new Date();
   const yyyy = now.getFullYear();
   const mm = String(now.getMonth() + 1).padStart(2, '0');
   const dd = String(now.getDate()).padStart(2, '0');
@@ -179,6 +223,73 @@ export function formatWeatherData(raw) {
   };
 }
 
+// Air quality is optional: unsupported by the provider or failed → no hours
+async function fetchAirQuality(latitude, longitude, provider) {
+  if (typeof provider.fetchAirQuality !== 'function') return [];
+  try {
+    const { data } = await withTimeout(signal => provider.fetchAirQuality(latitude, longitude, { signal }));
+    return parseAirQualityResponse(data);
+  } catch (e) {
+    console.warn('[weather] air quality unavailable', e);
+    return [];
+  }
+}
+
+// Ensemble members are optional as well: no spread → no confidence levels
+async function fetchEnsemble(latitude, longitude, provider) {
+  if (typeof provider.fetchEnsemble !== 'function') return [];
+  try {
+    const { data } = await withTimeout(signal => provider.fetchEnsemble(latitude, longitude, { signal }));
+    return parseEnsembleResponse(data);
+  } catch (e) {
+    console.warn('[weather] ensemble unavailable', e);
+    return [];
+  }
+}
+
+// Warnings are optional too: no feed for the location or a failed request → none
+async function fetchWarnings(latitude, longitude, provider) {
+  try {
+    const feed = await withTimeout(signal => (typeof provider.fetchWarnings === 'function'
+      ? provider.fetchWarnings(latitude, longitude, { signal })
+      : fetchWarningsFeed(latitude, longitude, { signal })));
+    if (!feed?.data) return [];
+    return warningsForLocation(dedupeWarnings(parseWarningsFeed(feed.data)), latitude, longitude);
+  } catch (e) {
+    console.warn('[weather] warnings unavailable', e);
+    return [];
+  }
+}
+
+// Run `request(signal)`; after `ms` abort it and reject, even if the request ignores the signal
+function withTimeout(request, ms = OPTIONAL_TIMEOUT_MS) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`Timed out after ${ms} ms`));
+    }, ms);
+  });
+  return Promise.race([request(controller.signal), timeout]).finally(() => clearTimeout(timer));
+}
+
+// Phase from sun times, else from Open‑Meteo's is_day flag (no twilight then)
+function daylightFields(phase, isDay) {
+  const daylight = phase ?? (isDay == null ? null : (Number(isDay) === 1 ? 'day' : 'night'));
+  return { daylight, darkness: daylight == null ? null : DARKNESS_LEVELS[daylight] };
+}
+
+// Sum of the `hours` entries up to and including each hour (hourly steps)
+function recentPrecipitation(hourly, hours) {
+  let sum = 0;
+  return hourly.map((h, idx) => {
+    sum += Number(h.precipitation) || 0;
+    if (idx >= hours) sum -= Number(hourly[idx - hours].precipitation) || 0;
+    return Math.round(sum * 10) / 10;
+  });
+}
+
 function getSafe(arr, idx) {
   return Array.isArray(arr) ? arr[idx] ?? null : null;
 }
@@ -243,8 +354,4 @@ export function mapWeatherCodeToText(code) {
   return lookup[code] || 'Unknown';
 }
 
-async function safeReadText(response) {
-  try { return await response.text(); } catch { return ''; }
-}
-
 
@@ -0,0 +1,162 @@
+/*
+  Weather 4 Bike – Service Worker (Offline Support)
+
+  Goal: Keep the app usable without a network: serve the app shell and icons
+  from cache, and fall back to the last Open‑Meteo forecast (and air quality
+  and ensemble) per location.
+
+  Why: Riders check the forecast at trailheads and on trains with patchy
+  coverage. A stale forecast with a clear age label beats an error toast.
+
+  How:
+  - Precache the app shell (HTML, JS modules, manifest, icons) on install.
+  - Same-origin and CDN assets: stale-while-revalidate so updates still land.
+  - Forecast, air-quality and ensemble requests: network-first; successful responses are
+    stored under a per-endpoint, per-location key (lat/lon only) with an `X-W4B-Cached-At` header, which the
+    page reads to show "data from X hours ago" when the network fails.
+*/
+
+const SHELL_CACHE = 'w4b-shell-v1';
+const FORECAST_CACHE = 'w4b-forecast-v1';
+const CACHED_AT_HEADER = 'X-W4B-Cached-At';
+
+// Keep in sync with the files index.html and the JS modules load.
+const APP_SHELL = [
+  './',
+  'index.html',
+  'manifest.json',
+  'favicon.ico',
+  'js/app.js',
+  'js/weather.js',
+  'js/location.js',
+  'js/insights.js',
+  'js/route.js',
+  'js/planner.js',
+  'js/commute.js',
+  'js/kit.js',
+  'js/fueling.js',
+  'js/nowcast.js',
+  'js/ensemble.js',
+  'js/climate.js',
+  'js/compare.js',
+  'js/units.js',
+  'js/daylight.js',
+  'js/comfort.js',
+  'js/ice.js',
+  'js/trails.js',
+  'js/air-quality.js',
+  'js/storms.js',
+  'js/warnings.js',
+  'js/profile.js',
+  'js/rules/engine.js',
+  'js/rules/index.js',
+  'js/rules/road.js',
+  'js/rules/gravel.js',
+  'js/rules/mtb.js',
+  'js/rules/commute.js',
+  'js/rules/ebike.js',
+  'js/rules/touring.js',
+  'js/rules/cx.js',
+  'js/providers/index.js',
+  'js/providers/open-meteo.js',
+  'js/providers/mock.js',
+  'assets/icons/bike.svg',
+  'assets/favicon_io/favicon.ico',
+  'assets/favicon_io/favicon-16x16.png',
+  'assets/favicon_io/favicon-32x32.png',
+  'assets/favicon_io/apple-touch-icon.png',
+  'assets/favicon_io/android-chrome-192x192.png',
+  'assets/favicon_io/android-chrome-512x512.png',
+  'assets/icons/weather2/static/sun.svg',
+  'assets/icons/weather2/static/sun-cloud.svg',
+  'assets/icons/weather2/static/cloud.svg',
+  'assets/icons/weather2/static/fog.svg',
+  'assets/icons/weather2/static/drizzle.svg',
+  'assets/icons/weather2/static/rain.svg',
+  'assets/icons/weather2/static/snow.svg',
+  'assets/icons/weather2/static/storm.svg',
+  'assets/icons/weather3/reshot-icon-sunrise-XDM62G8UB3.svg',
+  'assets/icons/weather3/reshot-icon-sunset-7A5LQVGNDT.svg'
+];
+
+const CDN_HOSTS = ['cdn.tailwindcss.com', 'cdn.jsdelivr.net'];
+// Open‑Meteo endpoints answered network-first with an offline fallback
+const FORECAST_ENDPOINTS = [
+  { host: 'api.open-meteo.com', path: '/v1/forecast' },
+  { host: 'air-quality-api.open-meteo.com', path: '/v1/air-quality' },
+  { host: 'ensemble-api.open-meteo.com', path: '/v1/ensemble' }
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const keep = [SHELL_CACHE, FORECAST_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => !keep.includes(k)).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (FORECAST_ENDPOINTS.some(e => url.hostname === e.host && url.pathname === e.path)) {
+    event.respondWith(forecastNetworkFirst(request, url));
+    return;
+  }
+  if (url.origin === self.location.origin || CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
+
+/**
+ * Goal: Prefer fresh forecasts, fall back to the last one for this location.
+ * Why: Any cached forecast for the same place is better than none offline.
+ * How: Key the cache by rounded lat/lon so different hourly parameter sets
+ *      share one entry, and stamp stored copies with the time they were cached.
+ */
+async function forecastNetworkFirst(request, url) {
+  const key = forecastCacheKey(url);
+  const cache = await caches.open(FORECAST_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const body = await response.clone().blob();
+      const headers = new Headers(response.headers);
+      headers.set(CACHED_AT_HEADER, new Date().toISOString());
+      await cache.put(key, new Response(body, { status: 200, statusText: 'OK', headers }));
+    }
+    return response;
+  } catch (e) {
+    const cached = await cache.match(key);
+    if (cached) return cached;
+    throw e;
+  }
+}
+
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+  const network = fetch(request)
+    .then(response => {
+      if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached || Response.error());
+  return cached || network;
+}
+
+function forecastCacheKey(url) {
+  const lat = Number(url.searchParams.get('latitude')).toFixed(3);
+  const lon = Number(url.searchParams.get('longitude')).toFixed(3);
+  return `${url.origin}${url.pathname}?latitude=${lat}&longitude=${lon}`;
+}
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { parseAirQualityResponse, mergeAirQuality, usAqiFromPm25 } from '../js/air-quality.js';
+import { generateSafetyAlerts, calculateActivityScore } from '../js/insights.js';
+import { ACTIVITY_RULES } from '../js/rules/index.js';
+
+const recorded = JSON.parse(await readFile(new URL('../fixtures/open-meteo/air-quality-san-francisco.json', import.meta.url), 'utf8'));
+
+// Clear, mild midday with nothing but air quality to alert on
+const CLEAN = { time: '2025-08-18T12:00', temperature: 18, humidity: 50, windSpeed: 8, visibility: 20000, uvIndex: 3, precipitation: 0, precipitationProbability: 5 };
+const airAlerts = usAqi => generateSafetyAlerts({ current: { ...CLEAN, usAqi }, hourly: [], daily: [] })
+  .filter(a => a.type === 'air');
+
+test('parses the recorded air-quality response hour by hour', () => {
+  const hours = parseAirQualityResponse(recorded);
+  assert.equal(hours.length, recorded.hourly.time.length);
+  assert.deepEqual(hours[57], {
+    time: '2025-08-18T09:00',
+    usAqi: 40,
+    europeanAqi: 14,
+    pm25: 7.2,
+    pm10: recorded.hourly.pm10[57],
+    ozone: recorded.hourly.ozone[57],
+    pollen: {
+      alder: recorded.hourly.alder_pollen[57],
+      birch: recorded.hourly.birch_pollen[57],
+      grass: 14,
+      mugwort: recorded.hourly.mugwort_pollen[57],
+      olive: recorded.hourly.olive_pollen[57],
+      ragweed: recorded.hourly.ragweed_pollen[57]
+    }
+  });
+  assert.equal(hours[92].usAqi, 148);
+  assert.deepEqual(parseAirQualityResponse(null), []);
+});
+
+test('falls back to the PM2.5 AQI when the response has no us_aqi', () => {
+  const [hour] = parseAirQualityResponse({ hourly: { time: ['2025-08-18T09:00'], pm2_5: [54.6] } });
+  assert.equal(hour.usAqi, usAqiFromPm25(54.6));
+  assert.equal(hour.usAqi, 148);
+  assert.equal(hour.europeanAqi, null);
+  assert.equal(hour.pollen.grass, null);
+  assert.equal(usAqiFromPm25(9), 50);
+  assert.equal(usAqiFromPm25(600), 500);
+  assert.equal(usAqiFromPm25(null), null);
+});
+
+test('merges air quality into hourly entries and current by time', () => {
+  const weather = {
+    current: { temperature: 18 },
+    hourly: [{ time: '2025-08-19T19:00' }, { time: '2025-08-19T20:00' }, { time: '2025-08-23T00:00' }],
+    next24FromNearest: [{ time: '2025-08-19T20:00' }, { time: '2025-08-23T00:00' }],
+    nearestIndex: 1
+  };
+  const merged = mergeAirQuality(weather, parseAirQualityResponse(recorded));
+  assert.equal(merged.airQualityAvailable, true);
+  assert.equal(merged.current.temperature, 18);
+  assert.equal(merged.current.usAqi, 148);
+  assert.equal(merged.current.pm25, 54.6);
+  assert.deepEqual(merged.hourly.map(h => h.usAqi), [recorded.hourly.us_aqi[91], 148, null]);
+  assert.deepEqual(merged.next24FromNearest.map(h => h.usAqi), [148, null]);
+  // Hours past the recorded air-quality range get null fields
+  assert.equal(merged.hourly[2].pollen, null);
+  assert.equal(weather.hourly[1].usAqi, undefined);
+
+  const without = mergeAirQuality(weather, []);
+  assert.equal(without.airQualityAvailable, false);
+  assert.equal(without.current.usAqi, null);
+});
+
+test('alerts from AQI 101 (moderate) and 151 (high)', () => {
+  assert.deepEqual(airAlerts(null), []);
+  assert.deepEqual(airAlerts(100), []);
+  assert.deepEqual(airAlerts(100.4), []);
+  assert.deepEqual(airAlerts(100.5).map(a => a.severity), ['moderate']);
+  assert.deepEqual(airAlerts(150).map(a => a.severity), ['moderate']);
+  assert.deepEqual(airAlerts(151).map(a => a.severity), ['high']);
+  assert.deepEqual(airAlerts(320).map(a => a.severity), ['high']);
+  assert.match(airAlerts(120)[0].message, /AQI 120/);
+});
+
+test('every activity penalises AQI above 100, 150, 200 and 300', () => {
+  // The commute and e-bike rule sets use lighter bands (short or assisted efforts)
+  const expected = { commute: [0, 0, 0.5, 0.5, 1, 1, 2, 2, 3], ebike: [0, 0, 0.5, 0.5, 1, 1, 2, 2, 3] };
+  for (const activity of Object.keys(ACTIVITY_RULES)) {
+    const penalties = [null, 100, 101, 150, 151, 200, 201, 300, 301]
+      .map(usAqi => calculateActivityScore({ ...CLEAN, usAqi }, activity).breakdown.airQualityPenalty);
+    assert.deepEqual(penalties, expected[activity] || [0, 0, 1, 1, 2, 2, 3, 3, 5], activity);
+  }
+  const clean = calculateActivityScore({ ...CLEAN, usAqi: 40 }, 'road');
+  const smoky = calculateActivityScore({ ...CLEAN, usAqi: 180 }, 'road');
+  assert.equal(smoky.score, clean.score - 2);
+  assert.ok(smoky.message.endsWith(' Air quality is poor – keep efforts easy.'));
+  assert.ok(!clean.message.includes('Air quality'));
+});
@@ -0,0 +1,137 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import {
+  CLIMATE_YEARS, MAX_RANGE_DAYS, normalizeClimateRange, climateYearRanges, fetchClimateArchive, climateNorms, compareForecastToNormal
+} from '../js/climate.js';
+import { parseWeatherResponse } from '../js/weather.js';
+import { createMockProvider } from '../js/providers/mock.js';
+
+// The mock provider and the climate fetch log every request
+mock.method(console, 'info', () => {});
+mock.method(console, 'warn', () => {});
+
+// Fixture paths are relative to the repo root, as in the browser
+const load = async url => JSON.parse(await readFile(new URL(`../${url}`, import.meta.url), 'utf8'));
+const recorded = createMockProvider({ load, rebase: false });
+
+// The archive fixture holds 13–22 August of 2015–2024; the forecast fixture's today is 2025-08-18
+const RANGE = { from: '2025-08-18', to: '2025-08-20' };
+const AFTER_RANGE = new Date('2025-08-30T12:00:00Z');
+
+const localDate = d => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * 86400000).toISOString().slice(0, 10);
+const dayDiff = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+
+test('swaps reversed ranges and fills a missing end', () => {
+  assert.deepEqual(normalizeClimateRange('2025-09-07', '2025-09-01'), { from: '2025-09-01', to: '2025-09-07' });
+  assert.deepEqual(normalizeClimateRange('', '2025-09-01'), { from: '2025-09-01', to: '2025-09-01' });
+  assert.equal(normalizeClimateRange('', 'soon'), null);
+  assert.equal(normalizeClimateRange('2025-13-40', null), null);
+});
+
+test(`cuts ranges to ${MAX_RANGE_DAYS} days`, () => {
+  assert.deepEqual(normalizeClimateRange('2025-07-01', '2025-09-30'), { from: '2025-07-01', to: '2025-07-31' });
+  assert.deepEqual(normalizeClimateRange('2025-09-30', '2025-07-01'), { from: '2025-07-01', to: '2025-07-31' });
+  assert.deepEqual(normalizeClimateRange('2025-07-01', '2025-07-31'), { from: '2025-07-01', to: '2025-07-31' });
+});
+
+test('rolls 29 February over to 1 March in years without one', () => {
+  const ranges = climateYearRanges({ from: '2024-02-29', to: '2024-03-02' }, 4, new Date('2025-06-01T12:00:00Z'));
+  assert.deepEqual(ranges, [
+    { year: 2023, start: '2023-03-01', end: '2023-03-02' },
+    { year: 2022, start: '2022-03-01', end: '2022-03-02' },
+    { year: 2021, start: '2021-03-01', end: '2021-03-02' },
+    { year: 2020, start: '2020-02-29', end: '2020-03-02' }
+  ]);
+});
+
+test('skips years the archive has not reached yet', () => {
+  const today = new Date('2025-10-19T12:00:00Z');
+  // Last year's range ends 2025-10-17, within five days of today
+  const late = climateYearRanges({ from: '2026-10-10', to: '2026-10-17' }, CLIMATE_YEARS, today);
+  assert.equal(late.length, CLIMATE_YEARS);
+  assert.deepEqual([late[0].year, late.at(-1).year], [2024, 2015]);
+  // Ending 2025-10-14 is just old enough
+  const early = climateYearRanges({ from: '2026-10-07', to: '2026-10-14' }, CLIMATE_YEARS, today);
+  assert.deepEqual([early[0].year, early.at(-1).year], [2025, 2016]);
+});
+
+test('fetches and parses one archive per year', async () => {
+  const { range, archives, failedYears } = await fetchClimateArchive(37.76, -122.41, RANGE, { provider: recorded, today: AFTER_RANGE });
+  assert.deepEqual(range, RANGE);
+  assert.equal(failedYears, 0);
+  assert.deepEqual(archives.map(a => a.year), [2024, 2023, 2022, 2021, 2020, 2019, 2018, 2017, 2016, 2015]);
+  for (const a of archives) {
+    assert.equal(a.hourly.length, 72);
+    assert.equal(a.hourly[0].time, `${a.start}T00:00`);
+    assert.equal(a.hourly.at(-1).time, `${a.end}T23:00`);
+  }
+});
+
+test('skips years that fail and rejects when none arrive', async () => {
+  // 2025 and 2014 lie outside the recording
+  const { archives, failedYears } = await fetchClimateArchive(0, 0, RANGE, { provider: recorded, today: AFTER_RANGE, years: 12 });
+  assert.equal(archives.length, 10);
+  assert.equal(failedYears, 2);
+  await assert.rejects(fetchClimateArchive(0, 0, { from: '2025-01-01', to: '2025-01-03' }, { provider: recorded, today: AFTER_RANGE }), /no data/);
+  await assert.rejects(fetchClimateArchive(0, 0, RANGE, { provider: { label: 'Test', fetchForecast() {} } }), /not available from Test/);
+});
+
+test('mock archive requests follow the rebased forecast calendar', async () => {
+  const provider = createMockProvider({ load });
+  // The rebased forecast's today is the real today; the archive is moved by the same days
+  const offset = dayDiff('2025-08-18', localDate(new Date()));
+  const start = addDays('2024-08-19', offset);
+  const end = addDays(start, 1);
+  const { data } = await provider.fetchArchive(0, 0, start, end);
+  const archive = await load('fixtures/open-meteo/archive-san-francisco.json');
+  const from = archive.hourly.time.indexOf('2024-08-19T00:00');
+  assert.equal(data.hourly.time.length, 48);
+  assert.equal(data.hourly.time[0], `${start}T00:00`);
+  assert.equal(data.hourly.time.at(-1), `${end}T23:00`);
+  assert.deepEqual(data.hourly.temperature_2m, archive.hourly.temperature_2m.slice(from, from + 48));
+  assert.deepEqual(data.daily.time, [start, end]);
+  await assert.rejects(provider.fetchArchive(0, 0, addDays(start, 30), addDays(end, 30)), /no data/);
+});
+
+test('derives norms from the archive days', async () => {
+  const { archives } = await fetchClimateArchive(0, 0, RANGE, { provider: recorded, today: AFTER_RANGE });
+  const norms = climateNorms(archives);
+  assert.deepEqual(norms.years, [2015, 2016, 2017, 2018, 2019, 2020, 2021, 2022, 2023, 2024]);
+  assert.equal(norms.dayCount, 30);
+  assert.equal(norms.temperatureMax.mean, 20.9);
+  assert.equal(norms.temperatureMin.mean, 13.3);
+  assert.ok(norms.temperatureMax.low <= norms.temperatureMax.mean && norms.temperatureMax.mean <= norms.temperatureMax.high);
+  assert.deepEqual(norms.rain, { dayShare: 0.07, meanMm: 0.1, wettestMm: 1.5 });
+  assert.equal(norms.wind.sector, 'W');
+  assert.equal(norms.wind.direction, 270);
+  assert.equal(norms.wind.share, 0.52);
+  assert.equal(norms.scores.dayScores.length, 30);
+  const daylightHours = archives.flatMap(a => a.hourly).filter(h => h.daylight === 'day').length;
+  assert.equal(norms.scores.histogram.reduce((sum, n) => sum + n, 0), daylightHours);
+  assert.equal(climateNorms([]), null);
+});
+
+test('compares the forecast days with the norms', async () => {
+  const weather = parseWeatherResponse(await load('fixtures/open-meteo/forecast-san-francisco.json'), new Date('2025-08-18T08:00:00-07:00'));
+  const norms = {
+    temperatureMax: { mean: 18 },
+    temperatureMin: { mean: 13 },
+    rain: { dayShare: 0.5 },
+    scores: { dayScores: [1, 1, 1, 10, 10] }
+  };
+  const result = compareForecastToNormal(weather, norms, RANGE);
+  assert.equal(result.days, 3);
+  assert.equal(result.temperatureMax.normal, 18);
+  assert.equal(result.temperatureMax.delta, Math.round((result.temperatureMax.forecast - 18) * 10) / 10);
+  assert.equal(result.temperatureMax.trend, 'warmer');
+  assert.equal(result.rainDays.expected, 1.5);
+  // The forecast days score between the worst and best history days: better than 3 of 5
+  assert.ok(result.score.forecast > 1 && result.score.forecast < 10);
+  assert.equal(result.score.percentile, 0.6);
+  assert.equal(result.score.normal, 4.6);
+  const colder = { ...norms, temperatureMax: { mean: result.temperatureMax.forecast + 2 } };
+  assert.equal(compareForecastToNormal(weather, colder, RANGE).temperatureMax.trend, 'cooler');
+  assert.equal(compareForecastToNormal(weather, norms, { from: '2025-09-01', to: '2025-09-03' }), null);
+});
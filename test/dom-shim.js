@@ -0,0 +1,4 @@
+// Node has no DOMParser; the browser modules under test get xmldom's instead.
+import { DOMParser } from '@xmldom/xmldom';
+
+globalThis.DOMParser ??= DOMParser;
@@ -0,0 +1,106 @@
+import './dom-shim.js';
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { fetchWeatherData, parseWeatherResponse, formatWeatherData } from '../js/weather.js';
+import { createMockProvider, rebaseForecastDates, rebaseWarningDates } from '../js/providers/mock.js';
+
+// The provider and the parser log every request
+mock.method(console, 'info', () => {});
+
+// Fixture paths are relative to the repo root, as in the browser
+const fromRoot = url => new URL(`../${url}`, import.meta.url);
+const load = async url => JSON.parse(await readFile(fromRoot(url), 'utf8'));
+const loadText = url => readFile(fromRoot(url), 'utf8');
+const FORECAST = 'fixtures/open-meteo/forecast-san-francisco.json';
+const WARNINGS = 'fixtures/warnings/san-francisco.xml';
+
+// Recorded with past_days=2: daily.time[2] was "today"
+const RECORDED_TODAY = '2025-08-18';
+
+const localDate = d => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * 86400000).toISOString().slice(0, 10);
+const dayDiff = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+
+test('serves the recorded forecast through fetchWeatherData with today\'s dates', async () => {
+  const recorded = await load(FORECAST);
+  const before = Date.now();
+  const weather = await fetchWeatherData(37.76, -122.41, createMockProvider({ load, loadText }));
+  const today = localDate(new Date(before));
+  const offset = dayDiff(RECORDED_TODAY, today);
+
+  assert.equal(weather.provider, 'mock');
+  assert.equal(weather.fromCache, false);
+  assert.equal(weather.hourly.length, recorded.hourly.time.length);
+  assert.equal(weather.daily.length, 7);
+  assert.equal(weather.daily[0].date, today);
+  assert.equal(weather.hourly[0].time, `${addDays(today, -2)}T00:00`);
+  assert.equal(weather.daily[0].sunrise, `${today}${recorded.daily.sunrise[2].slice(10)}`);
+  assert.equal(weather.minutely15[0].time, `${addDays(recorded.minutely_15.time[0].slice(0, 10), offset)}${recorded.minutely_15.time[0].slice(10)}`);
+
+  // The nearest hour is the one closest to now, on the rebased calendar
+  const nearest = weather.hourly[weather.nearestIndex];
+  assert.ok(Math.abs(new Date(nearest.time).getTime() - before) <= 31 * 60000, nearest.time);
+  assert.equal(weather.next24FromNearest[0].time, nearest.time);
+  assert.equal(weather.current.temperature, recorded.hourly.temperature_2m[weather.nearestIndex]);
+  assert.equal(weather.current.windSpeed, recorded.hourly.windspeed_10m[weather.nearestIndex]);
+  assert.equal(weather.current.humidity, recorded.hourly.relativehumidity_2m[weather.nearestIndex]);
+
+  // Air quality, ensemble and warnings come from their fixtures too
+  assert.equal(weather.airQualityAvailable, true);
+  assert.equal(weather.ensembleAvailable, true);
+  assert.deepEqual(weather.warnings.map(w => w.event), ['Heat Advisory', 'Wind Advisory']);
+  assert.equal(weather.warnings[0].expires, `${addDays('2025-08-19', offset)}T21:00:00-07:00`);
+});
+
+test('parses and formats the recorded forecast', async () => {
+  const recorded = await load(FORECAST);
+  const now = new Date(2025, 7, 18, 9, 20);
+  const parsed = parseWeatherResponse(recorded, now);
+  assert.equal(parsed.nearestIndex, 57);
+  assert.equal(parsed.hourly[57].time, '2025-08-18T09:00');
+  assert.equal(parsed.current.temperature, 17.8);
+  assert.equal(parsed.current.temperature, parsed.hourly[57].temperature);
+  assert.equal(parsed.daily.length, 9);
+  assert.equal(parsed.next24FromNearest.length, 24);
+  assert.equal(parsed.utcOffsetSeconds, -25200);
+  assert.equal(parsed.minutely15.length, recorded.minutely_15.time.length);
+
+  const formatted = formatWeatherData(parsed, now);
+  assert.equal(formatted.daily.length, 7);
+  assert.equal(formatted.daily[0].date, RECORDED_TODAY);
+  assert.equal(typeof formatted.current.weatherText, 'string');
+});
+
+test('rebases forecast dates by whole days and keeps the values', async () => {
+  const recorded = await load(FORECAST);
+  const rebased = rebaseForecastDates(recorded, 2, new Date(2025, 7, 21, 15));
+  assert.equal(rebased.daily.time[2], '2025-08-21');
+  assert.equal(rebased.hourly.time[0], '2025-08-19T00:00');
+  assert.equal(rebased.daily.sunrise[0], `2025-08-19${recorded.daily.sunrise[0].slice(10)}`);
+  assert.equal(rebased.minutely_15.time[1], '2025-08-19T00:15');
+  assert.deepEqual(rebased.hourly.temperature_2m, recorded.hourly.temperature_2m);
+  assert.equal(recorded.daily.time[2], RECORDED_TODAY);
+  assert.equal(rebaseForecastDates(recorded, 2, new Date(2025, 7, 18, 23)), recorded);
+});
+
+test('rebases warning timestamps but leaves prose dates alone', async () => {
+  const xml = await loadText(WARNINGS);
+  const rebased = rebaseWarningDates(xml, new Date(2025, 7, 20, 8));
+  assert.ok(rebased.includes('<updated>2025-08-20T10:05:00-07:00</updated>'));
+  assert.ok(rebased.includes('<cap:expires>2025-08-21T21:00:00-07:00</cap:expires>'));
+  assert.ok(!rebased.includes('2025-08-18T'));
+  assert.ok(rebased.includes('Heat Advisory issued August 18'));
+  assert.equal(rebaseWarningDates(xml, new Date(2025, 7, 18, 8)), xml);
+  assert.equal(rebaseWarningDates('<feed/>', new Date()), '<feed/>');
+});
+
+test('serves the recorded archive sliced to the requested dates', async () => {
+  const provider = createMockProvider({ load, rebase: false });
+  const { data } = await provider.fetchArchive(0, 0, '2019-08-14', '2019-08-15');
+  assert.equal(data.hourly.time.length, 48);
+  assert.equal(data.hourly.time[0], '2019-08-14T00:00');
+  assert.equal(data.hourly.time.at(-1), '2019-08-15T23:00');
+  assert.equal(data.hourly.temperature_2m.length, 48);
+  assert.deepEqual(data.daily.time, ['2019-08-14', '2019-08-15']);
+});
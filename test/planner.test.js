@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findBestRideWindows } from '../js/planner.js';
+
+// Mild, dry daylight hours; on the road scorer an 8, 25 or 48 km/h wind scores 10, 8 or 6
+const MILD = { temperature: 18, humidity: 50, windSpeed: 8, visibility: 20000, uvIndex: 3, precipitation: 0, precipitationProbability: 5, daylight: 'day' };
+const hoursFrom = (start, winds) => winds.map((windSpeed, i) => {
+  const t = new Date(Date.parse(`${start}:00Z`) + i * 3600000).toISOString().slice(0, 16);
+  return { ...MILD, time: t, windSpeed };
+});
+const ALL_DAY = { earliestStart: '00:00', latestStart: '23:59' };
+
+test('blends 70% of the average with 30% of the worst hour', () => {
+  const weather = { nearestIndex: 0, hourly: hoursFrom('2025-08-18T00:00', [8, 8, 48, 25, 25, 25]) };
+  const { best, windows } = findBestRideWindows(weather, { ...ALL_DAY, durationHours: 3 });
+  assert.deepEqual(windows.map(w => [w.startTime.slice(11), w.averageScore, w.minScore, w.windowScore]), [
+    ['03:00', 8, 8, 8],
+    ['00:00', 8.7, 6, 7.9],
+    ['01:00', 8, 6, 7.4],
+    ['02:00', 7.3, 6, 6.9]
+  ]);
+  // A steady window beats one with a better average but a bad hour
+  assert.equal(best.startTime, '2025-08-18T03:00');
+  assert.equal(best.endTime, '2025-08-18T05:00');
+  assert.equal(best.hours.length, 3);
+  assert.deepEqual(best.reasons.map(r => r.factor), ['rank', 'wind']);
+  assert.deepEqual(windows[1].reasons[0], { factor: 'rank', positive: false, score: 7.9, behind: 0.1 });
+});
+
+test('subtracts rain penalties from the blended score', () => {
+  const hourly = hoursFrom('2025-08-18T06:00', [8, 8]);
+  hourly[1] = { ...hourly[1], precipitationProbability: 55 };
+  const [w] = findBestRideWindows({ nearestIndex: 0, hourly }, { ...ALL_DAY, durationHours: 2 }).windows;
+  assert.equal(w.minScore, 10);
+  assert.equal(w.rainPenalty, 1);
+  assert.equal(w.windowScore, 9);
+  assert.ok(w.reasons.some(r => r.factor === 'rain' && r.probability === 55));
+});
+
+test('wraps an earliest start after the latest one past midnight', () => {
+  const weather = { nearestIndex: 0, hourly: hoursFrom('2025-08-18T00:00', Array(48).fill(8)) };
+  const { windows } = findBestRideWindows(weather, { earliestStart: '22:00', latestStart: '02:00', durationHours: 1 });
+  assert.deepEqual(windows.map(w => w.startTime), [
+    '2025-08-18T00:00', '2025-08-18T01:00', '2025-08-18T02:00', '2025-08-18T22:00', '2025-08-18T23:00',
+    '2025-08-19T00:00', '2025-08-19T01:00', '2025-08-19T02:00', '2025-08-19T22:00', '2025-08-19T23:00'
+  ]);
+
+  // Windows may run on past the latest start, as long as they start inside the range
+  const long = findBestRideWindows(weather, { earliestStart: '23:00', latestStart: '00:00', durationHours: 3 });
+  assert.deepEqual(long.windows.map(w => [w.startTime, w.endTime]), [
+    ['2025-08-18T00:00', '2025-08-18T02:00'],
+    ['2025-08-18T23:00', '2025-08-19T01:00'],
+    ['2025-08-19T00:00', '2025-08-19T02:00']
+  ]);
+});
+
+test('finds no window when the ride is longer than the horizon', () => {
+  const weather = { nearestIndex: 0, hourly: hoursFrom('2025-08-18T00:00', Array(48).fill(8)) };
+  const tooLong = findBestRideWindows(weather, { ...ALL_DAY, durationHours: 49 });
+  assert.equal(tooLong.best, null);
+  assert.deepEqual(tooLong.windows, []);
+  assert.equal(tooLong.options.durationHours, 49);
+
+  assert.equal(findBestRideWindows(weather, { ...ALL_DAY, durationHours: 4, horizonHours: 3 }).best, null);
+  assert.equal(findBestRideWindows({ ...weather, nearestIndex: 46 }, { ...ALL_DAY, durationHours: 3 }).best, null);
+  assert.equal(findBestRideWindows(weather, { ...ALL_DAY, durationHours: 48 }).windows.length, 1);
+});
@@ -0,0 +1,92 @@
+import './dom-shim.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseGpx, buildRouteSegments, classifyWindRelation, analyzeRouteWind } from '../js/route.js';
+
+const gpx = (body) => `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">${body}</gpx>`;
+const pt = (tag, lat, lon) => `<${tag} lat="${lat}" lon="${lon}"><ele>10</ele></${tag}>`;
+const close = (actual, expected, eps = 1e-9) => assert.ok(Math.abs(actual - expected) <= eps, `${actual} ≉ ${expected}`);
+
+// Along the equator and a meridian a degree is the same distance, so this
+// L-shaped ride is two parts east and one part north
+const EAST_THEN_NORTH = [
+  { latitude: 0, longitude: 0 },
+  { latitude: 0, longitude: 1 },
+  { latitude: 0, longitude: 2 },
+  { latitude: 1, longitude: 2 }
+];
+
+test('reads track points and the first name from GPX', () => {
+  const route = parseGpx(gpx(`<metadata><name> Bay loop </name></metadata>
+    <trk><name>Track</name><trkseg>${pt('trkpt', 37.76, -122.41)}${pt('trkpt', 37.77, '-122.40')}</trkseg></trk>`));
+  assert.equal(route.name, 'Bay loop');
+  assert.deepEqual(route.points, [{ latitude: 37.76, longitude: -122.41 }, { latitude: 37.77, longitude: -122.4 }]);
+});
+
+test('falls back to route points when the file has no track', () => {
+  const route = parseGpx(gpx(`<rte>${pt('rtept', 1, 2)}${pt('rtept', 3, 4)}${pt('rtept', 5, 6)}</rte>`));
+  assert.equal(route.name, '');
+  assert.deepEqual(route.points.map(p => [p.latitude, p.longitude]), [[1, 2], [3, 4], [5, 6]]);
+});
+
+test('prefers track points over route points', () => {
+  const route = parseGpx(gpx(`<rte>${pt('rtept', 1, 2)}${pt('rtept', 3, 4)}</rte>
+    <trk><trkseg>${pt('trkpt', 7, 8)}${pt('trkpt', 9, 10)}</trkseg></trk>`));
+  assert.deepEqual(route.points.map(p => p.latitude), [7, 9]);
+});
+
+test('rejects files with fewer than two usable points', () => {
+  const message = /GPX file has no usable track points/;
+  assert.throws(() => parseGpx(gpx('')), message);
+  assert.throws(() => parseGpx(gpx(`<trk><trkseg>${pt('trkpt', 1, 2)}</trkseg></trk>`)), message);
+  assert.throws(() => parseGpx(gpx(`<trk><trkseg>${pt('trkpt', 1, 2)}${pt('trkpt', 'x', 4)}</trkseg></trk>`)), message);
+});
+
+test('splits a polyline into segments with distance and bearing', () => {
+  const segments = buildRouteSegments([EAST_THEN_NORTH[0], EAST_THEN_NORTH[0], ...EAST_THEN_NORTH.slice(1)]);
+  // The duplicate start point adds no segment
+  assert.equal(segments.length, 3);
+  assert.deepEqual(segments.map(s => Math.round(s.bearing)), [90, 90, 0]);
+  close(segments[0].distanceKm, 6371 * Math.PI / 180);
+  close(segments[2].distanceKm, segments[0].distanceKm);
+  assert.deepEqual(buildRouteSegments([EAST_THEN_NORTH[0]]), []);
+  assert.deepEqual(buildRouteSegments(null), []);
+});
+
+test('classifies headings at the ±45° sector edges', () => {
+  assert.equal(classifyWindRelation(0, 0), 'headwind');
+  assert.equal(classifyWindRelation(45, 0), 'headwind');
+  assert.equal(classifyWindRelation(315, 0), 'headwind');
+  assert.equal(classifyWindRelation(45.1, 0), 'crosswind');
+  assert.equal(classifyWindRelation(314.9, 0), 'crosswind');
+  assert.equal(classifyWindRelation(134.9, 0), 'crosswind');
+  assert.equal(classifyWindRelation(135, 0), 'tailwind');
+  assert.equal(classifyWindRelation(225, 0), 'tailwind');
+  assert.equal(classifyWindRelation(225.1, 0), 'crosswind');
+  // The sectors wrap through north
+  assert.equal(classifyWindRelation(10, 350), 'headwind');
+  assert.equal(classifyWindRelation(170, 350), 'tailwind');
+});
+
+test('weights the wind relation shares by distance', () => {
+  const segments = buildRouteSegments(EAST_THEN_NORTH);
+  const fromEast = analyzeRouteWind(segments, 90);
+  assert.equal(fromEast.relation, 'headwind');
+  close(fromEast.shares.headwind, 2 / 3);
+  close(fromEast.shares.crosswind, 1 / 3);
+  assert.equal(fromEast.shares.tailwind, 0);
+  assert.equal(fromEast.totalKm, 333.6);
+
+  const fromSouth = analyzeRouteWind(segments, 180);
+  assert.equal(fromSouth.relation, 'crosswind');
+  close(fromSouth.shares.tailwind, 1 / 3);
+  close(fromSouth.shares.crosswind, 2 / 3);
+});
+
+test('treats the whole route as crosswind without a wind direction or distance', () => {
+  const unknown = analyzeRouteWind(buildRouteSegments(EAST_THEN_NORTH), null);
+  assert.equal(unknown.relation, 'crosswind');
+  assert.deepEqual(unknown.shares, { headwind: 0, tailwind: 0, crosswind: 1 });
+  assert.deepEqual(analyzeRouteWind([], 90), { relation: 'crosswind', shares: { headwind: 0, tailwind: 0, crosswind: 1 }, totalKm: 0 });
+});
@@ -0,0 +1,183 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateRuleSet, windRelationMultiplier } from '../js/rules/engine.js';
+import { getActivityRules } from '../js/rules/index.js';
+import { calculateActivityScore } from '../js/insights.js';
+
+// A one-factor rule set scoring `value` against the given bands
+const oneFactor = (bands, extra = {}) => ({ baseScore: 10, factors: [{ key: 'p', input: 'value', bands, ...extra }] });
+const penalty = (ruleSet, inputs, options) => evaluateRuleSet(ruleSet, inputs, options).breakdown.p;
+
+test('compares inputs with gt, gte, lt and lte', () => {
+  const rules = oneFactor([{ gt: 30, penalty: 4 }, { gte: 20, penalty: 3 }, { lt: 0, penalty: 2 }, { lte: 5, penalty: 1 }, { penalty: 0 }]);
+  assert.deepEqual([31, 30, 20, 19.9, -1, 0, 5, 5.1].map(value => penalty(rules, { value })), [4, 3, 3, 0, 2, 1, 1, 0]);
+});
+
+test('needs every comparator of a band and one of its `any` conditions', () => {
+  const rules = oneFactor([
+    { gte: 10, lt: 20, penalty: 2 },
+    { any: [{ gt: 40 }, { input: 'other', gte: 1 }], penalty: 1 },
+    { penalty: 0 }
+  ]);
+  assert.equal(penalty(rules, { value: 15 }), 2);
+  assert.equal(penalty(rules, { value: 20 }), 0);
+  assert.equal(penalty(rules, { value: 41 }), 1);
+  assert.equal(penalty(rules, { value: 0, other: 1 }), 1);
+  assert.equal(penalty(rules, { value: 0, other: 0 }), 0);
+});
+
+test('never matches a comparator on a missing input', () => {
+  const rules = oneFactor([{ lt: 5, penalty: 2 }, { penalty: 0 }]);
+  assert.equal(penalty(rules, {}), 0);
+  assert.equal(penalty(rules, { value: null }), 0);
+  assert.equal(penalty(rules, { value: NaN }), 0);
+});
+
+test('resolves $ references and scales penalties by the profile', () => {
+  const rules = oneFactor([{ gt: '$temperature.idealMax', penalty: 3, scaleBy: 'heatFactor' }, { penalty: 0 }]);
+  assert.equal(penalty(rules, { value: 26 }), 3);
+  assert.equal(penalty(rules, { value: 24 }, { profile: { comfortMaxC: 23 } }), 3);
+  assert.equal(penalty(rules, { value: 26 }, { profile: { heatSensitivity: 'low' } }), 2.3);
+});
+
+test('skips a factor when its `unless` threshold holds', () => {
+  const rules = oneFactor([{ penalty: 3 }], { unless: '$ridesInRain' });
+  assert.equal(penalty(rules, { value: 1 }), 0);
+  assert.equal(penalty(rules, { value: 1 }, { profile: { ridesInRain: false } }), 3);
+});
+
+test('applies a factor cap on its input or its own penalty', () => {
+  const byInput = oneFactor([{ penalty: 1 }], { cap: { gte: 90, max: 4 } });
+  assert.equal(evaluateRuleSet(byInput, { value: 95 }).score, 4);
+  assert.equal(evaluateRuleSet(byInput, { value: 85 }).score, 9);
+  const byPenalty = oneFactor([{ gt: 5, penalty: 3 }, { penalty: 1 }], { cap: { input: 'penalty', gte: 3, max: 2 } });
+  assert.equal(evaluateRuleSet(byPenalty, { value: 6 }).score, 2);
+  assert.equal(evaluateRuleSet(byPenalty, { value: 4 }).score, 9);
+});
+
+test('applies global caps after all factors and clamps to 1–10', () => {
+  const rules = {
+    baseScore: 12,
+    factors: [{ key: 'p', input: 'value', bands: [{ penalty: 0.04 }] }],
+    caps: [{ input: 'storm', gte: 1, max: 2 }, { input: 'p', gt: 1, max: 5 }]
+  };
+  assert.equal(evaluateRuleSet(rules, { value: 0 }).score, 10);
+  assert.equal(evaluateRuleSet(rules, { value: 0, storm: 1 }).score, 2);
+  assert.equal(evaluateRuleSet({ baseScore: 10, factors: [{ key: 'p', input: 'v', bands: [{ penalty: 12 }] }] }, { v: 0 }).score, 1);
+});
+
+test('picks the first message met and appends matching notes', () => {
+  const rules = {
+    baseScore: 10,
+    factors: [{ key: 'p', input: 'value', bands: [{ gt: 5, penalty: 5 }, { penalty: 0 }] }],
+    messages: [{ minScore: 8, text: 'Great.' }, { text: 'Meh.' }],
+    notes: [{ input: 'p', gt: 0, text: ' Penalised.' }, { input: 'uv', gte: 7, text: ' Sunny.' }]
+  };
+  assert.equal(evaluateRuleSet(rules, { value: 0, uv: 8 }).message, 'Great. Sunny.');
+  assert.equal(evaluateRuleSet(rules, { value: 6 }).message, 'Meh. Penalised.');
+});
+
+test('weights wind penalties by relation and route shares', () => {
+  assert.equal(windRelationMultiplier('headwind'), 1.3);
+  assert.equal(windRelationMultiplier('Tailwind'), 0.7);
+  assert.equal(windRelationMultiplier('crosswind'), 1);
+  assert.equal(windRelationMultiplier(undefined), 1);
+  assert.equal(windRelationMultiplier('sideways'), 1);
+  assert.equal(windRelationMultiplier({ headwind: 0.5, tailwind: 0.5 }), 1);
+  assert.ok(Math.abs(windRelationMultiplier({ headwind: 0.5, tailwind: 0.25, crosswind: 0.25 }) - 1.075) < 1e-9);
+  // Shares need not sum to 1
+  assert.ok(Math.abs(windRelationMultiplier({ headwind: 3, crosswind: 1 }) - 1.225) < 1e-9);
+  assert.equal(windRelationMultiplier({ headwind: 0, tailwind: 0 }), 1);
+  const rules = oneFactor([{ penalty: 2 }], { windRelation: true });
+  assert.equal(penalty(rules, { value: 0 }, { windRelation: 'headwind' }), 2.6);
+  assert.equal(penalty(rules, { value: 0 }, { windRelation: { tailwind: 1 } }), 1.4);
+});
+
+test('every activity rule set has factors and a fallback message', () => {
+  for (const activity of ['road', 'gravel', 'mtb', 'commute', 'ebike', 'touring', 'cx']) {
+    const rules = getActivityRules(activity);
+    assert.equal(rules.activity, activity);
+    assert.ok(rules.factors.length);
+    assert.equal(rules.messages.at(-1).minScore, undefined);
+  }
+});
+
+// Results of the literal road/gravel/MTB scorers before the rule engine, for
+// samples that leave out the inputs later requests added (gusts, darkness,
+// air quality, trail state) and stay clear of the feels-like bands.
+const SAMPLES = {
+  mild: { temperature: 18, humidity: 50, windSpeed: 8, visibility: 20000, uvIndex: 3, precipitation: 0, precipitationProbability: 5 },
+  breezyWarm: { temperature: 27, humidity: 40, windSpeed: 24, visibility: 20000, uvIndex: 6, precipitation: 0, precipitationProbability: 10 },
+  windyDamp: { temperature: 11, humidity: 85, windSpeed: 35, visibility: 8000, uvIndex: 2, precipitation: 0, precipitationProbability: 20 },
+  gale: { temperature: 14, humidity: 70, windSpeed: 48, visibility: 12000, uvIndex: 1, precipitation: 0, precipitationProbability: 0 },
+  fog: { temperature: 13, humidity: 95, windSpeed: 5, visibility: 1500, uvIndex: 0, precipitation: 0, precipitationProbability: 0 },
+  highUv: { temperature: 24, humidity: 30, windSpeed: 12, visibility: 30000, uvIndex: 10, precipitation: 0, precipitationProbability: 0 },
+  rain: { temperature: 16, humidity: 75, windSpeed: 15, visibility: 9000, uvIndex: 1, precipitation: 1.2, precipitationProbability: 80 },
+  cold: { temperature: 6, humidity: 60, windSpeed: 6, visibility: 20000, uvIndex: 1, precipitation: 0, precipitationProbability: 0 },
+  hotDry: { temperature: 29, humidity: 15, windSpeed: 10, visibility: 20000, uvIndex: 8, precipitation: 0, precipitationProbability: 0 }
+};
+const PROFILES = {
+  sensitive: { windTolerance: 'low', heatSensitivity: 'high', ridesInRain: false, comfortMinC: 12, comfortMaxC: 22 }
+};
+const LEGACY_KEYS = ['windPenalty', 'temperaturePenalty', 'humidityPenalty', 'visibilityPenalty', 'uvPenalty', 'rainPenalty'];
+
+// [activity, sample, wind relation, profile, score, legacy breakdown (LEGACY_KEYS order), message]
+const PARITY_CASES = [
+  ['road', 'mild', null, null, 10, [0, 0, 0, 0, 0, 0], 'Perfect conditions! Go for that long ride! 🚴‍♂️'],
+  ['road', 'breezyWarm', null, null, 6.5, [2, 1, 0, 0, 0.5, 0], 'Good conditions for cycling. Enjoy your ride!'],
+  ['road', 'windyDamp', null, null, 3, [3, 1, 2, 1, 0, 0], "Challenging conditions. Only go if you're experienced."],
+  ['road', 'gale', null, null, 4, [4, 1, 1, 0, 0, 0], 'Decent conditions, but be prepared for some challenges.'],
+  ['road', 'fog', null, null, 1, [0, 1, 2, 3, 0, 0], 'Poor conditions. Consider indoor training.'],
+  ['road', 'highUv', null, null, 7.5, [1, 0, 0, 0, 1.5, 0], 'Good conditions for cycling. Enjoy your ride! Consider riding early or late due to high UV.'],
+  ['road', 'rain', null, null, 7, [1, 0, 1, 1, 0, 0], 'Good conditions for cycling. Enjoy your ride!'],
+  ['road', 'cold', null, null, 8, [0, 2, 0, 0, 0, 0], 'Perfect conditions! Go for that long ride! 🚴‍♂️'],
+  ['road', 'hotDry', null, null, 8, [0, 1, 0, 0, 1, 0], 'Perfect conditions! Go for that long ride! 🚴‍♂️ Consider riding early or late due to high UV.'],
+  ['road', 'breezyWarm', null, 'sensitive', 5, [3, 1.5, 0, 0, 0.5, 0], 'Decent conditions, but be prepared for some challenges.'],
+  ['road', 'rain', null, 'sensitive', 4, [1, 0, 1, 1, 0, 3], 'Decent conditions, but be prepared for some challenges. Rain likely – you prefer dry rides.'],
+  ['road', 'hotDry', null, 'sensitive', 3.5, [1, 4.5, 0, 0, 1, 0], "Challenging conditions. Only go if you're experienced. Consider riding early or late due to high UV."],
+  ['road', 'windyDamp', null, 'sensitive', 2, [4, 1, 2, 1, 0, 0], 'Poor conditions. Consider indoor training.'],
+  ['gravel', 'mild', null, null, 10, [0, 0, 0, 0, 0, 0], 'Great day for gravel!'],
+  ['gravel', 'breezyWarm', null, null, 5.5, [3, 1, 0, 0, 0.5, 0], 'Manageable gravel, expect challenges.'],
+  ['gravel', 'windyDamp', null, null, 1.5, [4.5, 1, 2, 1, 0, 0], 'Poor gravel conditions.'],
+  ['gravel', 'gale', null, null, 2, [6, 1, 1, 0, 0, 0], 'Poor gravel conditions.'],
+  ['gravel', 'fog', null, null, 1, [0, 1, 2, 3, 0, 0], 'Poor gravel conditions.'],
+  ['gravel', 'highUv', null, null, 7, [1.5, 0, 0, 0, 1.5, 0], 'Good gravel conditions. Consider riding early or late due to high UV.'],
+  ['gravel', 'rain', null, null, 6.5, [1.5, 0, 1, 1, 0, 0], 'Good gravel conditions.'],
+  ['gravel', 'cold', null, null, 8, [0, 2, 0, 0, 0, 0], 'Great day for gravel!'],
+  ['gravel', 'hotDry', null, null, 8, [0, 1, 0, 0, 1, 0], 'Great day for gravel! Consider riding early or late due to high UV.'],
+  ['gravel', 'breezyWarm', null, 'sensitive', 3.5, [4.5, 1.5, 0, 0, 0.5, 0], 'Challenging gravel conditions.'],
+  ['gravel', 'rain', null, 'sensitive', 3.5, [1.5, 0, 1, 1, 0, 3], 'Challenging gravel conditions. Rain likely – you prefer dry rides.'],
+  ['gravel', 'hotDry', null, 'sensitive', 1.5, [1.5, 6, 0, 0, 1, 0], 'Poor gravel conditions. Consider riding early or late due to high UV.'],
+  ['gravel', 'windyDamp', null, 'sensitive', 1, [6, 1, 2, 1, 0, 0], 'Poor gravel conditions.'],
+  ['mtb', 'mild', null, null, 10, [0, 0, 0, 0, 0, 0], 'Trails are prime!'],
+  ['mtb', 'breezyWarm', null, null, 6.5, [2, 1, 0, 0, 0.5, 0], 'Good day to ride.'],
+  ['mtb', 'windyDamp', null, null, 3, [3, 1, 2, 1, 0, 0], 'Challenging trail conditions.'],
+  ['mtb', 'gale', null, null, 4, [4, 1, 1, 0, 0, 0], 'Rideable with caution.'],
+  ['mtb', 'fog', null, null, 1, [0, 1, 2, 3, 0, 0], 'Not recommended today.'],
+  ['mtb', 'highUv', null, null, 7.5, [1, 0, 0, 0, 1.5, 0], 'Good day to ride. Consider riding early or late due to high UV.'],
+  ['mtb', 'rain', null, null, 7, [1, 0, 1, 1, 0, 0], 'Good day to ride.'],
+  ['mtb', 'cold', null, null, 8, [0, 2, 0, 0, 0, 0], 'Trails are prime!'],
+  ['mtb', 'hotDry', null, null, 8, [0, 1, 0, 0, 1, 0], 'Trails are prime! Consider riding early or late due to high UV.'],
+  ['mtb', 'breezyWarm', null, 'sensitive', 5, [3, 1.5, 0, 0, 0.5, 0], 'Rideable with caution.'],
+  ['mtb', 'rain', null, 'sensitive', 4, [1, 0, 1, 1, 0, 3], 'Rideable with caution. Rain likely – you prefer dry rides.'],
+  ['mtb', 'hotDry', null, 'sensitive', 2, [1, 6, 0, 0, 1, 0], 'Not recommended today. Consider riding early or late due to high UV.'],
+  ['mtb', 'windyDamp', null, 'sensitive', 2, [4, 1, 2, 1, 0, 0], 'Not recommended today.'],
+  ['road', 'breezyWarm', 'headwind', null, 5.9, [2.6, 1, 0, 0, 0.5, 0], 'Decent conditions, but be prepared for some challenges.'],
+  ['road', 'breezyWarm', 'tailwind', null, 7.1, [1.4, 1, 0, 0, 0.5, 0], 'Good conditions for cycling. Enjoy your ride!'],
+  ['road', 'gale', {headwind: 0.5, tailwind: 0.25, crosswind: 0.25}, null, 3.7, [4.3, 1, 1, 0, 0, 0], "Challenging conditions. Only go if you're experienced."],
+  ['road', 'windyDamp', {headwind: 0.2, tailwind: 0.8}, 'sensitive', 2.7, [3.3, 1, 2, 1, 0, 0], 'Poor conditions. Consider indoor training.']
+];
+
+test('road, gravel and MTB rule sets match the pre-engine scorers', () => {
+  for (const [activity, sample, relation, profile, score, breakdown, message] of PARITY_CASES) {
+    const label = `${activity} ${sample} ${JSON.stringify(relation)} ${profile}`;
+    const result = calculateActivityScore(SAMPLES[sample], activity, relation ?? 'crosswind', PROFILES[profile]);
+    assert.equal(result.score, score, label);
+    assert.equal(result.message, message, label);
+    assert.deepEqual(LEGACY_KEYS.map(k => result.breakdown[k]), breakdown, label);
+    // Factors added since then stay at zero for these samples
+    for (const [key, value] of Object.entries(result.breakdown)) {
+      if (!LEGACY_KEYS.includes(key)) assert.equal(value, 0, `${label} ${key}`);
+    }
+  }
+});
@@ -0,0 +1,111 @@
+import './dom-shim.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import {
+  warningsFeedUrl, parseWarningsFeed, dedupeWarnings, warningsForLocation, warningAlerts, warningType
+} from '../js/warnings.js';
+
+const fixture = name => readFile(new URL(`../fixtures/warnings/${name}`, import.meta.url), 'utf8');
+const SF = { lat: 37.7633, lon: -122.4129 };
+
+test('parses the NWS Atom feed entries', async () => {
+  const warnings = parseWarningsFeed(await fixture('san-francisco.xml'));
+  assert.equal(warnings.length, 4);
+  const wind = warnings.find(w => w.event === 'Wind Advisory');
+  assert.equal(wind.id, 'urn:oid:2.49.0.1.840.0.9b7e31.003.1');
+  assert.equal(wind.senderName, 'NWS San Francisco CA');
+  assert.equal(wind.severity, 'Moderate');
+  assert.equal(wind.onset, '2025-08-18T13:00:00-07:00');
+  assert.equal(wind.expires, '2025-08-18T23:00:00-07:00');
+  assert.deepEqual(wind.polygons[0][0], [37.60, -122.55]);
+  assert.deepEqual(warnings.find(w => w.event === 'Heat Advisory').polygons, []);
+});
+
+test('parses a plain CAP alert with its references', async () => {
+  const [flood] = parseWarningsFeed(await fixture('cap-flood-warning.xml'));
+  assert.equal(flood.id, 'urn:oid:2.49.0.1.840.0.7a21f0.005.2');
+  assert.equal(flood.msgType, 'Update');
+  assert.equal(flood.event, 'Flood Warning');
+  assert.equal(flood.severity, 'Severe');
+  assert.equal(flood.areaDesc, 'San Francisco');
+  assert.deepEqual(flood.references, ['urn:oid:2.49.0.1.840.0.7a21f0.005.1']);
+  assert.equal(flood.polygons[0].length, 5);
+});
+
+test('keeps the latest issue of a repeated advisory', async () => {
+  const warnings = dedupeWarnings(parseWarningsFeed(await fixture('san-francisco.xml')));
+  const heat = warnings.filter(w => w.event === 'Heat Advisory');
+  assert.equal(warnings.length, 3);
+  assert.equal(heat.length, 1);
+  assert.equal(heat[0].id, 'urn:oid:2.49.0.1.840.0.4f1c2a.001.2');
+});
+
+test('drops messages superseded by references, cancellations and tests', async () => {
+  const [update] = parseWarningsFeed(await fixture('cap-flood-warning.xml'));
+  const original = { ...update, id: 'urn:oid:2.49.0.1.840.0.7a21f0.005.1', msgType: 'Alert', references: [], areaDesc: 'Embarcadero', sent: '2025-08-22T08:45:00-07:00' };
+  const cancel = { ...update, id: 'c', event: 'Wind Advisory', msgType: 'Cancel', references: [] };
+  const exercise = { ...update, id: 't', event: 'Heat Advisory', status: 'Test', references: [] };
+  assert.deepEqual(dedupeWarnings([original, update, cancel, exercise]).map(w => w.id), [update.id]);
+});
+
+test('sorts the most severe warning first', async () => {
+  const feed = parseWarningsFeed(await fixture('san-francisco.xml'));
+  const cap = parseWarningsFeed(await fixture('cap-flood-warning.xml'));
+  const warnings = dedupeWarnings([...feed, ...cap]);
+  assert.equal(warnings[0].event, 'Flood Warning');
+  assert.equal(warnings.at(-1).event, 'Dense Fog Advisory');
+});
+
+test('keeps warnings without a polygon or whose polygon holds the point', async () => {
+  const warnings = dedupeWarnings(parseWarningsFeed(await fixture('san-francisco.xml')));
+  const local = warningsForLocation(warnings, SF.lat, SF.lon).map(w => w.event);
+  assert.deepEqual(local.sort(), ['Heat Advisory', 'Wind Advisory']);
+});
+
+test('skips expired warnings', async () => {
+  const warnings = dedupeWarnings(parseWarningsFeed(await fixture('san-francisco.xml')));
+  const at = iso => warningAlerts(warnings, new Date(iso)).map(a => a.type);
+  assert.deepEqual(at('2025-08-18T10:00:00-07:00').sort(), ['heat', 'visibility', 'wind']);
+  assert.deepEqual(at('2025-08-18T23:30:00-07:00'), ['heat']);
+  assert.deepEqual(at('2025-08-19T21:01:00-07:00'), []);
+});
+
+test('maps CAP severity and event onto insights alerts', async () => {
+  const feed = parseWarningsFeed(await fixture('san-francisco.xml'));
+  const cap = parseWarningsFeed(await fixture('cap-flood-warning.xml'));
+  const alerts = warningAlerts(dedupeWarnings([...feed, ...cap]), new Date('2025-08-18T12:00:00-07:00'));
+  const flood = alerts.find(a => a.type === 'flood');
+  assert.deepEqual(
+    { type: flood.type, severity: flood.severity, official: flood.official, source: flood.source },
+    { type: 'flood', severity: 'high', official: true, source: 'NWS San Francisco CA' }
+  );
+  assert.equal(flood.message, "Flood Warning from Fri 11:20 to Fri 20:00 (NWS San Francisco CA). Turn around, don't drown when encountering flooded roads.");
+  const wind = alerts.find(a => a.type === 'wind');
+  assert.equal(wind.severity, 'moderate');
+  assert.match(wind.message, /^Wind Advisory from Mon 13:00 to Mon 23:00 \(NWS San Francisco CA\)\./);
+  assert.equal(alerts.find(a => a.type === 'heat').message, 'Heat Advisory until Tue 21:00 (NWS San Francisco CA).');
+});
+
+test('names alert types from the event', () => {
+  assert.equal(warningType('Ice Storm Warning'), 'ice');
+  assert.equal(warningType('Winter Storm Watch'), 'cold');
+  assert.equal(warningType('Excessive Heat Warning'), 'heat');
+  assert.equal(warningType('Severe Thunderstorm Warning'), 'storm');
+  assert.equal(warningType('Tropical Storm Warning'), 'wind');
+  assert.equal(warningType('Red Flag Warning'), 'fire');
+  assert.equal(warningType('Special Marine Statement'), 'warning');
+});
+
+test('requests the NWS feed only inside US coverage', () => {
+  assert.match(warningsFeedUrl(SF.lat, SF.lon), /api\.weather\.gov\/alerts\/active\.atom\?point=37\.7633,-122\.4129$/);
+  for (const [lat, lon] of [[61.22, -149.9], [21.31, -157.86], [18.47, -66.11], [42.33, -83.05], [31.76, -106.49]]) {
+    assert.ok(warningsFeedUrl(lat, lon), `${lat},${lon}`);
+  }
+  // Vancouver, Toronto, Windsor, Calgary, Whitehorse, Tijuana, Ciudad Juárez, Monterrey, Havana
+  for (const [lat, lon] of [[49.28, -123.12], [43.65, -79.38], [42.30, -83.0], [51.05, -114.07], [60.72, -135.06],
+    [32.51, -117.04], [31.69, -106.42], [25.69, -100.31], [23.11, -82.37]]) {
+    assert.equal(warningsFeedUrl(lat, lon), null, `${lat},${lon}`);
+  }
+  assert.equal(warningsFeedUrl('x', 0), null);
+});